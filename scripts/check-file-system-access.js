@@ -0,0 +1,101 @@
+// Comprobación sin navegador de la apertura y el guardado de archivos (src/fileSystemAccess.js) con el doble
+// de la File System Access API (src/fileSystemAccessDouble.js): abrir, guardar en el archivo original,
+// "Guardar como", cancelar los selectores y descargar cuando no hay API.
+//
+// Uso: npm run check:fs
+// Los módulos de src se cargan con Vite (como en la aplicación), así que no hace falta compilarlos antes.
+
+import assert from 'node:assert/strict';
+import { createServer } from 'vite';
+
+const server = await createServer({
+  configFile: false,
+  root: new URL('..', import.meta.url).pathname,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true }, // Los módulos comprobados no importan dependencias.
+});
+
+// Cada comprobación: [descripción, función que recibe los módulos].
+const checks = [
+  ['abre los archivos elegidos y detecta su codificación', async ({ api, double }) => {
+    const win = double.createWindowDouble();
+    const fs = double.installFileSystemAccessDouble(win, { 'datos.txt': new TextEncoder().encode('año;1\n') });
+    fs.nextOpen = ['datos.txt'];
+    const [file] = await api.openFilesWithPicker(win);
+    assert.equal(file.name, 'datos.txt');
+    assert.equal(file.content, 'año;1\n');
+    assert.equal(file.encoding, 'utf-8');
+    assert.deepEqual(Array.from(file.bytes), Array.from(new TextEncoder().encode('año;1\n')));
+    assert.ok(file.handle);
+  }],
+  ['guarda en el archivo original a través de su handle', async ({ api, double }) => {
+    const win = double.createWindowDouble();
+    const fs = double.installFileSystemAccessDouble(win, { 'datos.txt': 'antes' });
+    fs.nextOpen = ['datos.txt'];
+    const [file] = await api.openFilesWithPicker(win);
+    const bytes = new TextEncoder().encode('después');
+    const result = await api.saveOpenedFile(file, bytes, win);
+    assert.equal(result.method, 'handle');
+    assert.deepEqual(fs.writes, ['datos.txt']);
+    assert.deepEqual(Array.from(fs.files['datos.txt']), Array.from(bytes));
+    assert.equal(win.downloads.length, 0);
+  }],
+  ['"Guardar como" escribe en el archivo elegido', async ({ api, double }) => {
+    const win = double.createWindowDouble();
+    const fs = double.installFileSystemAccessDouble(win, { 'datos.txt': 'original' });
+    fs.nextSaveName = 'copia.txt';
+    const result = await api.saveFileAs('datos.txt', 'copia', win);
+    assert.equal(result.method, 'handle');
+    assert.equal(result.name, 'copia.txt');
+    assert.equal(fs.files['copia.txt'], 'copia');
+    assert.equal(fs.files['datos.txt'], 'original');
+  }],
+  ['cancelar los selectores no abre ni guarda nada', async ({ api, double }) => {
+    const win = double.createWindowDouble();
+    const fs = double.installFileSystemAccessDouble(win, { 'datos.txt': 'original' });
+    fs.nextOpen = ['datos.txt'];
+    fs.cancelNext = true;
+    assert.deepEqual(await api.openFilesWithPicker(win), []);
+    fs.cancelNext = true;
+    assert.equal(await api.saveFileAs('datos.txt', 'copia', win), null);
+    assert.deepEqual(fs.writes, []);
+  }],
+  ['sin permiso de escritura, guardar falla', async ({ api, double }) => {
+    const win = double.createWindowDouble();
+    const fs = double.installFileSystemAccessDouble(win, { 'datos.txt': 'original' });
+    const handle = double.createFileHandleDouble(fs, 'datos.txt', 'denied');
+    await assert.rejects(api.saveOpenedFile({ name: 'datos.txt', handle }, 'nuevo', win), /No hay permiso/);
+    assert.equal(fs.files['datos.txt'], 'original');
+  }],
+  ['sin la API (o sin handle), se descarga una copia', async ({ api, double }) => {
+    const win = double.createWindowDouble();
+    assert.equal(api.supportsFileSystemAccess(win), false);
+    const result = await api.saveFileAs('datos.txt', 'texto', win);
+    assert.deepEqual(result, { handle: null, name: 'datos.txt', method: 'download' });
+    await api.saveOpenedFile({ name: 'otro.txt', handle: null }, new Uint8Array([0x61]), win);
+    assert.deepEqual(win.downloads.map(download => download.name), ['datos.txt', 'otro.txt']);
+    assert.equal(await win.downloads[0].blob.text(), 'texto');
+  }],
+];
+
+let failed = 0;
+try {
+  const modules = {
+    api: await server.ssrLoadModule('/src/fileSystemAccess.js'),
+    double: await server.ssrLoadModule('/src/fileSystemAccessDouble.js'),
+  };
+  for (const [description, check] of checks) {
+    try {
+      await check(modules);
+      console.log(`✓ ${description}`);
+    } catch (error) {
+      failed++;
+      console.error(`✗ ${description}\n  ${error.message}`);
+    }
+  }
+} finally {
+  await server.close();
+}
+if (failed > 0) throw new Error(`${failed} de ${checks.length} comprobaciones fallaron.`);
@@ -3,18 +3,94 @@
 // useCallback: Para memorizar funciones y evitar que se re-creen en cada renderizado, optimizando el rendimiento.
 // useEffect: Para ejecutar efectos secundarios (como llamadas a API, suscripciones, o manipulación del DOM) después del renderizado.
 // useRef: Para crear una referencia mutable a un elemento del DOM o a un valor que persiste entre renderizados.
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+// useMemo: Para memorizar valores calculados y recalcularlos solo cuando cambian sus dependencias.
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 
 // Importa íconos específicos como componentes de React desde la librería 'lucide-react'.
 // Estos se usarán para la interfaz de usuario, como botones y elementos visuales.
-import { File, Files, GitBranch, Search, X, ChevronRight, ReplaceAll } from 'lucide-react';
-
-// Función de utilidad para "escapar" caracteres especiales en un string.
-// Esto es crucial para que un texto de búsqueda del usuario pueda ser usado de forma segura en una Expresión Regular (RegExp).
-function escapeRegExp(string) {
-  // Reemplaza cada carácter especial de RegExp (como ., *, +, etc.) con una versión escapada (ej. \. \* \+).
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+import {
+  File, Files, GitBranch, Search, X, ChevronRight, ReplaceAll, LayoutList, TableProperties, Upload,
+  CaseSensitive, WholeWord, Regex, ArrowUp, ArrowDown, Replace, RotateCcw, FileDiff, SaveAll, FolderOpen,
+  Folder, FileUp, FilePlus, Pencil, Trash2, Sheet, ChartColumn, CircleX, TriangleAlert, Info,
+} from 'lucide-react';
+
+// Importa la construcción de la búsqueda (regex, mayúsculas, palabra completa) y la expansión del reemplazo.
+import { DEFAULT_SEARCH_OPTIONS, buildSearchRegex, findMatches, expandReplacement, buildReplaceEdits } from './searchQuery';
+// Importa el subsistema de diseños de registro (separador, campos de cabecera u offset fijo).
+import {
+  getLetterStartIndex, resolveLayout, detectLayout, mergeLayouts,
+  normalizeLayout, loadCustomLayouts, saveCustomLayouts,
+} from './recordLayouts';
+// Importa las utilidades de esquemas de campos de ancho fijo.
+import {
+  parseSchema, formatSchema, resolveSchema, findFieldIndex, describeField, validateRecordLengths, getRecordLength,
+} from './recordSchema';
+// Importa el modelo de documento (piece table) sobre el que se hacen todas las ediciones.
+import {
+  createTextBuffer, applyEdits, getText, getTextRange, getLine, getLines, getLineCount, getLineOffset, offsetAt, positionAt,
+} from './textBuffer';
+// Importa las utilidades para moverse y seleccionar por palabras.
+import { findPreviousWordStart, findNextWordEnd, getWordRangeAt } from './wordNavigation';
+// Importa la creación y (de)serialización de los archivos abiertos.
+import {
+  createOpenedFile, serializeOpenedFile, deserializeOpenedFile, isModifiedFromOriginal, isDirty, markSaved, encodeFileForSave, getFileSize,
+} from './openedFile';
+// Importa las codificaciones de texto (detección, decodificación y nombres visibles).
+import { ENCODINGS, DEFAULT_ENCODING, decodeBytes, getEncodingLabel } from './textEncoding';
+// Importa la detección y normalización del fin de línea (CRLF, LF, CR).
+import { EOL_MODES, DEFAULT_EOL, normalizeEol, normalizeLoadedText } from './lineEndings';
+// Importa la apertura y el guardado de archivos (File System Access API, con descarga como alternativa).
+import {
+  supportsFileSystemAccess, openFilesWithPicker, readFileHandle, readFileContent, readFileAsBytes, saveOpenedFile, saveFileAs,
+} from './fileSystemAccess';
+// Importa el cálculo de diferencias por líneas para el panel de control de código fuente.
+import { computeLineDiff, countChangedLines, getRevertEdit, buildDiffRows } from './lineDiff';
+// Importa el árbol de la carpeta abierta y el acceso a sus archivos (handles, entradas soltadas o <input>).
+import {
+  createTreeNode, loadTreeChildren, findNode, updateNode, removeNode, insertNode, renameNode,
+  joinPath, getParentPath, validateEntryName, filterTree, flattenTree,
+} from './folderTree';
+import {
+  createDirectoryHandleSource, createDirectoryEntrySource, createFileListSource, openDirectoryWithPicker, supportsDirectoryPicker,
+} from './folderSources';
+// Importa el gestor de deshacer/rehacer basado en operaciones (una pila por archivo).
+import { createUndoStack, createStep, pushStep, undoStep, redoStep } from './undoManager';
+// Importa el registro de comandos y los atajos de teclado.
+import { COMMANDS, filterCommands } from './commands';
+// Importa las utilidades de los cursores múltiples y la selección en bloque.
+import {
+  comparePositions, getCaretRange, normalizeCarets, buildCaretEdits, caretsAfterEdits, getBoxCarets, getVerticalCaret,
+  findNextOccurrence, getCaretText,
+} from './multiCursor';
+// Importa la sangría (Tab/Shift+Tab, Enter) y el borrado hacia delante y por palabras.
+import { getIndentText, getRangeLines, getLineIndentChanges, getNewLineText, getDeletionRange } from './indentation';
+// Importa las preferencias del editor (sangría y espacios en blanco visibles).
+import { TAB_SIZES, loadEditorSettings, saveEditorSettings } from './editorSettings';
+// Importa la interpretación del destino de "Ir a la línea".
+import { parseGoToTarget, resolveGoToTarget } from './goToLine';
+
+import {
+  getSyntaxModes, detectSyntaxMode, resolveSyntaxMode, createTokenCache, invalidateTokens, tokenizeLines, getLineTokens,
+} from './syntaxHighlighting';
+import './syntaxModes';
+
+import {
+  GRID_DELIMITERS, parseDelimited, detectDelimiter, getCellEdit, getColumnCount, sortRows, filterRows, getReorderEdit,
+} from './delimitedText';
+
+import { findLinesWithValue } from './columnProfile';
+import { runColumnProfile } from './columnProfileClient';
+
+import { getDocumentFormat, validateDocument, transformDocument } from './documentFormat';
+
+import {
+  computeDiagnostics, countDiagnostics, groupDiagnosticsByLine, getSeverityAt, findAdjacentDiagnostic,
+} from './diagnostics';
+import './diagnosticValidators';
+import {
+  DEFAULT_KEYBINDINGS, getEventKeyChord, formatKeyChord, normalizeKeybinding, resolveKeybindings, getCommandKeyChords,
+  loadCustomKeybindings, saveCustomKeybindings,
+} from './keybindings';
 
 // Componente funcional que inyecta una hoja de estilos CSS en el DOM.
 // Se usa para definir la animación del cursor parpadeante y otros estilos globales del editor.
@@ -39,73 +115,518 @@ const BlinkingCursorStyle = () => (
 );
 
 // Componente para renderizar un ícono en la barra de actividad con un tooltip que aparece al pasar el ratón.
-// Recibe el componente del ícono (Icon) y el texto del tooltip (title) como props.
-const ActivityBarIcon = ({ icon: Icon, title }) => (
-  // Contenedor principal del ícono. 'relative' y 'group' son para el posicionamiento y el efecto hover del tooltip.
-  <div className="relative group cursor-pointer">
-    {/* Renderiza el componente del ícono con estilos de Tailwind CSS. Cambia de color al hacer hover. */}
-    <Icon className="w-6 h-6 text-gray-400 group-hover:text-white transition-colors" />
-    {/* El tooltip. Es invisible por defecto ('opacity-0') y se hace visible al hacer hover en el 'group'. */}
-    <div className="absolute left-full ml-3 px-2 py-1 bg-black text-white text-xs rounded-md opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap pointer-events-none">
-      {title}
+// Recibe el componente del ícono (icon), el texto del tooltip (title), si su vista está activa, la acción al hacer clic
+// y un número opcional (badge) que se muestra sobre el ícono.
+const ActivityBarIcon = ({ icon, title, active, onClick, badge }) => {
+  const Icon = icon; // Componente del ícono (en mayúscula para poder usarlo en JSX).
+  return (
+    // Contenedor principal del ícono. 'relative' y 'group' son para el posicionamiento y el efecto hover del tooltip.
+    <div className="relative group cursor-pointer" onClick={onClick}>
+      {/* Renderiza el componente del ícono con estilos de Tailwind CSS. Es blanco si su vista está activa y cambia de color al hacer hover. */}
+      <Icon className={`w-6 h-6 group-hover:text-white transition-colors ${active ? 'text-white' : 'text-gray-400'}`} />
+      {badge > 0 && (
+        <span className="absolute -bottom-1 -right-2 min-w-4 px-1 rounded-full bg-blue-600 text-white text-[10px] leading-4 text-center">{badge}</span>
+      )}
+      {/* El tooltip. Es invisible por defecto ('opacity-0') y se hace visible al hacer hover en el 'group'. */}
+      <div className="absolute left-full ml-3 px-2 py-1 bg-black text-white text-xs rounded-md opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap pointer-events-none z-50">
+        {title}
+      </div>
     </div>
-  </div>
-);
+  );
+};
 
 // Componente que representa la barra lateral de actividad (la barra de íconos a la izquierda).
-const ActivityBar = () => (
+// `activeView` es la vista del panel lateral que está abierta ('explorer', 'search' o 'scm').
+// `modifiedCount` es el número de archivos con cambios, que se muestra sobre el ícono de control de código fuente.
+const ActivityBar = ({ activeView, setActiveView, modifiedCount }) => (
   // Contenedor de la barra con estilos de color, tamaño y alineación.
   <div className="w-12 h-full bg-[#333333] flex flex-col items-center py-4 space-y-6">
     {/* Renderiza los íconos de la barra de actividad usando el componente ActivityBarIcon. */}
-    <ActivityBarIcon icon={Files} title="Explorador" />
-    <ActivityBarIcon icon={Search} title="Buscar" />
-    <ActivityBarIcon icon={GitBranch} title="Control de código fuente" />
+    <ActivityBarIcon icon={Files} title="Explorador" active={activeView === 'explorer'} onClick={() => setActiveView('explorer')} />
+    <ActivityBarIcon icon={Search} title="Buscar" active={activeView === 'search'} onClick={() => setActiveView('search')} />
+    <ActivityBarIcon icon={GitBranch} title="Control de código fuente" active={activeView === 'scm'} onClick={() => setActiveView('scm')} badge={modifiedCount} />
   </div>
 );
 
+// Campo de texto para escribir el nombre de un archivo nuevo o renombrado dentro del árbol de la carpeta.
+// Enter confirma y Escape (o salir del campo) cancela.
+const TreeNameInput = ({ initialValue, depth, onSubmit, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+  return (
+    <div className="py-0.5 pr-2" style={{ paddingLeft: 8 + depth * 12 }}>
+      <input
+        autoFocus
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onFocus={(e) => e.target.select()}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') onSubmit(value);
+          if (e.key === 'Escape') onCancel();
+        }}
+        onBlur={onCancel}
+        className="w-full bg-zinc-700 text-white text-sm px-1 border border-blue-500 focus:outline-none"
+      />
+    </div>
+  );
+};
+
 // Componente que muestra el panel del explorador de archivos.
-// Recibe la lista de archivos abiertos, el índice del archivo actual y la función para cambiarlo.
-const FileExplorer = ({ openedFiles, currentFileIndex, setCurrentFileIndex }) => (
-  // Contenedor del explorador con estilos y scroll vertical si es necesario.
-  <div className="w-64 h-full bg-[#252526] overflow-y-auto">
-    {/* Título del panel "Explorador". */}
-    <div className="p-2.5 text-xs text-gray-400 font-bold uppercase">Explorador</div>
-    {/* Renderizado condicional: si hay archivos abiertos, los mapea y muestra. */}
-    {openedFiles.length > 0 ? (
-      openedFiles.map((file, index) => (
-        // Contenedor para cada archivo en la lista.
-        <div
-          key={index} // Clave única para cada elemento en la lista, importante para React.
-          // Clases de estilo condicionales: un fondo si es el archivo actual, otro para el hover.
-          className={`px-4 py-1 text-sm text-gray-300 flex items-center cursor-pointer rounded 
-          ${currentFileIndex === index ? 'bg-gray-700/50' : 'hover:bg-gray-700/30'}`}
-          // Al hacer clic, se llama a la función para cambiar el archivo actual.
-          onClick={() => setCurrentFileIndex(index)}
-        >
-          {/* Ícono de archivo. */}
-          <File className="w-4 h-4 mr-2 text-blue-400" />
-          {/* Nombre del archivo. */}
-          <span>{file.name}</span>
+// Arriba, la lista de archivos abiertos ("Editores abiertos"); debajo, el árbol de la carpeta abierta (si la hay).
+const FileExplorer = ({
+  openedFiles, currentFileIndex, setCurrentFileIndex, onSaveAll, onOpenFile,
+  folder, onOpenFolder, onToggleFolderNode, onOpenTreeFile, onCreateFile, onRenameNode, onDeleteNode,
+}) => {
+  // Texto para filtrar el árbol por nombre.
+  const [filter, setFilter] = useState('');
+  // Edición en curso dentro del árbol: { mode: 'create' | 'rename', path } (null si no hay ninguna).
+  const [treeEdit, setTreeEdit] = useState(null);
+  // Ruta del nodo cuyo borrado se está confirmando.
+  const [deletePath, setDeletePath] = useState(null);
+
+  const visiblePaths = useMemo(() => filterTree(folder, filter), [folder, filter]);
+  const treeRows = useMemo(() => flattenTree(folder, visiblePaths), [folder, visiblePaths]);
+  const currentPath = openedFiles[currentFileIndex]?.path;
+
+  // Empieza a crear un archivo dentro de una carpeta (primero la despliega para que se vea dónde queda).
+  const startCreate = async (path) => {
+    await onToggleFolderNode(path, true);
+    setTreeEdit({ mode: 'create', path });
+  };
+  // Confirma la edición en curso. Si el nombre no es válido, el campo sigue abierto para corregirlo.
+  const submitEdit = async (name) => {
+    const { mode, path } = treeEdit;
+    const done = mode === 'create' ? await onCreateFile(path, name) : await onRenameNode(path, name);
+    if (done) setTreeEdit(null);
+  };
+  // Botón de acción de una fila del árbol (solo visible al pasar el ratón).
+  const rowAction = (Icon, title, onClick) => (
+    <button
+      title={title}
+      onMouseDown={(e) => e.preventDefault()} // Evita que el campo de nombre abierto pierda el foco y se cancele.
+      onClick={(e) => { e.stopPropagation(); onClick(); }}
+      className="p-0.5 rounded hover:bg-gray-600 opacity-0 group-hover:opacity-100"
+    >
+      <Icon className="w-3.5 h-3.5" />
+    </button>
+  );
+
+  return (
+    // Contenedor del explorador con estilos y scroll vertical si es necesario.
+    <div className="w-64 h-full bg-[#252526] overflow-y-auto">
+      {/* Título del panel "Explorador", con los botones para abrir archivos o una carpeta y guardar todo. */}
+      <div className="flex items-center justify-between p-2.5 text-xs text-gray-400 font-bold uppercase">
+        <span>Explorador</span>
+        <div className="flex items-center space-x-1">
+          <button onClick={onOpenFile} title="Abrir archivo (Ctrl+O)" className="p-0.5 rounded hover:bg-gray-600">
+            <FileUp className="w-4 h-4" />
+          </button>
+          <button onClick={onOpenFolder} title="Abrir carpeta" className="p-0.5 rounded hover:bg-gray-600">
+            <FolderOpen className="w-4 h-4" />
+          </button>
+          {openedFiles.length > 0 && (
+            <button onClick={onSaveAll} title="Guardar todo (Ctrl+Alt+S)" className="p-0.5 rounded hover:bg-gray-600">
+              <SaveAll className="w-4 h-4" />
+            </button>
+          )}
         </div>
-      ))
-    ) : (
-      // Si no hay archivos abiertos, muestra este mensaje.
-      <div className="px-4 py-2 text-sm text-gray-500">
-        No hay ninguna carpeta abierta.
       </div>
+      {/* Lista de archivos abiertos. */}
+      {openedFiles.length > 0 && (
+        <div className="mb-2">
+          <div className="px-2.5 pb-1 text-xs text-gray-500 font-bold uppercase">Editores abiertos</div>
+          {openedFiles.map((file, index) => (
+            // Contenedor para cada archivo en la lista.
+            <div
+              key={file.id} // Clave única para cada elemento en la lista, importante para React.
+              // Clases de estilo condicionales: un fondo si es el archivo actual, otro para el hover.
+              className={`px-4 py-1 text-sm text-gray-300 flex items-center cursor-pointer rounded 
+              ${currentFileIndex === index ? 'bg-gray-700/50' : 'hover:bg-gray-700/30'}`}
+              // Al hacer clic, se llama a la función para cambiar el archivo actual.
+              onClick={() => setCurrentFileIndex(index)}
+              title={file.path}
+            >
+              {/* Ícono de archivo. */}
+              <File className="w-4 h-4 mr-2 text-blue-400 flex-shrink-0" />
+              {/* Nombre del archivo. */}
+              <span className="truncate">{file.name}</span>
+              {/* Punto que indica que el archivo tiene cambios sin guardar. */}
+              {isDirty(file) && <span className="ml-auto w-2 h-2 flex-shrink-0 rounded-full bg-gray-300" title="Cambios sin guardar" />}
+            </div>
+          ))}
+        </div>
+      )}
+      {/* Árbol de la carpeta abierta. */}
+      {folder ? (
+        <div>
+          <div className="px-2 pb-1">
+            <input
+              type="text"
+              placeholder="Filtrar por nombre"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              className="w-full bg-zinc-700/50 text-white placeholder-gray-400 text-sm px-1 py-0.5 rounded border border-transparent focus:border-blue-500 focus:outline-none"
+            />
+          </div>
+          {treeRows.map(({ node, depth }) => (
+            <React.Fragment key={node.path}>
+              {treeEdit?.mode === 'rename' && treeEdit.path === node.path ? (
+                <TreeNameInput initialValue={node.name} depth={depth} onSubmit={submitEdit} onCancel={() => setTreeEdit(null)} />
+              ) : (
+                <div
+                  className={`group flex items-center pr-2 py-0.5 text-sm text-gray-300 cursor-pointer ${currentPath === node.path ? 'bg-gray-700/50' : 'hover:bg-gray-700/30'}`}
+                  style={{ paddingLeft: 8 + depth * 12 }}
+                  onClick={() => (node.kind === 'directory' ? onToggleFolderNode(node.path) : onOpenTreeFile(node.path))}
+                  title={node.path}
+                >
+                  {node.kind === 'directory' ? (
+                    <>
+                      <ChevronRight className={`w-4 h-4 flex-shrink-0 text-gray-400 transition-transform ${node.isExpanded || visiblePaths ? 'rotate-90' : ''}`} />
+                      <Folder className="w-4 h-4 mr-1.5 flex-shrink-0 text-yellow-500" />
+                    </>
+                  ) : (
+                    <File className="w-4 h-4 ml-4 mr-1.5 flex-shrink-0 text-blue-400" />
+                  )}
+                  <span className={`truncate flex-1 ${depth === 0 ? 'font-bold uppercase text-xs' : ''}`}>{node.name}</span>
+                  {node.kind === 'directory' && rowAction(FilePlus, 'Nuevo archivo', () => startCreate(node.path))}
+                  {depth > 0 && rowAction(Pencil, 'Renombrar', () => setTreeEdit({ mode: 'rename', path: node.path }))}
+                  {depth > 0 && rowAction(Trash2, 'Eliminar', () => setDeletePath(node.path))}
+                </div>
+              )}
+              {/* Campo para el nombre del archivo nuevo, justo debajo de su carpeta. */}
+              {treeEdit?.mode === 'create' && treeEdit.path === node.path && (
+                <TreeNameInput initialValue="" depth={depth + 1} onSubmit={submitEdit} onCancel={() => setTreeEdit(null)} />
+              )}
+            </React.Fragment>
+          ))}
+          {visiblePaths && treeRows.length <= 1 && (
+            <div className="px-4 py-2 text-sm text-gray-500">Ningún archivo cargado coincide con el filtro.</div>
+          )}
+        </div>
+      ) : (
+        // Si no hay ninguna carpeta abierta, muestra este mensaje.
+        <div className="px-4 py-2 text-sm text-gray-500">
+          No hay ninguna carpeta abierta.
+          <button onClick={onOpenFolder} className="block mt-2 px-2 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white">
+            Abrir carpeta
+          </button>
+        </div>
+      )}
+      {/* Confirmación antes de eliminar un archivo o carpeta del árbol. */}
+      {deletePath && (
+        <ConfirmDialog
+          title={`¿Eliminar '${deletePath.substring(deletePath.lastIndexOf('/') + 1)}'?`}
+          message="Se eliminará de la carpeta (con todo su contenido, si es una carpeta)."
+          actions={[
+            { label: 'Eliminar', primary: true, onClick: () => { onDeleteNode(deletePath); setDeletePath(null); } },
+            { label: 'Cancelar', onClick: () => setDeletePath(null) },
+          ]}
+          onCancel={() => setDeletePath(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+// Botón de alternancia (activado/desactivado) para las opciones de búsqueda.
+const SearchToggle = ({ icon, title, active, onClick }) => {
+  const Icon = icon; // Componente del ícono (en mayúscula para poder usarlo en JSX).
+  return (
+    <button
+      onClick={onClick}
+      title={title}
+      className={`p-0.5 rounded border ${active ? 'bg-blue-600/40 border-blue-500 text-white' : 'border-transparent text-gray-400 hover:bg-gray-600'}`}
+    >
+      <Icon className="w-4 h-4" />
+    </button>
+  );
+};
+
+// Número máximo de coincidencias que se muestran en el panel de búsqueda (se cuentan todas).
+const MAX_WORKSPACE_RESULTS = 2000;
+
+// Panel lateral de búsqueda en todos los archivos abiertos.
+// Lista las coincidencias agrupadas por archivo y permite reemplazar en los archivos incluidos.
+const SearchPanel = ({ openedFiles, onOpenMatch, onReplaceInFiles }) => {
+  // Estado local con el término de búsqueda, el de reemplazo y las opciones.
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [options, setOptions] = useState(DEFAULT_SEARCH_OPTIONS);
+  // Ids de los archivos excluidos del reemplazo y de los grupos de resultados plegados.
+  const [excludedIds, setExcludedIds] = useState([]);
+  const [collapsedIds, setCollapsedIds] = useState([]);
+
+  // Coincidencias ya buscadas de cada documento (piece table → resultados) para la búsqueda actual: al editar
+  // un archivo solo se vuelve a buscar en él. Se vacía al cambiar el término o las opciones.
+  const matchCacheRef = useRef({ key: null, results: new WeakMap() });
+
+  // Busca en cada archivo abierto. Devuelve los grupos { file, results } con coincidencias, el total y el error (si lo hay).
+  const { groups, total, error } = useMemo(() => {
+    if (!query) return { groups: [], total: 0, error: null };
+    try {
+      const regex = buildSearchRegex(query, options);
+      const key = `${regex.source}/${regex.flags}`;
+      if (matchCacheRef.current.key !== key) matchCacheRef.current = { key, results: new WeakMap() };
+      const cache = matchCacheRef.current.results;
+      const found = openedFiles
+        .map(file => {
+          if (!cache.has(file.buffer)) cache.set(file.buffer, findMatches(getText(file.buffer), regex));
+          return { file, results: cache.get(file.buffer) };
+        })
+        .filter(group => group.results.length > 0);
+      return { groups: found, total: found.reduce((sum, group) => sum + group.results.length, 0), error: null };
+    } catch (searchError) {
+      return { groups: [], total: 0, error: `Expresión no válida: ${searchError.message}` };
+    }
+  }, [openedFiles, query, options]);
+
+  // Añade o quita un id de una de las listas (excluidos o plegados).
+  const toggleId = (setIds, id) => setIds(ids => (ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id]));
+  // Activa o desactiva una de las opciones de búsqueda.
+  const toggleOption = (option) => setOptions({ ...options, [option]: !options[option] });
+
+  const includedGroups = groups.filter(group => !excludedIds.includes(group.file.id));
+  let shown = 0; // Coincidencias mostradas hasta ahora (para respetar MAX_WORKSPACE_RESULTS).
+
+  return (
+    <div className="w-64 h-full bg-[#252526] flex flex-col text-sm">
+      {/* Título del panel "Buscar". */}
+      <div className="p-2.5 text-xs text-gray-400 font-bold uppercase">Buscar</div>
+      <div className="px-2 space-y-1">
+        <div className={`flex items-center bg-zinc-700/50 rounded px-1 border ${error ? 'border-red-500' : 'border-transparent focus-within:border-blue-500'}`}>
+          <input
+            type="text"
+            placeholder="Buscar en archivos abiertos"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="bg-transparent text-white placeholder-gray-400 text-sm focus:outline-none w-full py-1"
+          />
+          <div className="flex items-center space-x-0.5">
+            <SearchToggle icon={CaseSensitive} title="Coincidir mayúsculas y minúsculas" active={options.matchCase} onClick={() => toggleOption('matchCase')} />
+            <SearchToggle icon={WholeWord} title="Solo palabras completas" active={options.wholeWord} onClick={() => toggleOption('wholeWord')} />
+            <SearchToggle icon={Regex} title="Usar expresión regular" active={options.regex} onClick={() => toggleOption('regex')} />
+          </div>
+        </div>
+        {error && <div className="text-xs text-red-400 px-1">{error}</div>}
+        <div className="flex items-center bg-zinc-700/50 rounded px-1 border border-transparent focus-within:border-blue-500">
+          <input
+            type="text"
+            placeholder="Reemplazar"
+            value={replacement}
+            onChange={(e) => setReplacement(e.target.value)}
+            className="bg-transparent text-white placeholder-gray-400 text-sm focus:outline-none w-full py-1"
+          />
+          {/* Reemplaza en todos los archivos que tengan coincidencias y no estén excluidos. */}
+          <button
+            onClick={() => onReplaceInFiles(query, options, replacement, includedGroups.map(group => group.file.id))}
+            title="Reemplazar en los archivos marcados"
+            className="p-1 hover:bg-gray-600 rounded disabled:opacity-50"
+            disabled={includedGroups.length === 0}
+          >
+            <ReplaceAll className="w-5 h-5 text-gray-300" />
+          </button>
+        </div>
+        {query && !error && (
+          <div className="text-xs text-gray-400 px-1">
+            {total} {total === 1 ? 'resultado' : 'resultados'} en {groups.length} {groups.length === 1 ? 'archivo' : 'archivos'}
+          </div>
+        )}
+      </div>
+
+      {/* Resultados agrupados por archivo. */}
+      <div className="flex-1 overflow-y-auto mt-2">
+        {groups.map(({ file, results }) => {
+          const isCollapsed = collapsedIds.includes(file.id);
+          return (
+            <div key={file.id}>
+              <div className="flex items-center px-2 py-0.5 text-gray-300 hover:bg-gray-700/30 cursor-pointer" onClick={() => toggleId(setCollapsedIds, file.id)}>
+                <ChevronRight className={`w-4 h-4 text-gray-400 transition-transform ${isCollapsed ? '' : 'rotate-90'}`} />
+                {/* Casilla para incluir o excluir el archivo del reemplazo. */}
+                <input
+                  type="checkbox"
+                  title="Incluir en el reemplazo"
+                  checked={!excludedIds.includes(file.id)}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={() => toggleId(setExcludedIds, file.id)}
+                  className="mx-1"
+                />
+                <span className="truncate flex-1">{file.name}</span>
+                <span className="text-xs text-gray-400 bg-gray-700 rounded-full px-1.5">{results.length}</span>
+              </div>
+              {!isCollapsed && results.map((result, i) => {
+                if (shown >= MAX_WORKSPACE_RESULTS) return null;
+                shown++;
+                const line = result.match.input; // `exec` se ejecuta sobre cada línea, así que `input` es la línea completa.
+                return (
+                  <div
+                    key={i}
+                    onClick={() => onOpenMatch(file.id, result)}
+                    className="pl-9 pr-2 py-0.5 text-xs text-gray-400 font-mono truncate cursor-pointer hover:bg-gray-700/30"
+                    title={`Línea ${result.line + 1}`}
+                  >
+                    <span className="text-gray-500 mr-1">{result.line + 1}:</span>
+                    {line.substring(Math.max(0, result.start - 20), result.start)}
+                    <span className="bg-indigo-500/60 text-white">{line.substring(result.start, result.end)}</span>
+                    {line.substring(result.end, result.end + 40)}
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+        {total > MAX_WORKSPACE_RESULTS && (
+          <div className="px-2 py-1 text-xs text-gray-500">Se muestran los primeros {MAX_WORKSPACE_RESULTS} resultados.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Líneas añadidas y borradas de cada documento respecto al original (piece table → { originalContent, counts }),
+// para no repetir el diff completo de los archivos que no han cambiado.
+const changeCountCache = new WeakMap();
+
+// Número de líneas añadidas y borradas de un archivo respecto a su versión original: { added, removed }.
+const getChangeCounts = (file) => {
+  const cached = changeCountCache.get(file.buffer);
+  if (cached && cached.originalContent === file.originalContent) return cached.counts;
+  const counts = countChangedLines(computeLineDiff(file.originalContent, getText(file.buffer)).changes);
+  changeCountCache.set(file.buffer, { originalContent: file.originalContent, counts });
+  return counts;
+};
+
+// Panel lateral de control de código fuente: lista los archivos que han cambiado desde que se cargaron.
+// `modifiedFiles` es una lista de { file, added, removed }.
+const SourceControlPanel = ({ modifiedFiles, diffFileId, onOpenDiff, onRevertFile }) => (
+  <div className="w-64 h-full bg-[#252526] overflow-y-auto text-sm">
+    {/* Título del panel "Control de código fuente". */}
+    <div className="p-2.5 text-xs text-gray-400 font-bold uppercase">Control de código fuente</div>
+    {modifiedFiles.length > 0 ? (
+      <>
+        <div className="px-4 pb-1 text-xs text-gray-400">Cambios ({modifiedFiles.length})</div>
+        {modifiedFiles.map(({ file, added, removed }) => (
+          <div
+            key={file.id}
+            className={`group px-4 py-1 text-gray-300 flex items-center cursor-pointer rounded ${diffFileId === file.id ? 'bg-gray-700/50' : 'hover:bg-gray-700/30'}`}
+            onClick={() => onOpenDiff(file.id)}
+            title="Ver los cambios"
+          >
+            <FileDiff className="w-4 h-4 mr-2 text-yellow-400 flex-shrink-0" />
+            <span className="truncate flex-1">{file.name}</span>
+            <span className="text-xs text-green-400 ml-1">+{added}</span>
+            <span className="text-xs text-red-400 ml-1">−{removed}</span>
+            {/* Descarta todos los cambios del archivo. */}
+            <button
+              onClick={(e) => { e.stopPropagation(); onRevertFile(file.id); }}
+              title="Descartar los cambios"
+              className="ml-1 p-0.5 rounded hover:bg-gray-600 opacity-0 group-hover:opacity-100"
+            >
+              <RotateCcw className="w-3.5 h-3.5 text-gray-300" />
+            </button>
+          </div>
+        ))}
+      </>
+    ) : (
+      <div className="px-4 py-2 text-gray-500">No hay cambios respecto a los archivos cargados.</div>
     )}
   </div>
 );
 
+// Clases de cada tipo de fila de la vista de diferencias.
+const DIFF_ROW_CLASSES = {
+  removed: 'bg-red-900/40 text-red-200',
+  added: 'bg-green-900/40 text-green-200',
+  context: 'text-gray-400',
+};
+
+// Vista de diferencias en línea entre la versión original de un archivo y la actual.
+// Cada cambio tiene una cabecera con un botón para revertirlo.
+const DiffView = ({ file, onRevertChange, onRevertFile, onClose }) => {
+  const diff = useMemo(() => computeLineDiff(file.originalContent, getText(file.buffer)), [file.originalContent, file.buffer]);
+  const rows = useMemo(() => buildDiffRows(diff), [diff]);
+  // Formatea un número de línea (1-based) o lo deja en blanco si la fila no existe en esa versión.
+  const lineNumber = (line) => (line === null ? '' : line + 1);
+
+  return (
+    <div className="flex-1 h-full bg-[#1E1E1E] flex flex-col min-w-0">
+      {/* Cabecera con el nombre del archivo y las acciones. */}
+      <div className="flex items-center bg-[#252526] px-4 py-2 text-sm text-gray-300">
+        <FileDiff className="w-4 h-4 mr-2 text-yellow-400" />
+        <span className="flex-1 truncate">{file.name} (original ↔ actual)</span>
+        <button onClick={() => onRevertFile(file.id)} title="Descartar todos los cambios" className="p-1 hover:bg-gray-600 rounded">
+          <RotateCcw className="w-4 h-4" />
+        </button>
+        <button onClick={onClose} title="Cerrar la vista de cambios" className="ml-1 p-1 hover:bg-gray-600 rounded">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex-1 overflow-auto font-mono text-sm">
+        {diff.changes.length === 0 && (
+          <div className="p-4 text-gray-500 font-sans">El archivo no tiene cambios.</div>
+        )}
+        {diff.changes.length > 0 && rows.map((row, i) => {
+          if (row.type === 'header') {
+            const { change } = row;
+            return (
+              <div key={i} className="flex items-center bg-[#2D2D2D] text-blue-300 text-xs px-2 py-0.5 mt-1">
+                <span className="flex-1">
+                  @@ -{change.originalStart + 1},{change.originalEnd - change.originalStart} +{change.modifiedStart + 1},{change.modifiedEnd - change.modifiedStart} @@
+                </span>
+                <button
+                  onClick={() => onRevertChange(file.id, change)}
+                  title="Revertir este cambio"
+                  className="flex items-center px-1 rounded text-gray-300 hover:bg-gray-600"
+                >
+                  <RotateCcw className="w-3.5 h-3.5 mr-1" /> Revertir
+                </button>
+              </div>
+            );
+          }
+          if (row.type === 'collapsed') {
+            return <div key={i} className="px-2 text-xs text-gray-500 italic">··· {row.count} líneas sin cambios</div>;
+          }
+          return (
+            <div key={i} className={`flex whitespace-pre ${DIFF_ROW_CLASSES[row.type]}`}>
+              <span className="w-12 flex-shrink-0 text-right pr-2 text-gray-500 select-none">{lineNumber(row.originalLine)}</span>
+              <span className="w-12 flex-shrink-0 text-right pr-2 text-gray-500 select-none">{lineNumber(row.modifiedLine)}</span>
+              <span className="w-4 flex-shrink-0 select-none">{row.type === 'removed' ? '-' : row.type === 'added' ? '+' : ' '}</span>
+              <span>{row.text || ' '}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
 // Componente para la barra de búsqueda y reemplazo.
 const SearchAndReplaceBar = ({ 
     searchQuery, setSearchQuery, 
     replaceQuery, setReplaceQuery,
     searchResultsCount, 
-    onReplaceAll
+    onReplaceAll,
+    searchOptions, setSearchOptions,
+    searchError,
+    replacePreview,
+    currentMatchIndex,
+    onFindNext, onFindPrevious, onReplace,
+    isReplaceOpen, setIsReplaceOpen,
+    inputRef,
+    onEscape
 }) => {
-  // Estado local para controlar si el campo de reemplazo está visible o no.
-  const [isReplaceOpen, setIsReplaceOpen] = useState(false);
+  // Teclas del campo de búsqueda: Enter/F3 van a la siguiente coincidencia, Shift+Enter/Shift+F3 a la anterior
+  // y Escape devuelve el foco al editor.
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === 'F3') {
+      e.preventDefault();
+      if (e.shiftKey) onFindPrevious(); else onFindNext();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onEscape();
+    }
+  };
+
+  // Activa o desactiva una de las opciones de búsqueda (regex, matchCase, wholeWord).
+  const toggleOption = (option) => setSearchOptions({ ...searchOptions, [option]: !searchOptions[option] });
 
   return (
     // Contenedor principal de la barra de búsqueda.
@@ -118,21 +639,42 @@ const SearchAndReplaceBar = ({
         </button>
         <div className="flex-1 flex flex-col space-y-1">
           {/* Input para el término de búsqueda. */}
-          <div className="flex items-center bg-zinc-700/50 rounded px-1 border border-transparent focus-within:border-blue-500">
+          <div className={`flex items-center bg-zinc-700/50 rounded px-1 border ${searchError ? 'border-red-500' : 'border-transparent focus-within:border-blue-500'}`}>
             <input
               type="text"
               placeholder="Buscar"
+              ref={inputRef} // Permite enfocar el campo con Ctrl+F / Ctrl+H.
               value={searchQuery} // El valor está controlado por el estado del componente padre.
               onChange={(e) => setSearchQuery(e.target.value)} // Actualiza el estado al escribir.
+              onKeyDown={handleInputKeyDown}
               className="bg-transparent text-white placeholder-gray-400 text-sm focus:outline-none w-full py-1"
             />
-            {/* Muestra el número de resultados si hay un término de búsqueda. */}
+            {/* Muestra la coincidencia actual ("3 de 17") o el número de resultados si hay un término de búsqueda. */}
             {searchQuery && (
               <span className="text-gray-400 text-xs px-2 whitespace-nowrap">
-                {searchResultsCount} {searchResultsCount === 1 ? 'resultado' : 'resultados'}
+                {currentMatchIndex >= 0
+                  ? `${currentMatchIndex + 1} de ${searchResultsCount}`
+                  : `${searchResultsCount} ${searchResultsCount === 1 ? 'resultado' : 'resultados'}`}
               </span>
             )}
+            {/* Botones para ir a la coincidencia anterior/siguiente. */}
+            <button onClick={onFindPrevious} title="Coincidencia anterior (Shift+Enter)" className="p-0.5 hover:bg-gray-600 rounded disabled:opacity-50" disabled={searchResultsCount === 0}>
+              <ArrowUp className="w-4 h-4 text-gray-400" />
+            </button>
+            <button onClick={onFindNext} title="Coincidencia siguiente (Enter)" className="p-0.5 mr-1 hover:bg-gray-600 rounded disabled:opacity-50" disabled={searchResultsCount === 0}>
+              <ArrowDown className="w-4 h-4 text-gray-400" />
+            </button>
+            {/* Opciones de búsqueda: coincidir mayúsculas, palabra completa y expresión regular. */}
+            <div className="flex items-center space-x-0.5">
+              <SearchToggle icon={CaseSensitive} title="Coincidir mayúsculas y minúsculas" active={searchOptions.matchCase} onClick={() => toggleOption('matchCase')} />
+              <SearchToggle icon={WholeWord} title="Solo palabras completas" active={searchOptions.wholeWord} onClick={() => toggleOption('wholeWord')} />
+              <SearchToggle icon={Regex} title="Usar expresión regular" active={searchOptions.regex} onClick={() => toggleOption('regex')} />
+            </div>
           </div>
+          {/* Error del patrón de búsqueda (por ejemplo, una expresión regular mal formada). */}
+          {searchError && (
+            <div className="text-xs text-red-400 px-1">{searchError}</div>
+          )}
 
           {/* Renderizado condicional del input de reemplazo. */}
           {isReplaceOpen && (
@@ -142,14 +684,33 @@ const SearchAndReplaceBar = ({
                 placeholder="Reemplazar"
                 value={replaceQuery} // Controlado por el estado del padre.
                 onChange={(e) => setReplaceQuery(e.target.value)} // Actualiza el estado al escribir.
+                onKeyDown={(e) => {
+                  // Enter en el campo de reemplazo reemplaza la coincidencia actual.
+                  if (e.key === 'Enter') { e.preventDefault(); onReplace(); }
+                  else if (e.key === 'Escape') { e.preventDefault(); onEscape(); }
+                }}
                 className="bg-transparent text-white placeholder-gray-400 text-sm focus:outline-none w-full py-1"
               />
+              {/* Botón para reemplazar solo la coincidencia actual. */}
+              <button onClick={onReplace} title="Reemplazar" className="p-1 hover:bg-gray-600 rounded disabled:opacity-50" disabled={!searchQuery}>
+                <Replace className="w-5 h-5 text-gray-300" />
+              </button>
               {/* Botón para ejecutar la acción de "Reemplazar todo". */}
               <button onClick={onReplaceAll} title="Reemplazar todo" className="p-1 hover:bg-gray-600 rounded disabled:opacity-50" disabled={!searchQuery}>
                 <ReplaceAll className="w-5 h-5 text-gray-300" />
               </button>
             </div>
           )}
+
+          {/* Vista previa del reemplazo sobre la coincidencia actual (o la primera). */}
+          {isReplaceOpen && replacePreview && (
+            <div className="text-xs text-gray-400 px-1 font-mono truncate" title="Vista previa del reemplazo">
+              Línea {replacePreview.line + 1}: {replacePreview.before}
+              <span className="bg-red-500/30 line-through">{replacePreview.matched}</span>
+              <span className="bg-green-500/30">{replacePreview.replacement}</span>
+              {replacePreview.after}
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -187,31 +748,907 @@ const Notification = ({ message, type, onDismiss }) => {
   );
 };
 
-// Función de utilidad para obtener el índice donde comienza el contenido "real" de una línea.
-// Asume un formato específico donde las primeras 3 partes separadas por ';' son metadatos.
-const getLetterStartIndex = (line, separator = ';') => {
-  const parts = line.split(separator);
-  if (parts.length > 3) {
-    // Devuelve la longitud de las 3 primeras partes más los separadores.
-    return parts.slice(0, 3).join(separator).length + 1;
-  }
-  return 0; // Si no tiene ese formato, el contenido empieza en el índice 0.
+// Diálogo modal de confirmación. `actions` es una lista de { label, onClick, primary } que se muestran como botones.
+const ConfirmDialog = ({ title, message, actions, onCancel }) => (
+  // Fondo oscuro que cubre la pantalla; hacer clic fuera del diálogo equivale a cancelar.
+  <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onMouseDown={onCancel}>
+    <div
+      className="bg-[#252526] text-gray-300 rounded-md shadow-lg p-4 w-96"
+      role="dialog"
+      onMouseDown={(e) => e.stopPropagation()}
+      onKeyDown={(e) => { if (e.key === 'Escape') onCancel(); }}
+    >
+      <div className="font-bold mb-2">{title}</div>
+      <div className="text-sm text-gray-400 mb-4">{message}</div>
+      <div className="flex justify-end space-x-2">
+        {actions.map(({ label, onClick, primary }, i) => (
+          <button
+            key={label}
+            autoFocus={i === 0}
+            onClick={onClick}
+            className={`px-3 py-1 rounded text-sm ${primary ? 'bg-blue-600 hover:bg-blue-500 text-white' : 'bg-gray-700 hover:bg-gray-600'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+// Componente para elegir el diseño de registro del archivo actual y editar los diseños del usuario.
+// El valor vacío ("Automático") deja que el diseño se detecte a partir del nombre del archivo.
+const LayoutSelector = ({ file, layouts, customLayouts, onChangeLayout, onSaveLayouts, setNotification }) => {
+  // Estado local para mostrar/ocultar el panel de edición de diseños.
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  // Texto JSON que se está editando en el panel.
+  const [draft, setDraft] = useState('');
+
+  // Diseño que se usaría si el archivo estuviera en modo automático.
+  const detected = detectLayout(file.name, layouts);
+
+  // Abre el panel precargando los diseños actuales del usuario como JSON.
+  const openEditor = () => {
+    setDraft(JSON.stringify(customLayouts, null, 2));
+    setIsEditorOpen(true);
+  };
+
+  // Valida el JSON y guarda los diseños. Si algo falla, se informa sin cerrar el panel.
+  const handleSave = () => {
+    try {
+      const parsed = JSON.parse(draft || '[]');
+      if (!Array.isArray(parsed)) throw new Error('Los diseños deben ser un array JSON.');
+      onSaveLayouts(parsed.map(normalizeLayout));
+      setIsEditorOpen(false);
+      setNotification({ message: 'Diseños guardados.', type: 'success' });
+    } catch (error) {
+      setNotification({ message: `Error en los diseños: ${error.message}`, type: 'error' });
+    }
+  };
+
+  return (
+    <div className="relative flex items-center ml-auto px-2 space-x-1">
+      <select
+        value={file.layoutId || ''}
+        onChange={(e) => onChangeLayout(e.target.value || null)}
+        title="Diseño de registro"
+        className="bg-[#3C3C3C] text-gray-300 text-xs rounded px-1 py-0.5 focus:outline-none"
+      >
+        <option value="">Automático ({detected.name})</option>
+        {layouts.map(layout => (
+          <option key={layout.id} value={layout.id}>{layout.name}</option>
+        ))}
+      </select>
+      {/* Botón para abrir el editor de diseños. */}
+      <button onClick={openEditor} title="Editar diseños" className="p-1 hover:bg-gray-600 rounded">
+        <LayoutList className="w-4 h-4 text-gray-400" />
+      </button>
+
+      {/* Panel flotante con el JSON de los diseños del usuario. */}
+      {isEditorOpen && (
+        <div className="absolute right-0 top-full mt-1 w-96 bg-[#252526] border border-gray-700 rounded shadow-lg p-2 z-40">
+          <div className="text-xs text-gray-400 mb-1">
+            Ejemplo: {'[{ "id": "ventas", "name": "Ventas", "type": "delimited", "separator": "|", "prefixFields": 2, "extensions": [".vta"] }]'}
+          </div>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            spellCheck={false}
+            className="w-full h-48 bg-[#1E1E1E] text-gray-300 font-mono text-xs p-1 rounded focus:outline-none"
+          />
+          <div className="flex justify-end space-x-2 mt-1">
+            <button onClick={() => setIsEditorOpen(false)} className="px-2 py-0.5 text-xs text-gray-300 hover:bg-gray-700 rounded">Cancelar</button>
+            <button onClick={handleSave} className="px-2 py-0.5 text-xs text-white bg-blue-600 hover:bg-blue-500 rounded">Guardar</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Colores de fondo que se alternan entre campos consecutivos del esquema.
+const FIELD_CLASSES = ['bg-sky-500/10', 'bg-amber-500/10'];
+
+// Color del texto de cada tipo de token del resaltado de sintaxis (ver syntaxHighlighting.js).
+const TOKEN_CLASSES = {
+  keyword: 'text-sky-400',
+  string: 'text-orange-300',
+  number: 'text-lime-300',
+  comment: 'text-green-600',
+  property: 'text-sky-300',
+  tag: 'text-blue-400',
+  attribute: 'text-sky-300',
+  punctuation: 'text-gray-400',
+  constant: 'text-blue-400',
+  date: 'text-teal-300',
+  error: 'text-red-400',
+  warning: 'text-yellow-400',
+  info: 'text-blue-300',
+};
+
+// Ícono de cada gravedad de los diagnósticos (ver diagnostics.js) y subrayado del texto que marcan.
+const SEVERITY_ICONS = { error: CircleX, warning: TriangleAlert, info: Info };
+const SEVERITY_ICON_CLASSES = { error: 'text-red-400', warning: 'text-yellow-400', info: 'text-blue-300' };
+const SEVERITY_UNDERLINE_CLASSES = {
+  error: 'underline decoration-wavy decoration-red-500',
+  warning: 'underline decoration-wavy decoration-yellow-500',
+  info: 'underline decoration-wavy decoration-blue-400',
+};
+
+// Ícono de la gravedad de un diagnóstico.
+const SeverityIcon = ({ severity, className = '' }) => {
+  const Icon = SEVERITY_ICONS[severity];
+  return <Icon className={`${SEVERITY_ICON_CLASSES[severity]} flex-shrink-0 ${className}`} />;
+};
+
+// Panel inferior con la lista de diagnósticos del archivo actual. Al hacer clic en uno se selecciona el texto
+// que marca.
+const ProblemsPanel = ({ problems, onGoTo, onClose }) => {
+  const counts = countDiagnostics(problems);
+  return (
+    <div className="h-40 flex flex-col border-t border-gray-700 bg-[#252526] text-sm">
+      <div className="flex items-center justify-between px-2 py-1">
+        <span className="flex items-center text-xs text-gray-400 font-bold uppercase">
+          Problemas
+          {['error', 'warning', 'info'].map(severity => counts[severity] > 0 && (
+            <span key={severity} className="flex items-center ml-2 font-normal">
+              <SeverityIcon severity={severity} className="w-3 h-3 mr-1" />{counts[severity]}
+            </span>
+          ))}
+        </span>
+        <X className="w-4 h-4 text-gray-400 cursor-pointer hover:text-white" onClick={onClose} />
+      </div>
+      <div className="flex-1 overflow-y-auto">
+        {problems.length === 0 && <div className="px-4 text-xs text-gray-500">No se han encontrado problemas.</div>}
+        {problems.map((problem, i) => (
+          <div
+            key={i}
+            onClick={() => onGoTo(problem)}
+            className="flex items-center px-4 py-0.5 text-xs text-gray-300 cursor-pointer hover:bg-gray-700/30"
+          >
+            <SeverityIcon severity={problem.severity} className="w-3 h-3 mr-2" />
+            <span className="flex-1 truncate">{problem.message}</span>
+            <span className="ml-2 text-gray-500 whitespace-nowrap">{problem.source} [Lín. {problem.line + 1}, col. {problem.start + 1}]</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Panel inferior para cargar el esquema de campos del archivo actual y listar las líneas que no lo cumplen.
+const SchemaPanel = ({ schema, hasFileSchema, violations, onApplySchema, onGoToLine, onClose, setNotification }) => {
+  // Texto del esquema que se está editando.
+  const [draft, setDraft] = useState(() => formatSchema(schema));
+  // Referencia al input oculto para cargar el esquema desde un archivo.
+  const fileInputRef = useRef(null);
+
+  // Interpreta el texto y aplica el esquema al archivo actual.
+  const applyText = (text) => {
+    try {
+      const fields = parseSchema(text);
+      onApplySchema(fields.length > 0 ? fields : null);
+      setDraft(formatSchema(fields));
+      setNotification({ message: `Esquema aplicado (${fields.length} campos).`, type: 'success' });
+    } catch (error) {
+      setNotification({ message: `Error en el esquema: ${error.message}`, type: 'error' });
+    }
+  };
+
+  // Lee un archivo de esquema elegido por el usuario.
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => applyText(event.target.result);
+    reader.readAsText(file);
+    e.target.value = ''; // Permite volver a elegir el mismo archivo.
+  };
+
+  return (
+    <div className="h-56 flex border-t border-gray-700 bg-[#252526] text-sm">
+      {/* Columna izquierda: edición del esquema. */}
+      <div className="w-80 flex flex-col p-2 border-r border-gray-700">
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-xs text-gray-400 font-bold uppercase">Esquema</span>
+          <div className="flex items-center space-x-1">
+            <button onClick={() => fileInputRef.current?.click()} title="Cargar esquema desde archivo" className="p-1 hover:bg-gray-600 rounded">
+              <Upload className="w-4 h-4 text-gray-400" />
+            </button>
+            <input ref={fileInputRef} type="file" className="hidden" onChange={handleFile} />
+          </div>
+        </div>
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          spellCheck={false}
+          placeholder={'NOMBRE INICIO LONGITUD TIPO\n05 CLIENTE PIC X(20).'}
+          className="flex-1 bg-[#1E1E1E] text-gray-300 font-mono text-xs p-1 rounded focus:outline-none resize-none"
+        />
+        <div className="flex justify-end space-x-2 mt-1">
+          {hasFileSchema && (
+            <button onClick={() => onApplySchema(null)} className="px-2 py-0.5 text-xs text-gray-300 hover:bg-gray-700 rounded">Quitar</button>
+          )}
+          <button onClick={() => applyText(draft)} className="px-2 py-0.5 text-xs text-white bg-blue-600 hover:bg-blue-500 rounded">Aplicar</button>
+        </div>
+      </div>
+
+      {/* Columna derecha: líneas cuya longitud no coincide con el esquema. */}
+      <div className="flex-1 flex flex-col min-w-0">
+        <div className="flex items-center justify-between px-2 py-1">
+          <span className="text-xs text-gray-400 font-bold uppercase">
+            {schema ? `Longitud esperada: ${getRecordLength(schema)} · ${violations.length} líneas no cumplen` : 'Sin esquema'}
+          </span>
+          <X className="w-4 h-4 text-gray-400 cursor-pointer hover:text-white" onClick={onClose} />
+        </div>
+        <div className="flex-1 overflow-y-auto">
+          {violations.map(violation => (
+            <div
+              key={violation.line}
+              onClick={() => onGoToLine(violation.line)}
+              className="px-4 py-0.5 text-gray-300 cursor-pointer hover:bg-gray-700/30 font-mono text-xs"
+            >
+              Línea {violation.line + 1}: {violation.actual} caracteres (se esperaban {violation.expected})
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Diálogo "Ir a la línea" (Ctrl+G): pide una línea, "línea:columna" o "línea::columna del contenido"
+// (ver goToLine.js) y pasa el destino interpretado a `onGoTo`.
+const GoToLineDialog = ({ lineCount, currentLine, onGoTo, onCancel }) => {
+  const [value, setValue] = useState('');
+  const target = parseGoToTarget(value);
+  const isValid = Boolean(target) && target.line <= lineCount;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start justify-center pt-24 z-50" onMouseDown={onCancel}>
+      <div className="bg-[#252526] text-gray-300 rounded-md shadow-lg p-3 w-96" role="dialog" onMouseDown={(e) => e.stopPropagation()}>
+        <input
+          type="text"
+          autoFocus
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') onCancel();
+            if (e.key === 'Enter' && isValid) onGoTo(target);
+          }}
+          placeholder={`Línea actual: ${currentLine}. Escriba un número de línea entre 1 y ${lineCount}.`}
+          className="w-full bg-[#3C3C3C] border border-blue-500 rounded px-2 py-1 text-sm outline-none"
+        />
+        <div className={`mt-1 text-xs ${value && !isValid ? 'text-red-400' : 'text-gray-500'}`}>
+          {value && !isValid
+            ? `Escriba un número de línea entre 1 y ${lineCount}, "línea:columna" o "línea::columna del contenido".`
+            : 'Formatos: línea, línea:columna, línea::columna del contenido (1 = primer carácter tras la cabecera).'}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Paleta de comandos (Ctrl+Shift+P): busca entre los comandos por su título (búsqueda difusa)
+// y muestra sus atajos. Enter ejecuta el comando elegido.
+const CommandPalette = ({ commands, keyChords, onRun, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const results = useMemo(() => filterCommands(commands, query), [commands, query]);
+  const active = Math.min(activeIndex, results.length - 1);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : results.length - 1;
+      setActiveIndex(results.length ? (active + step) % results.length : 0);
+    } else if (e.key === 'Enter' && results[active]) {
+      onRun(results[active].command.id);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50" onMouseDown={onClose}>
+      <div
+        className="absolute left-1/2 top-12 -translate-x-1/2 w-[36rem] bg-[#252526] text-gray-300 rounded-md shadow-lg p-1"
+        role="dialog"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          type="text"
+          autoFocus
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+          onKeyDown={handleKeyDown}
+          placeholder="Escriba el nombre de un comando"
+          className="w-full bg-[#3C3C3C] border border-blue-500 rounded px-2 py-1 text-sm outline-none"
+        />
+        <div className="max-h-80 overflow-y-auto mt-1 text-sm">
+          {results.length === 0 && <div className="px-2 py-1 text-gray-500">No hay comandos coincidentes.</div>}
+          {results.map(({ command, positions }, i) => (
+            <div
+              key={command.id}
+              onMouseEnter={() => setActiveIndex(i)}
+              onClick={() => onRun(command.id)}
+              className={`flex items-center justify-between px-2 py-0.5 rounded cursor-pointer ${i === active ? 'bg-[#04395E] text-white' : ''}`}
+            >
+              <span>
+                {Array.from(command.title, (char, index) => (
+                  positions.includes(index) ? <span key={index} className="text-blue-400 font-bold">{char}</span> : char
+                ))}
+              </span>
+              <span className="text-xs text-gray-400 space-x-2">
+                {(keyChords.get(command.id) ?? []).map(chord => <kbd key={chord}>{formatKeyChord(chord)}</kbd>)}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Editor de los atajos de teclado del usuario (JSON, como el keybindings.json de VS Code).
+const KeybindingsEditor = ({ customKeybindings, onSave, onClose, setNotification }) => {
+  // Texto JSON que se está editando.
+  const [draft, setDraft] = useState(() => JSON.stringify(customKeybindings, null, 2));
+
+  // Valida el JSON y guarda los atajos. Si algo falla, se informa sin cerrar el editor.
+  const handleSave = () => {
+    try {
+      const parsed = JSON.parse(draft || '[]');
+      if (!Array.isArray(parsed)) throw new Error('Los atajos deben ser un array JSON.');
+      onSave(parsed.map(normalizeKeybinding));
+      onClose();
+      setNotification({ message: 'Atajos de teclado guardados.', type: 'success' });
+    } catch (error) {
+      setNotification({ message: `Error en los atajos: ${error.message}`, type: 'error' });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onMouseDown={onClose}>
+      <div
+        className="bg-[#252526] text-gray-300 rounded-md shadow-lg p-3 w-[40rem]"
+        role="dialog"
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={(e) => { if (e.key === 'Escape') onClose(); }}
+      >
+        <div className="font-bold mb-1">Atajos de teclado</div>
+        <div className="text-xs text-gray-400 mb-1">
+          Ejemplo: {'[{ "key": "ctrl+shift+w", "command": "file.close" }, { "key": "alt+w", "command": "-file.close" }]'}
+        </div>
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          spellCheck={false}
+          autoFocus
+          className="w-full h-48 bg-[#1E1E1E] text-gray-300 font-mono text-xs p-1 rounded focus:outline-none"
+        />
+        {/* Referencia: comandos y sus atajos de serie. */}
+        <div className="max-h-40 overflow-y-auto mt-2 text-xs font-mono text-gray-400">
+          {COMMANDS.map(command => (
+            <div key={command.id} className="flex justify-between">
+              <span>{command.id}</span>
+              <span>{DEFAULT_KEYBINDINGS.filter(binding => binding.command === command.id).map(binding => binding.key).join(', ')}</span>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-end space-x-2 mt-2">
+          <button onClick={onClose} className="px-2 py-0.5 text-xs text-gray-300 hover:bg-gray-700 rounded">Cancelar</button>
+          <button onClick={handleSave} className="px-2 py-0.5 text-xs text-white bg-blue-600 hover:bg-blue-500 rounded">Guardar</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Tamaño de archivo legible (B, KB, MB).
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Vista de tabla del archivo actual (texto delimitado, ver delimitedText.js). Ordenar y filtrar solo cambian la
+// vista; "Aplicar orden" reescribe las filas del archivo en el orden mostrado. Las celdas se editan con doble clic,
+// Enter, F2 o escribiendo, y el cambio se escribe en el documento como una edición normal (se puede deshacer).
+// Las demás teclas se pasan a `onKeyDown`, para que funcionen los atajos de los comandos.
+const DelimitedGrid = ({ buffer, options, onChangeOptions, onEdit, onGoToLine, onKeyDown, onClose, setNotification }) => {
+  const { delimiter, hasHeader } = options;
+  const text = useMemo(() => getText(buffer), [buffer]);
+  const rows = useMemo(() => parseDelimited(text, delimiter), [text, delimiter]);
+  const header = hasHeader ? rows[0] ?? null : null;
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+  const columnCount = Math.max(1, getColumnCount(rows));
+  // Orden de la vista ({ column, descending } o null) y texto del filtro de cada columna.
+  const [sort, setSort] = useState(null);
+  const [filters, setFilters] = useState({});
+  const sortedRows = useMemo(() => (sort ? sortRows(dataRows, sort.column, sort.descending) : dataRows), [dataRows, sort]);
+  const viewRows = useMemo(() => filterRows(sortedRows, filters), [sortedRows, filters]);
+  // Celda seleccionada (fila de la vista y columna) y celda en edición: { row, column, value }, con la fila del documento.
+  const [active, setActive] = useState({ row: 0, column: 0 });
+  const [editing, setEditing] = useState(null);
+  // Si al salir de la celda en edición se descarta el cambio (Escape).
+  const cancelEditRef = useRef(false);
+  const containerRef = useRef(null);
+  // Scroll y altura visible, para montar solo las filas visibles (como las líneas del editor).
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const { first, last } = getVisibleRange(viewport.scrollTop, viewport.height, viewRows.length);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    const observer = new ResizeObserver(() => setViewport(prev => ({ ...prev, height: el.clientHeight })));
+    observer.observe(el);
+    el.focus();
+    return () => observer.disconnect();
+  }, []);
+
+  // La celda seleccionada se mantiene dentro de la tabla y a la vista.
+  const activeRow = Math.min(active.row, viewRows.length - 1);
+  const activeColumn = Math.min(active.column, columnCount - 1);
+  useEffect(() => {
+    containerRef.current?.querySelector(`[data-grid-row="${activeRow}"]`)?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeRow]);
+
+  const columnLabel = (column) => header?.cells[column]?.value || `Columna ${column + 1}`;
+
+  // Ordena por una columna: ascendente, descendente y sin orden, por turnos.
+  const handleSort = (column) => {
+    if (sort?.column !== column) setSort({ column, descending: false });
+    else if (!sort.descending) setSort({ column, descending: true });
+    else setSort(null);
+  };
+
+  // Reescribe las filas del archivo en el orden de la vista (sin la cabecera, y con las filas filtradas incluidas).
+  const handleApplySort = () => {
+    const edit = getReorderEdit(text, dataRows, sortedRows);
+    setSort(null);
+    if (!edit) return;
+    onEdit(edit);
+    setNotification({ message: `Orden aplicado al archivo (${dataRows.length} filas).`, type: 'success' });
+  };
+
+  const startEdit = (rowIndex, column, initialValue = null) => {
+    const row = viewRows[rowIndex];
+    if (!row) return;
+    setActive({ row: rowIndex, column });
+    setEditing({ row, column, value: initialValue ?? row.cells[column]?.value ?? '' });
+  };
+
+  // Termina la edición de la celda y, si su valor ha cambiado, lo escribe en el documento.
+  const finishEdit = () => {
+    const cancelled = cancelEditRef.current;
+    cancelEditRef.current = false;
+    setEditing(null);
+    containerRef.current?.focus();
+    if (cancelled || !editing || editing.value === (editing.row.cells[editing.column]?.value ?? '')) return;
+    onEdit(getCellEdit(editing.row, editing.column, editing.value, delimiter));
+  };
+
+  const handleKeyDown = (e) => {
+    const plain = !e.ctrlKey && !e.metaKey && !e.altKey;
+    const move = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] }[e.key];
+    if (move && plain) {
+      e.preventDefault();
+      setActive({
+        row: Math.max(0, Math.min(viewRows.length - 1, activeRow + move[0])),
+        column: Math.max(0, Math.min(columnCount - 1, activeColumn + move[1])),
+      });
+    } else if ((e.key === 'Enter' || e.key === 'F2') && plain) {
+      e.preventDefault();
+      startEdit(activeRow, activeColumn);
+    } else if (e.key === 'Delete' && plain) {
+      e.preventDefault();
+      const row = viewRows[activeRow];
+      if (row?.cells[activeColumn]?.value) onEdit(getCellEdit(row, activeColumn, '', delimiter));
+    } else if (e.key.length === 1 && plain) {
+      // Escribir sobre una celda la reemplaza, como en una hoja de cálculo.
+      e.preventDefault();
+      startEdit(activeRow, activeColumn, e.key);
+    } else {
+      onKeyDown(e);
+    }
+  };
+
+  const columns = Array.from({ length: columnCount }, (_, column) => column);
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 text-sm">
+      {/* Opciones de la tabla. */}
+      <div className="flex items-center px-2 py-1 space-x-3 bg-[#252526] border-b border-gray-700 text-xs text-gray-300">
+        <label className="flex items-center space-x-1">
+          <span>Separador</span>
+          <select
+            value={delimiter}
+            onChange={(e) => onChangeOptions({ delimiter: e.target.value })}
+            className="bg-[#3C3C3C] text-gray-200 rounded px-1 py-0.5 focus:outline-none"
+          >
+            {GRID_DELIMITERS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input type="checkbox" checked={hasHeader} onChange={(e) => onChangeOptions({ hasHeader: e.target.checked })} />
+          <span>Primera fila como cabecera</span>
+        </label>
+        <span className="text-gray-500">
+          {viewRows.length === dataRows.length ? `${dataRows.length} filas` : `${viewRows.length} de ${dataRows.length} filas`}
+        </span>
+        <div className="flex-1" />
+        {hasFilters && (
+          <button onClick={() => setFilters({})} className="px-2 py-0.5 hover:bg-gray-700 rounded">Quitar filtros</button>
+        )}
+        {sort && (
+          <button onClick={handleApplySort} title="Reordenar las filas del archivo como en la tabla" className="px-2 py-0.5 text-white bg-blue-600 hover:bg-blue-500 rounded">
+            Aplicar orden al archivo
+          </button>
+        )}
+        <button onClick={onClose} title="Volver a la vista de texto" className="p-1 hover:bg-gray-600 rounded">
+          <X className="w-4 h-4 text-gray-400" />
+        </button>
+      </div>
+      {/* Tabla (solo las filas visibles). */}
+      <div
+        ref={containerRef}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        onScroll={(e) => setViewport({ scrollTop: e.currentTarget.scrollTop, height: e.currentTarget.clientHeight })}
+        className="flex-1 overflow-auto focus:outline-none font-mono"
+      >
+        <table className="border-collapse text-gray-300">
+          <thead className="sticky top-0 z-10 bg-[#252526]">
+            <tr>
+              <th className="px-2 border border-gray-700" />
+              {columns.map(column => (
+                <th key={column} className="p-0 border border-gray-700 text-left font-normal">
+                  <button
+                    onClick={() => handleSort(column)}
+                    title="Ordenar por esta columna"
+                    className="flex items-center w-full px-2 py-0.5 font-bold text-gray-200 hover:bg-gray-700"
+                  >
+                    <span className="truncate max-w-xs">{columnLabel(column)}</span>
+                    {sort?.column === column && (sort.descending ? <ArrowDown className="w-3 h-3 ml-1" /> : <ArrowUp className="w-3 h-3 ml-1" />)}
+                  </button>
+                  <input
+                    type="text"
+                    value={filters[column] ?? ''}
+                    onChange={(e) => setFilters({ ...filters, [column]: e.target.value })}
+                    onKeyDown={(e) => e.stopPropagation()}
+                    placeholder="Filtrar"
+                    className="block w-full min-w-16 px-2 py-0.5 bg-[#1E1E1E] text-xs text-gray-300 focus:outline-none"
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr style={{ height: first * LINE_HEIGHT }} />}
+            {viewRows.slice(first, last).map((row, i) => {
+              const rowIndex = first + i;
+              return (
+                <tr key={row.start} data-grid-row={rowIndex} style={{ height: LINE_HEIGHT }}>
+                  <td
+                    onClick={() => onGoToLine(row.line)}
+                    title="Ir a la línea en la vista de texto"
+                    className="px-2 border border-gray-700 text-right text-gray-500 cursor-pointer hover:text-white select-none"
+                  >
+                    {row.line + 1}
+                  </td>
+                  {columns.map(column => {
+                    const isEditing = editing?.row === row && editing.column === column;
+                    const isActive = rowIndex === activeRow && column === activeColumn;
+                    const value = row.cells[column]?.value ?? '';
+                    return (
+                      <td
+                        key={column}
+                        onClick={() => setActive({ row: rowIndex, column })}
+                        onDoubleClick={() => startEdit(rowIndex, column)}
+                        title={value}
+                        className={`p-0 border border-gray-700 ${isActive ? 'outline outline-1 outline-blue-500' : ''}`}
+                      >
+                        {isEditing ? (
+                          <textarea
+                            autoFocus
+                            rows={1}
+                            value={editing.value}
+                            onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                            onKeyDown={(e) => {
+                              e.stopPropagation();
+                              // Enter confirma (Alt+Enter o Shift+Enter insertan un salto de línea) y Escape descarta.
+                              if (e.key === 'Enter' && !e.altKey && !e.shiftKey) {
+                                e.preventDefault();
+                                e.currentTarget.blur();
+                              } else if (e.key === 'Enter') {
+                                e.preventDefault();
+                                setEditing({ ...editing, value: `${editing.value}\n` });
+                              } else if (e.key === 'Escape') {
+                                cancelEditRef.current = true;
+                                e.currentTarget.blur();
+                              }
+                            }}
+                            onBlur={finishEdit}
+                            className="block w-full min-w-24 px-2 bg-[#3C3C3C] text-gray-100 resize-none focus:outline-none"
+                            style={{ height: LINE_HEIGHT }}
+                          />
+                        ) : (
+                          <div className="px-2 truncate max-w-xs whitespace-pre">{value.replace(/\n/g, '↵')}</div>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+            {last < viewRows.length && <tr style={{ height: (viewRows.length - last) * LINE_HEIGHT }} />}
+          </tbody>
+        </table>
+        {rows.length === 0 && <div className="p-4 text-gray-500">El archivo está vacío.</div>}
+      </div>
+    </div>
+  );
+};
+
+// Nombre visible del tipo deducido de un campo en el perfil de columnas.
+const PROFILE_TYPE_LABELS = { number: 'Número', date: 'Fecha', text: 'Texto', empty: 'Vacío' };
+// Espera (en milisegundos) tras la última edición antes de recalcular el perfil.
+const PROFILE_DELAY = 300;
+
+// Panel inferior con el perfil de las columnas del archivo actual (ver columnProfile.js). Se recalcula en un
+// worker cada vez que cambia el documento. `splits` son las formas de dividir las líneas en campos que se
+// pueden elegir ([{ id, label, split }]); al hacer clic en un valor frecuente se salta a la siguiente línea que lo tiene.
+const ProfilePanel = ({ buffer, splits, onSelectValue, onClose }) => {
+  const [splitId, setSplitId] = useState(splits[0].id);
+  const { split } = splits.find(option => option.id === splitId) ?? splits[0];
+  // Último perfil calculado, error del último cálculo y si hay uno en marcha.
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  useEffect(() => {
+    let job = null;
+    setIsRunning(true);
+    const timer = setTimeout(() => {
+      job = runColumnProfile(getText(buffer), split);
+      job.promise
+        .then(result => {
+          setProfile(result);
+          setError(null);
+        })
+        .catch(profileError => setError(profileError.message))
+        .finally(() => setIsRunning(false));
+    }, PROFILE_DELAY);
+    return () => {
+      clearTimeout(timer);
+      job?.cancel();
+    };
+  }, [buffer, split]);
+
+  return (
+    <div className="h-56 flex flex-col border-t border-gray-700 bg-[#252526] text-sm">
+      <div className="flex items-center px-2 py-1 space-x-3">
+        <span className="text-xs text-gray-400 font-bold uppercase">Perfil de columnas</span>
+        <select
+          value={splitId}
+          onChange={(e) => setSplitId(e.target.value)}
+          className="bg-[#3C3C3C] text-gray-200 text-xs rounded px-1 py-0.5 focus:outline-none"
+        >
+          {splits.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+        </select>
+        <span className="text-xs text-gray-500">
+          {isRunning ? 'Calculando...' : profile && `${profile.lineCount} líneas · ${profile.columns.length} campos`}
+        </span>
+        {error && <span className="text-xs text-red-400">{error}</span>}
+        <div className="flex-1" />
+        <X className="w-4 h-4 text-gray-400 cursor-pointer hover:text-white" onClick={onClose} />
+      </div>
+      <div className="flex-1 overflow-auto">
+        {profile && (
+          <table className="w-full text-xs text-gray-300">
+            <thead className="sticky top-0 bg-[#252526] text-gray-400">
+              <tr className="text-left">
+                <th className="px-2 font-normal">Campo</th>
+                <th className="px-2 font-normal">Tipo</th>
+                <th className="px-2 font-normal text-right">Vacíos</th>
+                <th className="px-2 font-normal text-right">Distintos</th>
+                <th className="px-2 font-normal text-right">Longitud</th>
+                <th className="px-2 font-normal">Valores más frecuentes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {profile.columns.map(column => (
+                <tr key={column.index} className="border-t border-gray-700/50 align-top">
+                  <td className="px-2 py-0.5 whitespace-nowrap">{column.name}</td>
+                  <td className="px-2 py-0.5">{PROFILE_TYPE_LABELS[column.type]}</td>
+                  <td className="px-2 py-0.5 text-right">{column.empty}</td>
+                  <td className="px-2 py-0.5 text-right">{column.distinct}</td>
+                  <td className="px-2 py-0.5 text-right whitespace-nowrap">
+                    {column.minLength === column.maxLength ? column.maxLength : `${column.minLength}–${column.maxLength}`}
+                  </td>
+                  <td className="px-2 py-0.5">
+                    {column.topValues.map(({ value, count }) => (
+                      <button
+                        key={value}
+                        onClick={() => onSelectValue(split, column.index, value)}
+                        title="Ir a la siguiente línea con este valor"
+                        className="mr-1 mb-0.5 px-1 rounded bg-gray-700/50 hover:bg-blue-600 font-mono"
+                      >
+                        {value || <span className="italic text-gray-500">(vacío)</span>}
+                        <span className="ml-1 text-gray-500">{count}</span>
+                      </button>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Espera (en milisegundos) tras la última edición antes de volver a medir el tamaño del archivo.
+const SIZE_DELAY = 300;
+
+// Barra de estado al pie del editor con la información del archivo actual: posición del cursor (y columna
+// del contenido del registro, si la línea tiene prefijo), selección, líneas, tamaño, fin de línea,
+// codificación y lenguaje. Al hacer clic en la posición se abre "Ir a la línea"; en la sangría, un menú para
+// elegir espacios o tabulaciones, su ancho y si se ven los espacios en blanco; en el fin de línea, un menú
+// para convertirlo; en la codificación, otro para reabrir o guardar el archivo con otra; y en el lenguaje,
+// otro para elegir el resaltado de sintaxis.
+const StatusBar = ({ file, cursor, contentColumn, selectionSize, diagnostics, onToggleProblems, onGoToLine, onReopenWithEncoding, onSaveWithEncoding, onChangeEol, onChangeSyntaxMode, editorSettings, onChangeEditorSettings }) => {
+  // Menú abierto: null, 'indent', 'eol', 'encoding' o 'language'.
+  const [openMenu, setOpenMenu] = useState(null);
+  const encoding = file.encoding ?? DEFAULT_ENCODING;
+  const eol = file.eol ?? DEFAULT_EOL;
+  // Medir el tamaño recorre todo el texto, así que tras una edición se vuelve a medir poco después de la
+  // última (mientras tanto se muestra la medida anterior). Al cambiar de archivo, de codificación o de fin
+  // de línea se mide en el momento.
+  const [measured, setMeasured] = useState({ fileId: null, buffer: null, size: 0 });
+  useEffect(() => {
+    const timer = setTimeout(() => setMeasured({ fileId: file.id, buffer: file.buffer, size: getFileSize(file) }), SIZE_DELAY);
+    return () => clearTimeout(timer);
+  }, [file]);
+  const size = measured.fileId !== file.id || measured.buffer === file.buffer ? getFileSize(file) : measured.size;
+  const syntaxMode = resolveSyntaxMode(file);
+  const detectedMode = detectSyntaxMode(file.name);
+  const diagnosticCounts = countDiagnostics(diagnostics);
+
+  // Lista de codificaciones de una sección del menú.
+  const encodingOptions = (onSelect) => ENCODINGS.map(({ id, label }) => (
+    <button
+      key={id}
+      onClick={() => { setOpenMenu(null); onSelect(file.id, id); }}
+      className={`block w-full text-left px-3 py-0.5 hover:bg-blue-600 ${id === encoding ? 'text-white font-bold' : 'text-gray-300'}`}
+    >
+      {label}
+    </button>
+  ));
+
+  return (
+    <div className="relative h-6 flex-shrink-0 bg-[#007ACC] text-white text-xs flex items-center justify-end px-2 space-x-1">
+      <button onClick={onToggleProblems} title="Problemas (F8: ir al siguiente)" className="mr-auto px-1.5 h-full flex items-center hover:bg-white/20">
+        <CircleX className="w-3 h-3 mr-1" />{diagnosticCounts.error}
+        <TriangleAlert className="w-3 h-3 ml-2 mr-1" />{diagnosticCounts.warning}
+        <Info className="w-3 h-3 ml-2 mr-1" />{diagnosticCounts.info}
+      </button>
+      <button onClick={onGoToLine} title="Ir a la línea (Ctrl+G)" className="px-1.5 h-full hover:bg-white/20">
+        Lín. {cursor.line + 1}, col. {cursor.char + 1}
+        {contentColumn !== null && ` (contenido ${contentColumn})`}
+        {selectionSize && ` (${selectionSize.chars} seleccionados${selectionSize.lines > 1 ? `, ${selectionSize.lines} líneas` : ''})`}
+      </button>
+      <span className="px-1.5">{getLineCount(file.buffer)} líneas</span>
+      <span className="px-1.5" title={`${size} bytes`}>{formatFileSize(size)}</span>
+      <button onClick={() => setOpenMenu(openMenu === 'indent' ? null : 'indent')} title="Cambiar la sangría" className="px-1.5 h-full hover:bg-white/20">
+        {editorSettings.insertSpaces ? 'Espacios' : 'Tabulaciones'}: {editorSettings.tabSize}
+      </button>
+      {openMenu === 'indent' && (
+        <div className="absolute bottom-full right-40 mb-1 w-56 bg-[#252526] border border-gray-600 rounded shadow-lg py-1 z-40">
+          <div className="px-3 py-0.5 text-gray-500 uppercase font-bold">Sangría</div>
+          {[true, false].map(insertSpaces => (
+            <button
+              key={String(insertSpaces)}
+              onClick={() => onChangeEditorSettings({ insertSpaces })}
+              className={`block w-full text-left px-3 py-0.5 hover:bg-blue-600 ${insertSpaces === editorSettings.insertSpaces ? 'text-white font-bold' : 'text-gray-300'}`}
+            >
+              {insertSpaces ? 'Con espacios' : 'Con tabulaciones'}
+            </button>
+          ))}
+          <div className="px-3 py-0.5 mt-1 text-gray-500 uppercase font-bold border-t border-gray-600">Ancho</div>
+          {TAB_SIZES.map(tabSize => (
+            <button
+              key={tabSize}
+              onClick={() => onChangeEditorSettings({ tabSize })}
+              className={`block w-full text-left px-3 py-0.5 hover:bg-blue-600 ${tabSize === editorSettings.tabSize ? 'text-white font-bold' : 'text-gray-300'}`}
+            >
+              {tabSize}
+            </button>
+          ))}
+          <button
+            onClick={() => onChangeEditorSettings({ renderWhitespace: !editorSettings.renderWhitespace })}
+            className="block w-full text-left px-3 py-0.5 mt-1 border-t border-gray-600 text-gray-300 hover:bg-blue-600"
+          >
+            {editorSettings.renderWhitespace ? '✓ ' : ''}Mostrar espacios en blanco
+          </button>
+        </div>
+      )}
+      <button onClick={() => setOpenMenu(openMenu === 'eol' ? null : 'eol')} title="Cambiar el fin de línea" className="px-1.5 h-full hover:bg-white/20">
+        {eol}
+      </button>
+      {openMenu === 'eol' && (
+        <div className="absolute bottom-full right-24 mb-1 w-44 bg-[#252526] border border-gray-600 rounded shadow-lg py-1 z-40">
+          <div className="px-3 py-0.5 text-gray-500 uppercase font-bold">Convertir fin de línea</div>
+          {EOL_MODES.map(mode => (
+            <button
+              key={mode}
+              onClick={() => { setOpenMenu(null); onChangeEol(file.id, mode); }}
+              className={`block w-full text-left px-3 py-0.5 hover:bg-blue-600 ${mode === eol ? 'text-white font-bold' : 'text-gray-300'}`}
+            >
+              {mode}
+            </button>
+          ))}
+        </div>
+      )}
+      <button onClick={() => setOpenMenu(openMenu === 'encoding' ? null : 'encoding')} title="Cambiar la codificación" className="px-1.5 h-full hover:bg-white/20">
+        {getEncodingLabel(encoding)}
+      </button>
+      {openMenu === 'encoding' && (
+        <div className="absolute bottom-full right-2 mb-1 w-56 bg-[#252526] border border-gray-600 rounded shadow-lg py-1 z-40">
+          <div className="px-3 py-0.5 text-gray-500 uppercase font-bold">Reabrir con codificación</div>
+          {encodingOptions(onReopenWithEncoding)}
+          <div className="px-3 py-0.5 mt-1 text-gray-500 uppercase font-bold border-t border-gray-600">Guardar con codificación</div>
+          {encodingOptions(onSaveWithEncoding)}
+        </div>
+      )}
+      <button onClick={() => setOpenMenu(openMenu === 'language' ? null : 'language')} title="Cambiar el lenguaje" className="px-1.5 h-full hover:bg-white/20">
+        {syntaxMode?.name ?? 'Texto sin formato'}
+      </button>
+      {openMenu === 'language' && (
+        <div className="absolute bottom-full right-2 mb-1 w-56 bg-[#252526] border border-gray-600 rounded shadow-lg py-1 z-40">
+          <div className="px-3 py-0.5 text-gray-500 uppercase font-bold">Lenguaje</div>
+          {[
+            { id: null, name: `Automático (${detectedMode?.name ?? 'texto sin formato'})` },
+            { id: 'plain', name: 'Texto sin formato' },
+            ...getSyntaxModes(),
+          ].map(({ id, name }) => (
+            <button
+              key={id ?? 'auto'}
+              onClick={() => { setOpenMenu(null); onChangeSyntaxMode(file.id, id); }}
+              className={`block w-full text-left px-3 py-0.5 hover:bg-blue-600 ${id === (file.syntaxModeId ?? null) ? 'text-white font-bold' : 'text-gray-300'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
 };
 
 // Componente para renderizar un único carácter en el editor.
 // React.memo es una optimización que evita que el componente se re-renderice si sus props no cambian.
-const Character = React.memo(({ char, charIndex, isHighlighted, isSelected, isCursorAfter, showTooltip, tooltipContent, onMouseEnter }) => {
-    // Determina el estilo de fondo. La selección (azul) tiene prioridad sobre el resaltado de búsqueda (morado).
-    const backgroundClass = isSelected
+// `whitespaceKind` ('tab', 'space' o 'separator') marca los caracteres que se hacen visibles con la opción
+// "Mostrar espacios en blanco": tabulaciones, espacios al final de la línea y separadores de campo.
+// `tokenClass` es el color del carácter según el resaltado de sintaxis y `diagnosticSeverity`, la gravedad del
+// diagnóstico que lo subraya (o null).
+const Character = React.memo(({ char, charIndex, isHighlighted, isCurrentMatch, isSelected, isCursorAfter, showTooltip, tooltipContent, fieldClass, whitespaceKind, tokenClass, diagnosticSeverity, onMouseEnter }) => {
+    // Determina el estilo de fondo. La coincidencia actual de la búsqueda (naranja) tiene prioridad sobre la selección (azul),
+    // la selección sobre el resto de resaltados de búsqueda (morado), y todos sobre el color alterno del campo del esquema.
+    const backgroundClass = isCurrentMatch
+      ? 'bg-orange-500 bg-opacity-80'
+      : isSelected
       ? 'bg-blue-400 bg-opacity-70'
       : isHighlighted
       ? 'bg-indigo-500 bg-opacity-70'
-      : '';
+      : fieldClass || '';
 
     return (
         <span
           data-char-index={charIndex} // Atributo de datos para identificar el índice del carácter.
-          className={`relative ${backgroundClass}`}
+          className={`relative ${backgroundClass} ${diagnosticSeverity ? SEVERITY_UNDERLINE_CLASSES[diagnosticSeverity] : ''}`}
           onMouseEnter={onMouseEnter} // Evento para cuando el ratón entra en el carácter.
         >
           {/* Muestra un tooltip si la prop showTooltip es verdadera. */}
@@ -220,8 +1657,12 @@ const Character = React.memo(({ char, charIndex, isHighlighted, isSelected, isCu
               {tooltipContent}
             </div>
           )}
-          {/* El carácter en sí. */}
-          {char}
+          {/* El carácter en sí (o su marca visible, con "Mostrar espacios en blanco"). */}
+          {whitespaceKind === 'tab' && <span className="absolute left-0 text-gray-600">→</span>}
+          {whitespaceKind === 'space' ? <span className="text-gray-600">·</span>
+            : whitespaceKind === 'separator' ? <span className="text-yellow-500">{char}</span>
+            : tokenClass ? <span className={tokenClass}>{char}</span>
+            : char}
           {/* Muestra el cursor parpadeante si la prop isCursorAfter es verdadera. */}
           {isCursorAfter && <span className="blinking-cursor">|</span>}
         </span>
@@ -229,8 +1670,83 @@ const Character = React.memo(({ char, charIndex, isHighlighted, isSelected, isCu
 });
 
 
+// Teclas de movimiento del cursor. Con Shift, extienden la selección.
+const MOVEMENT_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'];
+
+// Altura fija (en píxeles) de cada línea del editor. Es necesaria para poder calcular
+// qué líneas son visibles sin medir el DOM (renderizado "virtualizado").
+const LINE_HEIGHT = 22;
+// Relleno superior del área del editor (clase 'pt-5' de Tailwind).
+const EDITOR_PADDING_TOP = 20;
+// Líneas extra que se montan por encima y por debajo de la zona visible para que el scroll sea fluido.
+const OVERSCAN_LINES = 10;
+// Tiempo máximo (en milisegundos) de cada tramo de la tokenización en segundo plano.
+const TOKENIZE_STEP_TIME = 10;
+
+// Programa `callback` para cuando el navegador esté libre (con setTimeout donde no hay requestIdleCallback).
+// Devuelve la tarea para cancelarla con cancelIdleTask.
+const scheduleIdleTask = (callback) => (typeof window.requestIdleCallback === 'function'
+  ? { idle: window.requestIdleCallback(callback, { timeout: 100 }) }
+  : { timeout: setTimeout(callback, 0) });
+const cancelIdleTask = (task) => {
+  if (task.idle !== undefined) window.cancelIdleCallback(task.idle);
+  else clearTimeout(task.timeout);
+};
+
+// Espera (en milisegundos) tras la última edición antes de volver a calcular los diagnósticos del archivo.
+const VALIDATE_DELAY = 300;
+
+// Calcula el rango de líneas [first, last) que hay que montar según la posición del scroll.
+const getVisibleRange = (scrollTop, viewportHeight, lineCount) => {
+  const first = Math.max(0, Math.floor((scrollTop - EDITOR_PADDING_TOP) / LINE_HEIGHT) - OVERSCAN_LINES);
+  const last = Math.min(lineCount, Math.ceil((scrollTop + viewportHeight) / LINE_HEIGHT) + OVERSCAN_LINES);
+  return { first, last };
+};
+
+// Hit testing: devuelve el índice del carácter de una línea más cercano a la coordenada X `clientX`.
+// Se usa el atributo `data-char-index` de los spans de `Character`. Si el punto cae en la mitad
+// derecha de un carácter, el cursor se coloca después de él.
+const getCharIndexAtPoint = (lineEl, clientX, lineLength) => {
+  const charSpans = Array.from(lineEl.querySelectorAll('span[data-char-index]'));
+  if (charSpans.length === 0) return 0; // Si la línea está vacía.
+
+  let closest = { offset: Infinity, index: lineLength };
+
+  // Encuentra el carácter más cercano a la posición del clic.
+  charSpans.forEach(span => {
+      const rect = span.getBoundingClientRect();
+      const offset = clientX - rect.left;
+      const width = rect.width;
+      if (Math.abs(offset) < Math.abs(closest.offset)) {
+          closest = { offset: offset, index: parseInt(span.dataset.charIndex, 10) + (offset > width / 2 ? 1 : 0) };
+      }
+  });
+  return closest.index;
+};
+
+// Columna de una línea en la coordenada X `clientX` para la selección en bloque: como getCharIndexAtPoint,
+// pero más allá del final de la línea sigue contando columnas (con el ancho de un carácter de la fuente).
+const getColumnAtPoint = (lineEl, clientX, lineLength) => {
+  const index = getCharIndexAtPoint(lineEl, clientX, lineLength);
+  if (index < lineLength) return index;
+  const sample = lineEl.parentElement?.querySelector('span[data-char-index]');
+  const charWidth = sample?.getBoundingClientRect().width;
+  if (!charWidth) return index;
+  const lastSpan = lineEl.querySelector(`span[data-char-index="${lineLength - 1}"]`);
+  const lineEnd = lastSpan ? lastSpan.getBoundingClientRect().right : lineEl.getBoundingClientRect().left;
+  return Math.max(index, lineLength + Math.round((clientX - lineEnd) / charWidth));
+};
+
+// Tipos MIME de archivos de texto que el navegador no marca como text/*.
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'image/svg+xml', 'application/javascript'];
+
+// Indica si un archivo soltado es de texto: por su tipo MIME, porque no tiene tipo ni extensión o porque su
+// extensión corresponde a un modo de resaltado (.json, .xml, .svg...).
+const isTextFile = (file) => file.type.startsWith('text/') || file.type === '' || !file.name.includes('.')
+  || TEXT_MIME_TYPES.includes(file.type) || detectSyntaxMode(file.name) !== null;
+
 // El componente principal del editor de texto.
-const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileIndex, setNotification }) => {
+const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileIndex, setNotification, layouts, customLayouts, onSaveLayouts, revealRequest, onSaveFiles, onSaveAll, onOpenFiles, onOpenFile, onDropFolder, onReopenWithEncoding, customKeybindings, onSaveKeybindings, editorSettings, onChangeEditorSettings }) => {
   // Estado para saber si se está arrastrando un archivo sobre el editor.
   const [isDragging, setIsDragging] = useState(false);
   // Estado para el texto en el campo de búsqueda.
@@ -239,88 +1755,341 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
   const [replaceQuery, setReplaceQuery] = useState('');
   // Estado para almacenar los resultados de la búsqueda (un array de objetos con posiciones).
   const [searchResults, setSearchResults] = useState([]);
+  // Estado para las opciones de búsqueda (expresión regular, mayúsculas, palabra completa).
+  const [searchOptions, setSearchOptions] = useState(DEFAULT_SEARCH_OPTIONS);
+  // Estado para el mensaje de error del patrón de búsqueda (`null` si es válido).
+  const [searchError, setSearchError] = useState(null);
+  // Índice (en `searchResults`) de la coincidencia actual, o -1 si todavía no se ha navegado a ninguna.
+  const [currentMatchIndex, setCurrentMatchIndex] = useState(-1);
+  // Estado para controlar si el campo de reemplazo está visible o no (Ctrl+H lo abre).
+  const [isReplaceOpen, setIsReplaceOpen] = useState(false);
+  // Referencia al campo de búsqueda para poder enfocarlo con los atajos.
+  const searchInputRef = useRef(null);
+  // Offset a partir del cual se debe seleccionar la siguiente coincidencia cuando se recalculen los resultados
+  // (se usa tras "Reemplazar" para avanzar automáticamente a la siguiente).
+  const pendingMatchOffsetRef = useRef(null);
   // Estado para la posición del carácter sobre el que está el ratón.
   const [hoveredPosition, setHoveredPosition] = useState(null);
   // Estado para la posición del cursor de texto (línea y carácter).
   const [cursorPosition, setCursorPosition] = useState({ line: 0, char: 0 });
   // **NUEVO:** Estado para el rango de texto seleccionado. `null` si no hay selección.
   const [selection, setSelection] = useState(null); // Formato: { start: { line, char }, end: { line, char } }
-  // Estado para el historial de cambios (para deshacer/rehacer).
-  const [history, setHistory] = useState([]);
-  // Índice actual en el historial de cambios.
-  const [historyIndex, setHistoryIndex] = useState(-1);
+  // Cursores secundarios (Alt+arrastrar, Ctrl+Alt+Arriba/Abajo, Ctrl+D): [{ cursor, selection }] (ver multiCursor.js).
+  const [extraCarets, setExtraCarets] = useState([]);
   // Referencia al div principal del editor para poder enfocarlo.
   const editorRef = useRef(null);
+  // Estado con la posición del scroll y la altura visible del editor (para el renderizado virtualizado).
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  // Referencia al frame pendiente de actualizar el viewport (agrupa varios eventos de scroll en uno).
+  const scrollFrameRef = useRef(null);
 
   // Obtiene el objeto del archivo actual para un acceso más fácil.
   const currentFile = openedFiles[currentFileIndex];
+  // Documento (piece table) del archivo actual y su número de líneas.
+  const buffer = currentFile?.buffer;
+  const lineCount = buffer ? getLineCount(buffer) : 0;
+  // Diseño de registro activo para el archivo actual (elegido manualmente o detectado por su nombre).
+  const activeLayout = useMemo(() => resolveLayout(currentFile, layouts), [currentFile, layouts]);
+  // Separador de campos que se resalta con "Mostrar espacios en blanco" (el del diseño, o ';').
+  const fieldSeparator = activeLayout?.type === 'delimited' ? activeLayout.separator : ';';
+  // Modo de resaltado de sintaxis del archivo actual (elegido manualmente o por la extensión).
+  const syntaxMode = resolveSyntaxMode(currentFile);
+
+  // Esquema de campos activo (el cargado para el archivo o el de su diseño) y líneas que no lo cumplen.
+  const activeSchema = resolveSchema(currentFile, activeLayout);
+  const schemaViolations = useMemo(() => {
+    if (!activeSchema || !buffer) return [];
+    return validateRecordLengths(
+      getText(buffer).split('\n'),
+      activeSchema,
+      (line) => getLetterStartIndex(line, activeLayout),
+    );
+  }, [activeSchema, activeLayout, buffer]);
+  // Estado para mostrar/ocultar el panel del esquema.
+  const [isSchemaPanelOpen, setIsSchemaPanelOpen] = useState(false);
+
+  // Guarda (o quita, con `null`) el esquema cargado para el archivo actual.
+  const handleApplySchema = (schema) => {
+    setOpenedFiles(prev => prev.map((file, i) => (i === currentFileIndex ? { ...file, schema } : file)));
+  };
+
+  // Estado para mostrar/ocultar el panel del perfil de columnas y formas de dividir las líneas que ofrece:
+  // por el separador (el de la vista de tabla o el del diseño) y, si hay esquema, por sus campos.
+  const [isProfilePanelOpen, setIsProfilePanelOpen] = useState(false);
+  const profileSeparator = currentFile?.gridOptions?.delimiter ?? fieldSeparator;
+  const profileSplits = useMemo(() => {
+    const splits = [{
+      id: 'delimited',
+      label: `Campos separados por ${profileSeparator === '\t' ? 'tabulaciones' : `"${profileSeparator}"`}`,
+      split: { type: 'delimited', separator: profileSeparator },
+    }];
+    if (activeSchema) splits.unshift({ id: 'schema', label: 'Campos del esquema', split: { type: 'schema', fields: activeSchema, layout: activeLayout } });
+    return splits;
+  }, [profileSeparator, activeSchema, activeLayout]);
+
+  // Cambia el diseño elegido para el archivo actual (`null` vuelve al modo automático).
+  const handleChangeLayout = (layoutId) => {
+    setOpenedFiles(prev => prev.map((file, i) => (i === currentFileIndex ? { ...file, layoutId } : file)));
+  };
 
-  // Función centralizada para actualizar el contenido del archivo y el historial.
-  const updateContentAndHistory = (newContent, addToHistory = true) => {
+  // Función centralizada para actualizar el archivo actual con los cambios indicados (documento, pila de deshacer...).
+  const updateCurrentFile = (changes) => {
     const newFiles = [...openedFiles]; // Crea una copia del array de archivos.
     if (!newFiles[currentFileIndex]) return; // Si no hay archivo actual, no hace nada.
-    // Actualiza el contenido del archivo actual.
-    newFiles[currentFileIndex] = { ...currentFile, content: newContent };
+    newFiles[currentFileIndex] = { ...currentFile, ...changes };
     setOpenedFiles(newFiles); // Actualiza el estado global de archivos.
+  };
+
+  // Cachés de tokens del resaltado de sintaxis de cada archivo (por id). Las ediciones avisan de la primera
+  // posición que cambian para que solo se vuelvan a tokenizar las líneas desde ella.
+  const tokenCachesRef = useRef(new Map());
+  const noteBufferChange = (newBuffer, offset) => {
+    const cache = tokenCachesRef.current.get(currentFile.id);
+    if (cache) invalidateTokens(cache, buffer, newBuffer, offset);
+  };
 
-    // Si se debe añadir al historial y el contenido es diferente al último guardado.
-    if (addToHistory && (history[historyIndex] !== newContent)) {
-      const newHistory = history.slice(0, historyIndex + 1); // Corta el historial futuro (si se deshizo algo).
-      newHistory.push(newContent); // Añade el nuevo estado al historial.
-      setHistory(newHistory); // Actualiza el historial.
-      setHistoryIndex(newHistory.length - 1); // Mueve el puntero al final del historial.
+  // Aplica ediciones ({ offset, length, text }, ordenadas y sin solaparse) al documento actual y las registra
+  // como un paso en la pila de deshacer del archivo. `kind` indica cómo se agrupa con el paso anterior
+  // ('typing', 'delete' u 'other'). Devuelve la posición del cursor correspondiente a `cursorOffset` en el documento nuevo.
+  const commitEdits = (edits, kind, cursorOffset) => {
+    const newBuffer = applyEdits(buffer, edits);
+    const cursor = positionAt(newBuffer, Math.min(cursorOffset, newBuffer.length));
+    const step = createStep(buffer, edits, kind, { cursor: cursorPosition, selection, carets: extraCarets }, { cursor, selection: null });
+    noteBufferChange(newBuffer, edits[0].offset);
+    updateCurrentFile({ buffer: newBuffer, undoStack: pushStep(currentFile.undoStack ?? createUndoStack(), step) });
+    return cursor;
+  };
+
+  // Vista de tabla del archivo actual. Al activarla por primera vez se detecta el separador.
+  const isGridView = Boolean(currentFile?.isGridView);
+  const handleToggleGridView = () => {
+    updateCurrentFile({
+      isGridView: !isGridView,
+      gridOptions: currentFile.gridOptions ?? { delimiter: detectDelimiter(getText(buffer), fieldSeparator), hasHeader: false },
+    });
+  };
+  // Al volver a la vista de texto, el foco vuelve al editor.
+  useEffect(() => {
+    if (!isGridView) editorRef.current?.focus();
+  }, [isGridView]);
+
+  // Salta a la siguiente línea (tras el cursor, volviendo al principio) cuyo campo `index` vale `value`.
+  const handleSelectProfileValue = (split, index, value) => {
+    const lines = findLinesWithValue(getText(buffer), split, index, value);
+    if (lines.length === 0) {
+      setNotification({ message: 'Ninguna línea tiene ese valor.', type: 'info' });
+      return;
     }
+    const line = lines.find(candidate => candidate > cursorPosition.line) ?? lines[0];
+    if (isGridView) updateCurrentFile({ isGridView: false });
+    setCursorPosition({ line, char: 0 });
+    setSelection(null);
+    editorRef.current?.focus();
+    setNotification({ message: `Línea ${line + 1} (${lines.indexOf(line) + 1} de ${lines.length} con ese valor).`, type: 'info' });
   };
-  
-  // useEffect que se ejecuta cuando cambia el archivo actual (por índice o por nombre).
-  // Se encarga de reiniciar el historial de cambios para el nuevo archivo.
+
+  // Formato del documento actual para dar formato y validar ('json', 'xml' o null): el de su modo de
+  // resaltado o el que indica su primer carácter.
+  const documentFormat = useMemo(
+    () => (buffer ? getDocumentFormat(syntaxMode?.id, getTextRange(buffer, 0, Math.min(buffer.length, 1000))) : null),
+    [buffer, syntaxMode],
+  );
+  // Indentación con la que se da formato (la de las preferencias de sangría).
+  const formatIndent = editorSettings.insertSpaces ? ' '.repeat(editorSettings.tabSize) : '\t';
+
+  // Lleva el cursor a un error de sintaxis ({ offset, message }) y lo describe en una notificación.
+  const showSyntaxError = (error, extra = '') => {
+    // Un error sin posición no es de sintaxis (por ejemplo, un resultado demasiado grande para un string).
+    if (typeof error.offset !== 'number') {
+      setNotification({ message: `Error al procesar el documento: ${error.message}`, type: 'error' });
+      return;
+    }
+    const position = positionAt(buffer, Math.min(error.offset, buffer.length));
+    if (isGridView) updateCurrentFile({ isGridView: false });
+    setCursorPosition(position);
+    setSelection(null);
+    editorRef.current?.focus();
+    setNotification({ message: `Lín. ${position.line + 1}, col. ${position.char + 1}: ${error.message}${extra}`, type: 'error' });
+  };
+
+  // Da formato al documento (o lo minimiza, con `minify`) como una sola edición que se puede deshacer.
+  const handleTransformDocument = (minify) => {
+    if (!documentFormat) {
+      setNotification({ message: 'Solo se puede dar formato a documentos JSON o XML.', type: 'info' });
+      return;
+    }
+    const text = getText(buffer);
+    let result;
+    try {
+      result = transformDocument(documentFormat, text, minify ? null : formatIndent);
+    } catch (error) {
+      showSyntaxError(error);
+      return;
+    }
+    if (result === text) return;
+    setCursorPosition(commitEdits([{ offset: 0, length: text.length, text: result }], 'other', 0));
+    setSelection(null);
+  };
+
+  // Valida el documento y lleva el cursor al primer problema, si lo hay.
+  const handleValidateDocument = () => {
+    if (!documentFormat) {
+      setNotification({ message: 'Solo se pueden validar documentos JSON o XML.', type: 'info' });
+      return;
+    }
+    let problems;
+    try {
+      problems = validateDocument(documentFormat, getText(buffer));
+    } catch (error) {
+      showSyntaxError(error);
+      return;
+    }
+    if (problems.length === 0) {
+      setNotification({ message: `El documento ${documentFormat.toUpperCase()} es válido.`, type: 'success' });
+      return;
+    }
+    showSyntaxError(problems[0], problems.length > 1 ? ` (y ${problems.length - 1} problemas más)` : '');
+  };
+
+  // Diagnósticos del archivo actual (ver diagnostics.js), que se recalculan poco después de cada cambio. Se
+  // guarda de qué archivo son para no mostrar los del anterior mientras se calculan los del nuevo. Los errores
+  // de sintaxis JSON/XML solo se incluyen con la validación al escribir.
+  const isValidatingOnType = editorSettings.validateOnType && Boolean(documentFormat);
+  const [diagnostics, setDiagnostics] = useState({ fileId: null, items: [] });
   useEffect(() => {
-    if (currentFile) {
-      setHistory([currentFile.content]); // Reinicia el historial con el contenido actual.
-      setHistoryIndex(0); // Pone el puntero al inicio.
-    } else {
-      setHistory([]); // Si no hay archivo, vacía el historial.
-      setHistoryIndex(-1);
+    if (!currentFile) return;
+    const timer = setTimeout(() => {
+      const text = getText(currentFile.buffer);
+      setDiagnostics({
+        fileId: currentFile.id,
+        items: computeDiagnostics({
+          file: currentFile,
+          text,
+          lines: text.split('\n'),
+          layout: activeLayout,
+          schema: activeSchema,
+          documentFormat: isValidatingOnType ? documentFormat : null,
+        }),
+      });
+    }, VALIDATE_DELAY);
+    return () => clearTimeout(timer);
+  }, [currentFile, activeLayout, activeSchema, isValidatingOnType, documentFormat]);
+  const fileDiagnostics = useMemo(
+    () => (diagnostics.fileId === currentFile?.id ? diagnostics.items : []),
+    [diagnostics, currentFile?.id],
+  );
+  const diagnosticsByLine = useMemo(() => groupDiagnosticsByLine(fileDiagnostics), [fileDiagnostics]);
+  // Estado para mostrar/ocultar el panel de problemas.
+  const [isProblemsPanelOpen, setIsProblemsPanelOpen] = useState(false);
+
+  // Selecciona el texto que marca un diagnóstico (con el cursor al principio) y lo muestra.
+  const revealDiagnostic = ({ line, start, end }) => {
+    if (isGridView) updateCurrentFile({ isGridView: false });
+    setCursorPosition({ line, char: start });
+    setSelection(end > start ? { start: { line, char: end }, end: { line, char: start } } : null);
+    revealCursorColumnRef.current = true;
+    editorRef.current?.focus();
+  };
+
+  // Lleva el cursor al problema siguiente (o anterior) y muestra su mensaje. Se recuerda el último al que se
+  // ha ido para recorrer uno a uno los que empiezan en la misma posición.
+  const problemIndexRef = useRef(-1);
+  const handleGoToProblem = (backwards) => {
+    const index = findAdjacentDiagnostic(fileDiagnostics, cursorPosition, backwards, problemIndexRef.current);
+    if (index === -1) {
+      setNotification({ message: 'No hay problemas en el archivo.', type: 'info' });
+      return;
     }
-    setSelection(null); // Limpia la selección al cambiar de archivo.
-  }, [currentFileIndex, currentFile?.name]); // Dependencias: se ejecuta si cambian.
+    problemIndexRef.current = index;
+    const diagnostic = fileDiagnostics[index];
+    revealDiagnostic(diagnostic);
+    setNotification({
+      message: `Problema ${index + 1} de ${fileDiagnostics.length} (${diagnostic.source}): ${diagnostic.message}`,
+      type: diagnostic.severity === 'error' ? 'error' : 'info',
+    });
+  };
+
+  // Deshace (o rehace, si `redo` es true) el último paso del archivo actual y restaura su cursor y selección.
+  const handleUndoRedo = (redo) => {
+    const stack = currentFile.undoStack ?? createUndoStack();
+    const result = redo ? redoStep(stack, buffer) : undoStep(stack, buffer);
+    if (!result) return; // No hay nada que deshacer/rehacer.
+    noteBufferChange(result.buffer, result.offset);
+    updateCurrentFile({ buffer: result.buffer, undoStack: result.stack });
+    setCursorPosition(result.state.cursor);
+    setSelection(result.state.selection);
+    setExtraCarets(result.state.carets ?? []);
+  };
+  
+  // Cursor y selección de cada archivo abierto (id → { cursor, selection }), para restaurarlos al volver a su
+  // pestaña, y id del archivo al que corresponden el cursor y la selección actuales.
+  const viewStatesRef = useRef(new Map());
+  const viewFileIdRef = useRef(null);
+  const currentFileId = currentFile?.id;
+
+  // useEffect que se ejecuta cuando cambia el archivo actual: restaura su cursor y su selección (al principio
+  // del documento si no se había abierto antes) y quita los cursores adicionales.
+  // (La pila de deshacer vive en cada archivo, así que no se pierde al cambiar de pestaña.)
+  useEffect(() => {
+    const viewState = viewStatesRef.current.get(currentFileId);
+    viewFileIdRef.current = currentFileId ?? null;
+    setCursorPosition(viewState?.cursor ?? { line: 0, char: 0 });
+    setSelection(viewState?.selection ?? null);
+    setExtraCarets([]);
+  }, [currentFileId]); // Dependencias: se ejecuta si cambia.
+
+  // useEffect que apunta el cursor y la selección del archivo actual cada vez que cambian.
+  useEffect(() => {
+    if (viewFileIdRef.current !== null) viewStatesRef.current.set(viewFileIdRef.current, { cursor: cursorPosition, selection });
+  }, [cursorPosition, selection]);
+
+  // useEffect que muestra una coincidencia elegida en el panel de búsqueda: la selecciona y lleva el cursor a ella.
+  // Va después del efecto anterior para que, si además se cambia de archivo, esta selección prevalezca.
+  useEffect(() => {
+    if (!revealRequest) return;
+    const { line, start, end } = revealRequest;
+    setSelection({ start: { line, char: start }, end: { line, char: end } });
+    setCursorPosition({ line, char: end });
+    editorRef.current?.focus();
+  }, [revealRequest]);
 
 
   // useEffect que se ejecuta cuando cambia el término de búsqueda o el archivo actual.
   // Realiza la búsqueda y actualiza los resultados.
   useEffect(() => {
     // Si no hay búsqueda o archivo, vacía los resultados y termina.
-    if (!searchQuery || !currentFile) {
+    if (!searchQuery || !buffer) {
       setSearchResults([]);
+      setSearchError(null);
+      setCurrentMatchIndex(-1);
       return;
     }
 
     try {
-      const safeSearchQuery = escapeRegExp(searchQuery); // Escapa el texto de búsqueda.
-      const regex = new RegExp(safeSearchQuery, 'gi'); // Crea la RegExp (global, insensible a mayúsculas).
-      const lines = currentFile.content.split('\n'); // Divide el contenido en líneas.
-      const results = []; // Array para guardar las coincidencias.
-      lines.forEach((line, lineIndex) => {
-        let match;
-        // Busca todas las coincidencias en la línea.
-        while ((match = regex.exec(line)) !== null) {
-          if (match[0].length === 0) { // Evita bucles infinitos en coincidencias de longitud cero.
-            regex.lastIndex++;
-            continue;
-          }
-          // Guarda la posición de la coincidencia.
-          results.push({
-            line: lineIndex,
-            start: match.index,
-            end: match.index + match[0].length,
-          });
-        }
-      });
+      // Crea la RegExp según las opciones y guarda la posición de cada coincidencia.
+      const regex = buildSearchRegex(searchQuery, searchOptions);
+      const results = findMatches(getText(buffer), regex);
       setSearchResults(results); // Actualiza el estado con los resultados.
-    } catch {
-      setSearchResults([]); // Si la RegExp es inválida, vacía los resultados.
+      setSearchError(null);
+
+      // Tras un reemplazo individual se selecciona la siguiente coincidencia; en otro caso no hay coincidencia actual.
+      const pendingOffset = pendingMatchOffsetRef.current;
+      pendingMatchOffsetRef.current = null;
+      if (pendingOffset !== null && results.length > 0) {
+        const nextIndex = results.findIndex(result => result.offset >= pendingOffset);
+        const index = nextIndex >= 0 ? nextIndex : 0;
+        setCurrentMatchIndex(index);
+        setSelection({ start: { line: results[index].line, char: results[index].start }, end: { line: results[index].line, char: results[index].end } });
+        setCursorPosition({ line: results[index].line, char: results[index].end });
+      } else {
+        setCurrentMatchIndex(-1);
+      }
+    } catch (error) {
+      setCurrentMatchIndex(-1);
+      setSearchResults([]); // Si la RegExp es inválida, vacía los resultados y muestra el error.
+      setSearchError(`Expresión no válida: ${error.message}`);
     }
-  }, [searchQuery, currentFile]); // Dependencias: se ejecuta si cambian.
+  }, [searchQuery, searchOptions, buffer]); // Dependencias: se ejecuta si cambian.
 
   // **NUEVO:** Función que normaliza un rango de selección para asegurar que `start` siempre va antes que `end`.
   const normalizeRange = (start, end) => {
@@ -332,34 +2101,171 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
 
   // **NUEVO:** Función que obtiene el texto actualmente seleccionado.
   const getSelectedText = useCallback(() => {
-    if (!selection || !currentFile) return '';
-    const lines = currentFile.content.split('\n');
+    if (!selection || !buffer) return '';
     const { start, end } = normalizeRange(selection.start, selection.end);
+    return getTextRange(buffer, offsetAt(buffer, start), offsetAt(buffer, end));
+  }, [selection, buffer]);
+
+  // **NUEVO:** Reemplaza el rango [from, to) (posiciones { line, char }) por `text` en el documento,
+  // lo registra en la pila de deshacer y devuelve la posición en la que queda el cursor tras el texto insertado.
+  const applyEdit = (from, to, text, kind = 'other') => {
+    const startOffset = offsetAt(buffer, from);
+    return commitEdits([{ offset: startOffset, length: offsetAt(buffer, to) - startOffset, text }], kind, startOffset + text.length);
+  };
+
+  // Todos los cursores (el principal marcado con `primary`), ordenados y sin solaparse.
+  const getAllCarets = () => normalizeCarets([{ cursor: cursorPosition, selection, primary: true }, ...extraCarets]);
+
+  // Separa una lista de cursores en el principal ({ cursor, selection }) y los secundarios (`carets`).
+  const splitCarets = (carets) => {
+    const primary = carets.find(caret => caret.primary) ?? carets[carets.length - 1];
+    return {
+      cursor: primary.cursor,
+      selection: primary.selection,
+      carets: carets.filter(caret => caret !== primary).map(({ cursor, selection: caretSelection }) => ({ cursor, selection: caretSelection })),
+    };
+  };
+
+  // Sustituye todos los cursores por los de la lista.
+  const setCarets = (carets) => {
+    const state = splitCarets(carets);
+    setCursorPosition(state.cursor);
+    setSelection(state.selection);
+    setExtraCarets(state.carets);
+  };
 
-    if (start.line === end.line) {
-      return lines[start.line].substring(start.char, end.char);
+  // Aplica ediciones ({ offset, length, text }, ordenadas) al documento actual como un único paso de deshacer
+  // y deja los cursores `getCaretsAfter(newBuffer)`.
+  const commitCaretEdits = (edits, kind, getCaretsAfter) => {
+    const newBuffer = applyEdits(buffer, edits);
+    const after = splitCarets(getCaretsAfter(newBuffer));
+    const step = createStep(buffer, edits, kind, { cursor: cursorPosition, selection, carets: extraCarets }, after);
+    noteBufferChange(newBuffer, edits[0].offset);
+    updateCurrentFile({ buffer: newBuffer, undoStack: pushStep(currentFile.undoStack ?? createUndoStack(), step) });
+    setCursorPosition(after.cursor);
+    setSelection(after.selection);
+    setExtraCarets(after.carets);
+  };
+
+  // Aplica una edición en todos los cursores como un único paso de deshacer. `makeEdit(caret, index)`
+  // devuelve el cambio de cada cursor ({ from, to, text }, ver buildCaretEdits) o null.
+  const applyCaretEdit = (makeEdit, kind = 'other') => {
+    const carets = getAllCarets();
+    const { edits, newOffsets } = buildCaretEdits(buffer, carets, makeEdit);
+    if (edits.length === 0) return;
+    commitCaretEdits(edits, kind, (newBuffer) => caretsAfterEdits(newBuffer, carets, newOffsets));
+  };
+
+  // Tab (o Shift+Tab, con `outdent`). Si algún cursor selecciona varias líneas, o al quitar sangría, se
+  // sangran las líneas completas de todos los cursores; si no, Tab inserta la sangría en cada cursor.
+  const handleIndent = (outdent) => {
+    const carets = getAllCarets();
+    const spansLines = carets.some(caret => {
+      const { start, end } = getCaretRange(caret);
+      return start.line !== end.line;
+    });
+    if (!outdent && !spansLines) {
+      applyCaretEdit((caret) => {
+        const { start, end } = getCaretRange(caret);
+        return { from: start, to: end, text: getIndentText(start.char, editorSettings) };
+      }, 'typing');
+      return;
     }
+    const lines = [...new Set(carets.flatMap(caret => getRangeLines(getCaretRange(caret))))].sort((a, b) => a - b);
+    const changes = getLineIndentChanges(lines, (line) => getLine(buffer, line), editorSettings, outdent);
+    if (changes.length === 0) return;
+    const edits = changes.map(change => ({ offset: getLineOffset(buffer, change.line) + change.from, length: change.to - change.from, text: change.text }));
+    // Los cursores y selecciones de las líneas cambiadas se desplazan con su texto.
+    const deltas = new Map(changes.map(change => [change.line, change.delta]));
+    const shift = (position) => (deltas.has(position.line) ? { line: position.line, char: Math.max(0, position.char + deltas.get(position.line)) } : position);
+    commitCaretEdits(edits, 'other', () => carets.map(caret => ({
+      cursor: shift(caret.cursor),
+      selection: caret.selection && { start: shift(caret.selection.start), end: shift(caret.selection.end) },
+      ...(caret.primary && { primary: true }),
+    })));
+  };
+
+  // Añade un cursor en la línea de encima (direction -1) o de debajo (+1) de los cursores actuales.
+  const handleAddCaretVertically = (direction) => {
+    const carets = getAllCarets();
+    const caret = getVerticalCaret(carets, direction, lineCount, (line) => getLine(buffer, line).length);
+    if (!caret) return;
+    setCarets(normalizeCarets([...carets.map(({ cursor, selection: caretSelection }) => ({ cursor, selection: caretSelection })), { ...caret, primary: true }]));
+  };
 
-    let text = '';
-    text += lines[start.line].substring(start.char);
-    for (let i = start.line + 1; i < end.line; i++) {
-      text += '\n' + lines[i];
+  // Ctrl+D: sin selección, selecciona la palabra del cursor; con selección, añade un cursor en la siguiente
+  // aparición del texto seleccionado.
+  const handleAddNextOccurrence = () => {
+    if (!selection || comparePositions(selection.start, selection.end) === 0) {
+      const word = getWordRangeAt(getLine(buffer, cursorPosition.line), cursorPosition.char);
+      if (word.start === word.end) return;
+      const end = { line: cursorPosition.line, char: word.end };
+      setSelection({ start: { line: cursorPosition.line, char: word.start }, end });
+      setCursorPosition(end);
+      return;
     }
-    text += '\n' + lines[end.line].substring(0, end.char);
-    return text;
-  }, [selection, currentFile]);
+    const needle = getCaretText(buffer, { cursor: cursorPosition, selection });
+    const carets = getAllCarets();
+    const taken = new Set(carets.filter(caret => caret.selection).map(caret => offsetAt(buffer, getCaretRange(caret).start)));
+    const from = offsetAt(buffer, normalizeRange(selection.start, selection.end).end);
+    const index = findNextOccurrence(getText(buffer), needle, from, (offset) => taken.has(offset));
+    if (index === -1) {
+      setNotification({ message: 'No hay más coincidencias de la selección.', type: 'info' });
+      return;
+    }
+    const start = positionAt(buffer, index);
+    const end = positionAt(buffer, index + needle.length);
+    setCarets(normalizeCarets([
+      ...carets.map(({ cursor, selection: caretSelection }) => ({ cursor, selection: caretSelection })),
+      { cursor: end, selection: { start, end }, primary: true },
+    ]));
+  };
+
+  // Agrupa los resultados de búsqueda por línea para no recorrer todos los resultados en cada carácter.
+  const searchResultsByLine = useMemo(() => {
+    const byLine = new Map();
+    searchResults.forEach(result => {
+      if (!byLine.has(result.line)) byLine.set(result.line, []);
+      byLine.get(result.line).push(result);
+    });
+    return byLine;
+  }, [searchResults]);
 
   // Función que determina si un carácter en una posición específica debe ser resaltado por búsqueda.
   const isHighlighted = (lineIndex, charIndex) => {
     if (searchQuery.length === 0) return false; // Si no hay búsqueda, no resalta nada.
-    // Devuelve true si alguna de las coincidencias en 'searchResults' incluye esta posición.
-    return searchResults.some(result =>
-      result.line === lineIndex && charIndex >= result.start && charIndex < result.end
-    );
+    // Devuelve true si alguna de las coincidencias de esa línea incluye esta posición.
+    const lineResults = searchResultsByLine.get(lineIndex);
+    return Boolean(lineResults) && lineResults.some(result => charIndex >= result.start && charIndex < result.end);
+  };
+
+  // Función que determina si un carácter pertenece a la coincidencia actual de la búsqueda.
+  const isInCurrentMatch = (lineIndex, charIndex) => {
+    const result = searchResults[currentMatchIndex];
+    return Boolean(result) && result.line === lineIndex && charIndex >= result.start && charIndex < result.end;
   };
 
+  // Rangos seleccionados por los cursores secundarios en cada línea (línea → [{ start, end }], end exclusivo)
+  // y columnas en las que hay un cursor secundario (línea → Set de columnas).
+  const extraCaretsByLine = useMemo(() => {
+    const ranges = new Map();
+    const cursors = new Map();
+    extraCarets.forEach(caret => {
+      if (!cursors.has(caret.cursor.line)) cursors.set(caret.cursor.line, new Set());
+      cursors.get(caret.cursor.line).add(caret.cursor.char);
+      if (!caret.selection) return;
+      const { start, end } = getCaretRange(caret);
+      for (let line = start.line; line <= end.line; line++) {
+        if (!ranges.has(line)) ranges.set(line, []);
+        ranges.get(line).push({ start: line === start.line ? start.char : 0, end: line === end.line ? end.char : Infinity });
+      }
+    });
+    return { ranges, cursors };
+  }, [extraCarets]);
+
   // **NUEVO:** Función que determina si un carácter está dentro del rango de selección actual.
   const isInSelection = useCallback((lineIndex, charIndex) => {
+    if (extraCaretsByLine.ranges.get(lineIndex)?.some(range => charIndex >= range.start && charIndex < range.end)) return true;
     if (!selection) return false;
     const { start, end } = normalizeRange(selection.start, selection.end);
     
@@ -371,7 +2277,7 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
     const isBeforeEnd = pos.line < end.line || (pos.line === end.line && pos.char < end.char);
 
     return isAfterStart && isBeforeEnd;
-  }, [selection]);
+  }, [selection, extraCaretsByLine]);
 
 
   // Lógica para reemplazar todas las coincidencias encontradas.
@@ -379,225 +2285,357 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
     if (!currentFile || !searchQuery) return; // No hace nada si no hay archivo o búsqueda.
 
     try {
-        const safeSearchQuery = escapeRegExp(searchQuery);
-        const regex = new RegExp(safeSearchQuery, 'gi');
-        
-        const originalContent = currentFile.content;
-        const matches = originalContent.match(regex); // Encuentra cuántas coincidencias hay.
+        const regex = buildSearchRegex(searchQuery, searchOptions);
+        // Una edición por coincidencia, en orden de aparición. En modo regex se expanden $1, $<nombre>, etc.
+        const edits = buildReplaceEdits(getText(buffer), regex, replaceQuery, searchOptions.regex);
         
-        if (!matches || matches.length === 0) {
+        if (edits.length === 0) {
             setNotification({ message: "No se encontraron coincidencias.", type: 'info' });
             return;
         }
         
-        // Reemplaza todas las ocurrencias en el contenido.
-        const newContent = originalContent.replace(regex, replaceQuery);
-
-        if (newContent !== originalContent) {
-            updateContentAndHistory(newContent); // Actualiza el contenido y el historial.
-            setNotification({ message: `Se reemplazaron ${matches.length} instancias.`, type: "success" });
-        }
+        // Aplica todos los reemplazos al documento de una sola pasada.
+        // El cursor se mantiene en su posición (acotada al nuevo tamaño del documento).
+        setCursorPosition(commitEdits(edits, 'other', offsetAt(buffer, cursorPosition)));
+        setSelection(null);
+        setNotification({ message: `Se reemplazaron ${edits.length} instancias.`, type: "success" });
     } catch (error) {
-        setNotification({ message: "Error en la expresión de búsqueda.", type: 'error' });
+        setNotification({ message: `Error en la expresión de búsqueda: ${error.message}`, type: 'error' });
     }
   };
 
+  // Vista previa del reemplazo sobre la primera coincidencia: el texto de la línea alrededor de la coincidencia,
+  // lo que se quita y lo que se pone.
+  const replacePreview = useMemo(() => {
+    const first = searchResults[Math.max(0, currentMatchIndex)];
+    if (!first || !buffer) return null;
+    const line = getLine(buffer, first.line);
+    return {
+      line: first.line,
+      before: line.substring(Math.max(0, first.start - 20), first.start),
+      matched: line.substring(first.start, first.end),
+      replacement: expandReplacement(replaceQuery, first.match, searchOptions.regex),
+      after: line.substring(first.end, first.end + 20),
+    };
+  }, [searchResults, currentMatchIndex, buffer, replaceQuery, searchOptions.regex]);
+
+  // Selecciona la coincidencia `index` de la búsqueda y mueve el cursor a su final
+  // (el useEffect del cursor se encarga de desplazar el editor hasta ella).
+  const goToMatch = (index) => {
+    const result = searchResults[index];
+    if (!result) return;
+    setCurrentMatchIndex(index);
+    setSelection({ start: { line: result.line, char: result.start }, end: { line: result.line, char: result.end } });
+    setCursorPosition({ line: result.line, char: result.end });
+  };
 
-  // Manejador de eventos para las pulsaciones de teclado en el editor.
-  const handleKeyDown = (e) => {
-    if (!currentFile) return; // No hace nada si no hay un archivo abierto.
-    
-    // **NUEVO:** Atajo Ctrl+A (o Cmd+A) para seleccionar todo el texto.
-    if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
-      e.preventDefault();
-      const lines = currentFile.content.split('\n');
-      const lastLine = lines.length - 1;
-      const lastChar = lines[lastLine].length;
-      setSelection({
-        start: { line: 0, char: 0 },
-        end: { line: lastLine, char: lastChar }
-      });
-      // Mueve el cursor al final de la selección.
-      setCursorPosition({ line: lastLine, char: lastChar });
+  // Va a la coincidencia siguiente (o anterior si `backwards`). Si aún no hay coincidencia actual,
+  // se parte de la posición del cursor.
+  const handleFindNext = (backwards = false) => {
+    const count = searchResults.length;
+    if (count === 0) return;
+    if (currentMatchIndex >= 0) {
+      goToMatch((currentMatchIndex + (backwards ? count - 1 : 1)) % count);
       return;
     }
+    const cursorOffset = offsetAt(buffer, cursorPosition);
+    if (backwards) {
+      const previous = searchResults.findLastIndex(result => result.offset + (result.end - result.start) < cursorOffset);
+      goToMatch(previous >= 0 ? previous : count - 1);
+    } else {
+      const next = searchResults.findIndex(result => result.offset >= cursorOffset);
+      goToMatch(next >= 0 ? next : 0);
+    }
+  };
 
-    // **NUEVO:** Atajo Ctrl+C (o Cmd+C) para copiar.
-    if ((e.ctrlKey || e.metaKey) && e.key === 'c') {
-      e.preventDefault();
-      const selectedText = getSelectedText();
-      if (selectedText) {
-        navigator.clipboard.writeText(selectedText)
-          .then(() => setNotification({ message: 'Texto copiado.', type: 'success' }))
-          .catch(() => setNotification({ message: 'Error al copiar texto.', type: 'error' }));
-      }
+  // Reemplaza solo la coincidencia actual y avanza a la siguiente. Si no hay coincidencia actual, primero se navega a una.
+  const handleReplace = () => {
+    const result = searchResults[currentMatchIndex];
+    if (!result) {
+      handleFindNext();
       return;
     }
+    const text = expandReplacement(replaceQuery, result.match, searchOptions.regex);
+    pendingMatchOffsetRef.current = result.offset + text.length;
+    setCursorPosition(commitEdits([{ offset: result.offset, length: result.end - result.start, text }], 'other', result.offset + text.length));
+    setSelection(null);
+  };
 
-    // **NUEVO:** Atajo Ctrl+V (o Cmd+V) para pegar.
-    if ((e.ctrlKey || e.metaKey) && e.key === 'v') {
-      e.preventDefault();
-      navigator.clipboard.readText().then(textToPaste => {
-        if (!textToPaste) return;
-        
-        let lines = currentFile.content.split('\n');
-        let startPos = cursorPosition;
-
-        // Si hay una selección, se elimina primero.
-        if (selection) {
-          const { start, end } = normalizeRange(selection.start, selection.end);
-          startPos = start;
-          const pre = lines[start.line].substring(0, start.char);
-          const post = lines[end.line].substring(end.char);
-          lines.splice(start.line, end.line - start.line + 1, pre + post);
-        }
-
-        const pasteLines = textToPaste.split('\n');
-        const currentLine = lines[startPos.line];
-        const prePaste = currentLine.substring(0, startPos.char);
-        const postPaste = currentLine.substring(startPos.char);
-
-        // Si el texto a pegar es de una sola línea.
-        if (pasteLines.length === 1) {
-          lines[startPos.line] = prePaste + pasteLines[0] + postPaste;
-        } else { // Si es multilínea.
-          lines[startPos.line] = prePaste + pasteLines[0];
-          lines.splice(startPos.line + 1, 0, ...pasteLines.slice(1));
-          lines[startPos.line + pasteLines.length - 1] += postPaste;
-        }
+  // Abre la barra de búsqueda (y el reemplazo si `withReplace`) y enfoca el campo de búsqueda.
+  // Si hay una selección de una sola línea, se usa como término de búsqueda.
+  const focusSearch = (withReplace) => {
+    if (withReplace) setIsReplaceOpen(true);
+    const selectedText = getSelectedText();
+    if (selectedText && !selectedText.includes('\n')) setSearchQuery(selectedText);
+    searchInputRef.current?.focus();
+    searchInputRef.current?.select();
+  };
 
-        // Calcula la nueva posición del cursor.
-        const newCursorLine = startPos.line + pasteLines.length - 1;
-        const newCursorChar = (pasteLines.length === 1 ? startPos.char : 0) + pasteLines[pasteLines.length - 1].length;
+  // useEffect que desplaza horizontalmente el editor hasta la coincidencia actual si queda fuera de la vista.
+  useEffect(() => {
+    const result = searchResults[currentMatchIndex];
+    if (!result) return;
+    const span = editorRef.current?.querySelector(`[data-line-index="${result.line}"] [data-char-index="${result.start}"]`);
+    span?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+  }, [currentMatchIndex, searchResults]);
+
+
+  // Selecciona todo el documento y deja el cursor al final.
+  const handleSelectAll = () => {
+    const lastLine = lineCount - 1;
+    const lastChar = getLine(buffer, lastLine).length;
+    setSelection({
+      start: { line: 0, char: 0 },
+      end: { line: lastLine, char: lastChar }
+    });
+    // Mueve el cursor al final de la selección.
+    setCursorPosition({ line: lastLine, char: lastChar });
+    setExtraCarets([]);
+  };
 
-        updateContentAndHistory(lines.join('\n'));
-        setCursorPosition({ line: newCursorLine, char: newCursorChar });
-        setSelection(null); // Limpia la selección después de pegar.
-      });
-      return;
+  // Copia la selección al portapapeles (con varios cursores, la de cada uno en una línea).
+  const handleCopy = () => {
+    const selectedText = extraCarets.length > 0
+      ? getAllCarets().map(caret => getCaretText(buffer, caret)).join('\n')
+      : getSelectedText();
+    if (selectedText) {
+      navigator.clipboard.writeText(selectedText)
+        .then(() => setNotification({ message: 'Texto copiado.', type: 'success' }))
+        .catch(() => setNotification({ message: 'Error al copiar texto.', type: 'error' }));
     }
+  };
+
+  // Pega el texto del portapapeles en el cursor (o en lugar de la selección).
+  const handlePaste = () => {
+    navigator.clipboard.readText().then(clipboardText => {
+      if (!clipboardText) return;
+      // El documento solo usa '\n': los saltos de línea del portapapeles se normalizan.
+      const textToPaste = normalizeEol(clipboardText);
+
+      // Con varios cursores se pega en todos; si el texto tiene tantas líneas como cursores, una en cada uno.
+      if (extraCarets.length > 0) {
+        const pastedLines = textToPaste.split('\n');
+        const distribute = pastedLines.length === extraCarets.length + 1;
+        applyCaretEdit((caret, index) => {
+          const { start, end } = getCaretRange(caret);
+          return { from: start, to: end, text: distribute ? pastedLines[index] : textToPaste };
+        });
+        return;
+      }
+
+      // Si hay una selección, el texto pegado la reemplaza; si no, se inserta en el cursor.
+      const { start, end } = selection
+        ? normalizeRange(selection.start, selection.end)
+        : { start: cursorPosition, end: cursorPosition };
+      setCursorPosition(applyEdit(start, end, textToPaste));
+      setSelection(null); // Limpia la selección después de pegar.
+    });
+  };
+
+  // Funciones que ejecutan cada comando del registro (ver commands.js), y si se pueden ejecutar ahora.
+  const hasOpenFile = Boolean(currentFile);
+  const commandHandlers = {
+    'workbench.showCommands': { enabled: true, run: () => setIsCommandPaletteOpen(true) },
+    'workbench.openKeybindings': { enabled: true, run: () => setIsKeybindingsEditorOpen(true) },
+    'file.open': { enabled: true, run: onOpenFile },
+    'file.save': { enabled: hasOpenFile, run: () => onSaveFiles([currentFile.id]) },
+    'file.saveAs': { enabled: hasOpenFile, run: () => onSaveFiles([currentFile.id], { saveAs: true }) },
+    'file.saveAll': { enabled: true, run: onSaveAll },
+    'file.close': { enabled: hasOpenFile, run: () => handleClose(currentFileIndex) },
+    'edit.undo': { enabled: hasOpenFile, run: () => handleUndoRedo(false) },
+    'edit.redo': { enabled: hasOpenFile, run: () => handleUndoRedo(true) },
+    'edit.selectAll': { enabled: hasOpenFile, run: handleSelectAll },
+    'edit.copy': { enabled: hasOpenFile, run: handleCopy },
+    'edit.paste': { enabled: hasOpenFile, run: handlePaste },
+    'find.find': { enabled: hasOpenFile, run: () => focusSearch(false) },
+    'find.replace': { enabled: hasOpenFile, run: () => focusSearch(true) },
+    'find.next': { enabled: hasOpenFile, run: () => handleFindNext(false) },
+    'find.previous': { enabled: hasOpenFile, run: () => handleFindNext(true) },
+    'find.replaceAll': { enabled: hasOpenFile, run: handleReplaceAll },
+    'go.line': { enabled: hasOpenFile, run: () => setIsGoToLineOpen(true) },
+    'go.nextProblem': { enabled: hasOpenFile, run: () => handleGoToProblem(false) },
+    'go.previousProblem': { enabled: hasOpenFile, run: () => handleGoToProblem(true) },
+    'edit.addCursorAbove': { enabled: hasOpenFile, run: () => handleAddCaretVertically(-1) },
+    'edit.addCursorBelow': { enabled: hasOpenFile, run: () => handleAddCaretVertically(1) },
+    'edit.addNextOccurrence': { enabled: hasOpenFile, run: handleAddNextOccurrence },
+    'editor.indentUsingSpaces': { enabled: true, run: () => onChangeEditorSettings({ insertSpaces: true }) },
+    'editor.indentUsingTabs': { enabled: true, run: () => onChangeEditorSettings({ insertSpaces: false }) },
+    'editor.toggleRenderWhitespace': { enabled: true, run: () => onChangeEditorSettings({ renderWhitespace: !editorSettings.renderWhitespace }) },
+    'view.toggleGrid': { enabled: hasOpenFile, run: handleToggleGridView },
+    'view.toggleProfile': { enabled: hasOpenFile, run: () => setIsProfilePanelOpen(!isProfilePanelOpen) },
+    'view.toggleProblems': { enabled: hasOpenFile, run: () => setIsProblemsPanelOpen(!isProblemsPanelOpen) },
+    'document.format': { enabled: hasOpenFile, run: () => handleTransformDocument(false) },
+    'document.minify': { enabled: hasOpenFile, run: () => handleTransformDocument(true) },
+    'document.validate': { enabled: hasOpenFile, run: handleValidateDocument },
+    'document.toggleValidateOnType': {
+      enabled: true,
+      run: () => {
+        // Al activarla se abre el panel de problemas para ver los errores según se escribe.
+        if (!editorSettings.validateOnType) setIsProblemsPanelOpen(true);
+        onChangeEditorSettings({ validateOnType: !editorSettings.validateOnType });
+      },
+    },
+  };
+  // Atajos activos (los de serie combinados con los del usuario) y combinaciones de cada comando.
+  const keybindings = useMemo(() => resolveKeybindings(customKeybindings), [customKeybindings]);
+  const commandKeyChords = useMemo(() => getCommandKeyChords(keybindings), [keybindings]);
+
+  // Ejecuta un comando elegido en la paleta y devuelve el foco al editor.
+  const handleRunCommand = (commandId) => {
+    setIsCommandPaletteOpen(false);
+    editorRef.current?.focus();
+    const command = commandHandlers[commandId];
+    if (command?.enabled) command.run();
+  };
 
-    // Atajo Ctrl+H (o Cmd+H) para la búsqueda (actualmente no hace nada visible, es una mejora futura).
-    if ((e.ctrlKey || e.metaKey) && e.key === 'h') {
-        e.preventDefault();
+  // Posición a la que lleva una tecla de movimiento desde `position`. Con `byWord` (Ctrl/Cmd), las flechas
+  // laterales saltan por palabras y Home/End van al inicio/fin del documento.
+  const getMovedPosition = ({ line, char }, key, byWord) => {
+    const lineLength = (index) => getLine(buffer, index).length;
+    switch (key) {
+      case 'ArrowUp': if (line > 0) { line--; char = Math.min(char, lineLength(line)); } break;
+      case 'ArrowDown': if (line < lineCount - 1) { line++; char = Math.min(char, lineLength(line)); } break;
+      case 'ArrowLeft':
+        if (char > 0) { char = byWord ? findPreviousWordStart(getLine(buffer, line), char) : char - 1; }
+        else if (line > 0) { line--; char = lineLength(line); }
+        break;
+      case 'ArrowRight':
+        if (char < lineLength(line)) { char = byWord ? findNextWordEnd(getLine(buffer, line), char) : char + 1; }
+        else if (line < lineCount - 1) { line++; char = 0; }
+        break;
+      case 'Home': if (byWord) { line = 0; } char = 0; break;
+      case 'End': if (byWord) { line = lineCount - 1; } char = lineLength(line); break;
+      default: break;
     }
+    return { line, char };
+  };
 
-    // Atajo Ctrl+S (o Cmd+S) para guardar el archivo.
-    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-      e.preventDefault(); // Previene la acción de guardar del navegador.
-      // Crea un Blob (objeto binario) con el contenido del archivo.
-      const blob = new Blob([currentFile.content], { type: 'text/plain;charset=utf-8' });
-      const link = document.createElement('a'); // Crea un enlace temporal.
-      link.href = URL.createObjectURL(blob); // Asigna la URL del Blob al enlace.
-      link.download = currentFile.name; // Asigna el nombre del archivo para la descarga.
-      link.click(); // Simula un clic en el enlace para iniciar la descarga.
-      URL.revokeObjectURL(link.href); // Libera la memoria usada por la URL del Blob.
-      setNotification({ message: "Archivo guardado correctamente.", type: "success" });
-      return;
+  // Teclas con varios cursores: Escape vuelve a un solo cursor; el movimiento, Backspace, Delete, Enter y la escritura
+  // se aplican en todos los cursores (cada pulsación es un único paso de deshacer). Devuelve true si la ha tratado.
+  const handleMultiCaretKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      setExtraCarets([]);
+      setSelection(null);
+      return true;
+    }
+    if (MOVEMENT_KEYS.includes(e.key)) {
+      e.preventDefault();
+      setCarets(normalizeCarets(getAllCarets().map(caret => {
+        const target = getMovedPosition(caret.cursor, e.key, e.ctrlKey || e.metaKey);
+        const anchor = caret.selection ? caret.selection.start : caret.cursor;
+        const isEmpty = comparePositions(anchor, target) === 0;
+        return { cursor: target, selection: e.shiftKey && !isEmpty ? { start: anchor, end: target } : null, ...(caret.primary && { primary: true }) };
+      })));
+      return true;
     }
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+      e.preventDefault();
+      applyCaretEdit((caret) => {
+        const { start, end } = getCaretRange(caret);
+        if (comparePositions(start, end) !== 0) return { from: start, to: end, text: '' };
+        const range = getDeletionRange(start, e.key, e.ctrlKey || e.metaKey, (index) => getLine(buffer, index), lineCount);
+        return range && { ...range, text: '' };
+      }, 'delete');
+      return true;
+    }
+    if (e.key === 'Enter' || (e.key.length === 1 && !e.ctrlKey && !e.metaKey)) {
+      e.preventDefault();
+      applyCaretEdit((caret) => {
+        const { start, end } = getCaretRange(caret);
+        return { from: start, to: end, text: e.key === 'Enter' ? getNewLineText(start, (index) => getLine(buffer, index)) : e.key };
+      }, e.key === 'Enter' ? 'other' : 'typing');
+      return true;
+    }
+    return false;
+  };
 
-    // Atajo Ctrl+Z (o Cmd+Z) para deshacer.
-    if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+  // Manejador de eventos para las pulsaciones de teclado en el editor.
+  const handleKeyDown = (e) => {
+    // Los atajos de los comandos (ver keybindings.js) tienen prioridad sobre la edición.
+    const chord = getEventKeyChord(e);
+    const command = chord && commandHandlers[keybindings.get(chord)];
+    if (command?.enabled) {
       e.preventDefault();
-      if (historyIndex > 0) { // Si hay algo que deshacer.
-        const newIndex = historyIndex - 1;
-        setHistoryIndex(newIndex); // Mueve el puntero del historial hacia atrás.
-        updateContentAndHistory(history[newIndex], false); // Actualiza el contenido sin añadir al historial.
-      }
+      command.run();
       return;
     }
 
-    // Atajo Ctrl+Y (o Cmd+Y) para rehacer.
-    if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
+    if (!currentFile) return; // No hace nada si no hay un archivo abierto.
+    if (isGridView) return; // En la vista de tabla, la tabla se encarga del resto de teclas.
+
+    if (!cursorPosition || !buffer) return;
+
+    // Tab sangra y Shift+Tab quita sangría (en todos los cursores).
+    if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) {
       e.preventDefault();
-      if (historyIndex < history.length - 1) { // Si hay algo que rehacer.
-        const newIndex = historyIndex + 1;
-        setHistoryIndex(newIndex); // Mueve el puntero del historial hacia adelante.
-        updateContentAndHistory(history[newIndex], false); // Actualiza el contenido sin añadir al historial.
-      }
+      handleIndent(e.shiftKey);
       return;
     }
 
-    if (!cursorPosition || currentFile.content === null) return;
+    // Con varios cursores, la edición y el movimiento se aplican en todos.
+    if (extraCarets.length > 0 && handleMultiCaretKeyDown(e)) return;
 
-    // Si se presiona una tecla de movimiento, se limpia la selección (a menos que sea Shift).
-    if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key) && !e.shiftKey) {
-        setSelection(null);
-    }
+    // Indica si la tecla es de movimiento. Con Shift, el movimiento extiende la selección en lugar de limpiarla.
+    const isMovementKey = MOVEMENT_KEYS.includes(e.key);
+    // Con Ctrl/Cmd, las flechas laterales saltan por palabras, Home/End van al inicio/fin del documento
+    // y Backspace/Delete borran la palabra anterior/siguiente.
+    const byWord = e.ctrlKey || e.metaKey;
 
-    const lines = currentFile.content.split('\n'); // Obtiene las líneas del contenido.
     let { line, char } = cursorPosition; // Desestructura la posición actual del cursor.
+    // Rango que reemplaza una tecla de edición: la selección si existe o, si no, la posición del cursor.
+    const { start, end } = selection
+      ? normalizeRange(selection.start, selection.end)
+      : { start: cursorPosition, end: cursorPosition };
 
     // Previene el comportamiento por defecto para la mayoría de las teclas para tener control total.
     if (!['Meta', 'Control', 'Alt', 'Shift'].includes(e.key)) {
       e.preventDefault();
     }
 
-    let contentChanged = false; // Flag para saber si se debe actualizar el historial.
-
     // Switch para manejar cada tipo de tecla.
     switch (e.key) {
-      case 'ArrowUp': if (line > 0) { line--; char = Math.min(char, lines[line].length); } break;
-      case 'ArrowDown': if (line < lines.length - 1) { line++; char = Math.min(char, lines[line].length); } break;
-      case 'ArrowLeft': if (char > 0) { char--; } else if (line > 0) { line--; char = lines[line].length; } break;
-      case 'ArrowRight': if (char < lines[line].length) { char++; } else if (line < lines.length - 1) { line++; char = 0; } break;
-      case 'Home': char = 0; break;
-      case 'End': char = lines[line].length; break;
+      case 'ArrowUp':
+      case 'ArrowDown':
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'Home':
+      case 'End':
+        ({ line, char } = getMovedPosition({ line, char }, e.key, byWord));
+        break;
       case 'Backspace':
-        if (selection) { // Si hay selección, la borra.
-            const { start, end } = normalizeRange(selection.start, selection.end);
-            const pre = lines[start.line].substring(0, start.char);
-            const post = lines[end.line].substring(end.char);
-            lines.splice(start.line, end.line - start.line + 1, pre + post);
-            line = start.line; char = start.char;
-            setSelection(null);
-        } else if (char > 0) { // Si no hay selección y el cursor no está al principio.
-          lines[line] = lines[line].slice(0, char - 1) + lines[line].slice(char); // Borra el carácter anterior.
-          char--;
-        } else if (line > 0) { // Si está al principio de la línea.
-          char = lines[line - 1].length; // Mueve el cursor al final de la línea anterior.
-          lines[line - 1] += lines[line]; // Une la línea actual con la anterior.
-          lines.splice(line, 1); // Elimina la línea actual.
-          line--;
+      case 'Delete': {
+        // Si hay selección, la borra; si no, el carácter (o con Ctrl, la palabra) anterior o siguiente.
+        // En el borde de una línea, la une con la anterior o la siguiente.
+        const range = selection ? { from: start, to: end } : getDeletionRange({ line, char }, e.key, byWord, (index) => getLine(buffer, index), lineCount);
+        if (range) {
+          // Los Backspace sencillos seguidos se agrupan en un solo paso de deshacer.
+          const isSimpleBackspace = !selection && !byWord && e.key === 'Backspace' && range.from.line === line;
+          ({ line, char } = applyEdit(range.from, range.to, '', isSimpleBackspace ? 'delete' : 'other'));
         }
-        contentChanged = true;
+        setSelection(null);
         break;
+      }
       case 'Enter':
-        // La lógica de Enter también debería reemplazar la selección si existe.
-        if (selection) {
-            const { start, end } = normalizeRange(selection.start, selection.end);
-            const pre = lines[start.line].substring(0, start.char);
-            const post = lines[end.line].substring(end.char);
-            lines.splice(start.line, end.line - start.line + 1, pre + post);
-            line = start.line; char = start.char;
-            setSelection(null);
-        }
-        const after = lines[line].slice(char); // El texto después del cursor.
-        lines[line] = lines[line].slice(0, char); // El texto antes del cursor.
-        lines.splice(line + 1, 0, after); // Inserta una nueva línea con el texto de después.
-        line++; char = 0;
-        contentChanged = true;
+        // Enter reemplaza la selección (si existe) por un salto de línea con la sangría de la línea actual.
+        ({ line, char } = applyEdit(start, end, getNewLineText(start, (index) => getLine(buffer, index))));
+        setSelection(null);
         break;
       default:
-        // Si es una tecla imprimible y no se está presionando Ctrl/Cmd.
+        // Si es una tecla imprimible y no se está presionando Ctrl/Cmd, reemplaza la selección o inserta el carácter.
         if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
-          if (selection) { // Si hay selección, la reemplaza con la tecla presionada.
-              const { start, end } = normalizeRange(selection.start, selection.end);
-              const pre = lines[start.line].substring(0, start.char);
-              const post = lines[end.line].substring(end.char);
-              lines.splice(start.line, end.line - start.line + 1, pre + e.key + post);
-              line = start.line; char = start.char + 1;
-              setSelection(null);
-          } else {
-              lines[line] = lines[line].slice(0, char) + e.key + lines[line].slice(char); // Inserta el carácter.
-              char++;
-          }
-          contentChanged = true;
+          ({ line, char } = applyEdit(start, end, e.key, 'typing'));
+          setSelection(null);
         }
     }
 
-    // Si el contenido cambió, se actualiza el estado y el historial.
-    if (contentChanged) updateContentAndHistory(lines.join('\n'));
+    // Tras un movimiento, Shift extiende la selección desde su ancla (o desde el cursor); sin Shift se limpia.
+    if (isMovementKey) {
+      const anchor = selection ? selection.start : cursorPosition;
+      const isEmpty = anchor.line === line && anchor.char === char;
+      setSelection(e.shiftKey && !isEmpty ? { start: anchor, end: { line, char } } : null);
+    }
+
     // Se actualiza la posición del cursor.
     setCursorPosition({ line, char });
   };
@@ -608,36 +2646,240 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
     e.preventDefault(); // Previene que el navegador abra el archivo.
     setIsDragging(false); // Desactiva el estado de 'arrastrando'.
 
-    const droppedFiles = e.dataTransfer.files; // Obtiene los archivos soltados.
-    if (droppedFiles && droppedFiles.length > 0) {
-      let firstNewFileIndex = openedFiles.length; // Guarda el índice donde empezarán los nuevos archivos.
-
-      Array.from(droppedFiles).forEach((file, index) => {
-        // Filtra para aceptar solo archivos de texto.
-        if (file.type.startsWith("text/") || file.name.includes('.') === false || file.type === "") {
-            const reader = new FileReader(); // Crea un lector de archivos.
-            reader.onload = (event) => { // Cuando el archivo se ha leído.
-                const newContent = event.target.result; // Contenido del archivo.
-                const newFile = { name: file.name, content: newContent }; // Crea el objeto de archivo.
-                
-                // Añade el nuevo archivo al estado de archivos abiertos.
-                setOpenedFiles(prev => [...prev, newFile]);
-                
-                // Cuando se ha procesado el último archivo, se establece como el archivo actual.
-                if (index === droppedFiles.length - 1) {
-                   setCurrentFileIndex(firstNewFileIndex + index);
-                }
-            };
-            reader.readAsText(file); // Inicia la lectura del archivo como texto.
-        } else {
-            setNotification({ message: `Error: El archivo '${file.name}' no es de texto.`, type: 'error' });
-        }
-      });
+    const droppedFiles = Array.from(e.dataTransfer.files ?? []); // Obtiene los archivos soltados.
+    if (droppedFiles.length === 0) return;
+    // Elementos de tipo archivo, en el mismo orden que `files`. Sus handles y entradas hay que pedirlos
+    // durante el propio evento: después, el navegador ya no deja acceder a `dataTransfer`.
+    const fileItems = Array.from(e.dataTransfer.items ?? []).filter(item => item.kind === 'file');
+    const handlePromises = fileItems.map(item => (typeof item.getAsFileSystemHandle === 'function' ? item.getAsFileSystemHandle() : null));
+    const entries = fileItems.map(item => item.webkitGetAsEntry?.() ?? null);
+
+    const reads = droppedFiles.map((file, index) => {
+      // Las carpetas se abren en el árbol del explorador.
+      if (entries[index]?.isDirectory) {
+        onDropFolder(handlePromises[index], entries[index]);
+        return null;
+      }
+      // Filtra para aceptar solo archivos de texto.
+      if (!isTextFile(file)) {
+        setNotification({ message: `Error: El archivo '${file.name}' no es de texto.`, type: 'error' });
+        return null;
+      }
+      const handlePromise = handlePromises[index];
+      return (async () => {
+        // Con handle, el archivo se podrá guardar en su sitio; si no, se lee el File como siempre.
+        const handle = await handlePromise?.catch(() => null);
+        if (handle?.kind === 'file') return readFileHandle(handle);
+        return { name: file.name, ...await readFileContent(file) };
+      })();
+    }).filter(Boolean);
+
+    Promise.all(reads)
+      .then(onOpenFiles)
+      .catch(error => setNotification({ message: `Error al leer los archivos: ${error.message}`, type: 'error' }));
+  }, [onOpenFiles, onDropFolder, setNotification]);
+
+  // useEffect que observa el tamaño del área del editor para saber cuántas líneas caben en pantalla.
+  useEffect(() => {
+    const el = editorRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => {
+      setViewport(prev => ({ ...prev, height: el.clientHeight }));
+    });
+    observer.observe(el);
+    return () => {
+      observer.disconnect();
+      if (scrollFrameRef.current) cancelAnimationFrame(scrollFrameRef.current);
+    };
+  }, []);
+
+  // Manejador del scroll del editor. Agrupa los eventos en un solo frame de animación para no
+  // re-renderizar más de una vez por frame.
+  const handleScroll = (e) => {
+    const { scrollTop } = e.currentTarget;
+    if (scrollFrameRef.current) cancelAnimationFrame(scrollFrameRef.current);
+    scrollFrameRef.current = requestAnimationFrame(() => {
+      scrollFrameRef.current = null;
+      setViewport(prev => ({ ...prev, scrollTop }));
+    });
+  };
+
+  // useEffect que desplaza el editor para que la línea del cursor quede siempre visible
+  // (al moverse con el teclado o saltar a una línea que no está montada).
+  const hasFile = Boolean(currentFile);
+  useEffect(() => {
+    const el = editorRef.current;
+    if (!el || !hasFile) return;
+    const top = EDITOR_PADDING_TOP + cursorPosition.line * LINE_HEIGHT;
+    if (top < el.scrollTop) {
+      el.scrollTop = top - EDITOR_PADDING_TOP;
+    } else if (top + LINE_HEIGHT > el.scrollTop + el.clientHeight) {
+      el.scrollTop = top + LINE_HEIGHT - el.clientHeight;
+    }
+  }, [cursorPosition, hasFile]);
+
+  // Rango de líneas que se montan en el DOM; el resto se sustituye por espacio vacío.
+  const { first: firstVisibleLine, last: lastVisibleLine } = getVisibleRange(viewport.scrollTop, viewport.height, lineCount);
+
+  // Tras "Ir a la línea", el editor se desplaza también en horizontal hasta la columna del cursor. La línea
+  // puede no estar montada todavía (en archivos grandes se monta tras el scroll vertical), así que se
+  // reintenta cada vez que cambia el rango visible hasta encontrarla.
+  const revealCursorColumnRef = useRef(false);
+  useEffect(() => {
+    if (!revealCursorColumnRef.current) return;
+    const lineElement = editorRef.current?.querySelector(`[data-line-index="${cursorPosition.line}"]`);
+    if (!lineElement) return;
+    revealCursorColumnRef.current = false;
+    const span = lineElement.querySelector(`[data-char-index="${Math.max(0, cursorPosition.char - 1)}"]`) ?? lineElement;
+    span.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+  }, [cursorPosition, firstVisibleLine]);
+  const visibleLines = buffer ? getLines(buffer, firstVisibleLine, lastVisibleLine) : [];
+
+  // Tokens del resaltado de las líneas visibles. Las que aún no están tokenizadas (p. ej. tras saltar al final
+  // de un archivo grande) se dibujan sin colores mientras se tokenizan por tramos cuando el navegador está
+  // libre; al terminar, `setTokenProgress` vuelve a dibujarlas.
+  const [, setTokenProgress] = useState(0);
+  let tokenCache = null;
+  if (syntaxMode && buffer) {
+    tokenCache = tokenCachesRef.current.get(currentFile.id);
+    if (tokenCache?.mode !== syntaxMode) {
+      tokenCache = createTokenCache(syntaxMode);
+      tokenCachesRef.current.set(currentFile.id, tokenCache);
+    }
+  }
+  const visibleTokens = tokenCache && getLineTokens(tokenCache, buffer, firstVisibleLine, lastVisibleLine);
+  useEffect(() => {
+    if (!tokenCache || tokenCache.tokens.length >= Math.min(lastVisibleLine, getLineCount(buffer))) return;
+    let task = scheduleIdleTask(function tokenizeStep() {
+      if (tokenCache.buffer !== buffer) return; // El documento ya ha cambiado: lo retomará el efecto siguiente.
+      if (tokenizeLines(tokenCache, buffer, lastVisibleLine, TOKENIZE_STEP_TIME)) setTokenProgress(progress => progress + 1);
+      else task = scheduleIdleTask(tokenizeStep);
+    });
+    return () => cancelIdleTask(task);
+  }, [tokenCache, buffer, lastVisibleLine]);
+  // Se descartan las cachés de los archivos cerrados.
+  useEffect(() => {
+    const openIds = new Set(openedFiles.map(file => file.id));
+    tokenCachesRef.current.forEach((_, id) => {
+      if (!openIds.has(id)) tokenCachesRef.current.delete(id);
+    });
+  }, [openedFiles]);
+  // Estilo compartido por el gutter y el contenido: altura total del documento y relleno hasta la primera línea montada.
+  const windowStyle = { height: lineCount * LINE_HEIGHT, paddingTop: firstVisibleLine * LINE_HEIGHT, lineHeight: `${LINE_HEIGHT}px` };
+
+  // Referencia al ancla de la selección mientras se arrastra con el ratón (`null` si no se está arrastrando).
+  const dragAnchorRef = useRef(null);
+  // Referencia al ancla de la selección en bloque mientras se arrastra con Alt (`null` si no se está arrastrando).
+  const boxAnchorRef = useRef(null);
+
+  // useEffect que termina el arrastre al soltar el botón del ratón en cualquier parte de la ventana.
+  useEffect(() => {
+    const handleMouseUp = () => {
+      dragAnchorRef.current = null;
+      boxAnchorRef.current = null;
+    };
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => window.removeEventListener('mouseup', handleMouseUp);
+  }, []);
+
+  // Manejador del botón del ratón sobre una línea:
+  //  - clic: coloca el cursor y empieza una posible selección por arrastre.
+  //  - Shift+clic: extiende la selección actual hasta el punto del clic.
+  //  - doble clic: selecciona la palabra; triple clic: selecciona la línea completa.
+  //  - Alt+clic y arrastre: selección en bloque (un cursor por línea, ver getBoxCarets).
+  // Salvo Alt, todos vuelven a un único cursor.
+  const handleLineMouseDown = (e, lineIndex, line) => {
+    if (e.button !== 0) return; // Solo el botón principal.
+    e.preventDefault(); // Evita la selección nativa del navegador (el editor dibuja la suya).
+    editorRef.current?.focus();
+    const pos = { line: lineIndex, char: getCharIndexAtPoint(e.currentTarget, e.clientX, line.length) };
+    dragAnchorRef.current = null;
+    boxAnchorRef.current = null;
+
+    if (e.altKey) {
+      boxAnchorRef.current = { line: lineIndex, char: getColumnAtPoint(e.currentTarget, e.clientX, line.length) };
+      setCarets([{ cursor: pos, selection: null, primary: true }]);
+      return;
+    }
+    setExtraCarets([]);
+    if (e.detail === 2) {
+      const word = getWordRangeAt(line, pos.char);
+      setSelection({ start: { line: lineIndex, char: word.start }, end: { line: lineIndex, char: word.end } });
+      setCursorPosition({ line: lineIndex, char: word.end });
+      return;
+    }
+    if (e.detail >= 3) {
+      // La selección de línea incluye su salto de línea, salvo en la última línea del documento.
+      const end = lineIndex < lineCount - 1 ? { line: lineIndex + 1, char: 0 } : { line: lineIndex, char: line.length };
+      setSelection({ start: { line: lineIndex, char: 0 }, end });
+      setCursorPosition(end);
+      return;
+    }
+    if (e.shiftKey) {
+      setSelection({ start: selection ? selection.start : cursorPosition, end: pos });
+      setCursorPosition(pos);
+      return;
+    }
+
+    dragAnchorRef.current = pos;
+    setSelection(null); // Limpia la selección al hacer clic.
+    setCursorPosition(pos);
+  };
+
+  // Manejador del movimiento del ratón sobre una línea: si se está arrastrando, extiende la selección
+  // (o, con Alt, la selección en bloque).
+  const handleLineMouseMove = (e, lineIndex, line) => {
+    const boxAnchor = boxAnchorRef.current;
+    if (boxAnchor && (e.buttons & 1)) {
+      const head = { line: lineIndex, char: getColumnAtPoint(e.currentTarget, e.clientX, line.length) };
+      setCarets(normalizeCarets(getBoxCarets(boxAnchor, head, (index) => getLine(buffer, index).length)));
+      return;
     }
-  }, [openedFiles.length, setOpenedFiles, setCurrentFileIndex, setNotification]);
+    const anchor = dragAnchorRef.current;
+    if (!anchor || !(e.buttons & 1)) return;
+    const pos = { line: lineIndex, char: getCharIndexAtPoint(e.currentTarget, e.clientX, line.length) };
+    if (pos.line === cursorPosition.line && pos.char === cursorPosition.char) return; // Nada cambió.
+    const isEmpty = pos.line === anchor.line && pos.char === anchor.char;
+    setSelection(isEmpty ? null : { start: anchor, end: pos });
+    setCursorPosition(pos);
+  };
 
   // Manejador para cerrar una pestaña de archivo.
+  // Índice del archivo con cambios sin guardar cuyo cierre se está confirmando (null si no hay diálogo).
+  const [closeRequestIndex, setCloseRequestIndex] = useState(null);
+  // Estado para mostrar/ocultar el diálogo "Ir a la línea".
+  const [isGoToLineOpen, setIsGoToLineOpen] = useState(false);
+  // Estado para mostrar/ocultar la paleta de comandos y el editor de atajos.
+  const [isCommandPaletteOpen, setIsCommandPaletteOpen] = useState(false);
+  const [isKeybindingsEditorOpen, setIsKeybindingsEditorOpen] = useState(false);
+
+  // Columna del cursor relativa al contenido del registro (1 = primer carácter tras el prefijo), o null si
+  // la línea no tiene prefijo o el cursor está dentro de él.
+  const contentColumn = useMemo(() => {
+    if (!buffer || cursorPosition.line >= lineCount) return null;
+    const letterStartIndex = getLetterStartIndex(getLine(buffer, cursorPosition.line), activeLayout);
+    return letterStartIndex > 0 && cursorPosition.char >= letterStartIndex ? cursorPosition.char - letterStartIndex + 1 : null;
+  }, [buffer, lineCount, cursorPosition, activeLayout]);
+  // Caracteres y líneas seleccionados, o null si no hay selección.
+  const selectionSize = useMemo(() => {
+    if (!selection || !buffer) return null;
+    const { start, end } = normalizeRange(selection.start, selection.end);
+    const chars = offsetAt(buffer, end) - offsetAt(buffer, start);
+    return chars > 0 ? { chars, lines: end.line - start.line + 1 } : null;
+  }, [selection, buffer]);
+
+  // Cierra una pestaña. Si el archivo tiene cambios sin guardar, primero pregunta qué hacer con ellos.
   const handleClose = (indexToClose) => {
+    if (isDirty(openedFiles[indexToClose])) {
+      setCloseRequestIndex(indexToClose);
+      return;
+    }
+    closeFile(indexToClose);
+  };
+
+  // Quita un archivo de la lista de archivos abiertos (sin preguntar).
+  const closeFile = (indexToClose) => {
+    setCloseRequestIndex(null);
     // Filtra el array de archivos para quitar el que se va a cerrar.
     const newFiles = openedFiles.filter((_, i) => i !== indexToClose);
     setOpenedFiles(newFiles);
@@ -674,7 +2916,7 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
         <div className="flex bg-[#252526] flex-wrap">
             {openedFiles.map((file, index) => (
                 <div 
-                  key={index} 
+                  key={file.id} 
                   // Estilos condicionales para la pestaña activa.
                   className={`flex items-center px-4 py-2 text-sm cursor-pointer ${
                       currentFileIndex === index 
@@ -685,10 +2927,56 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
                 >
                     <File className="w-4 h-4 mr-2 text-blue-400" />
                     <span>{file.name}</span>
+                    {/* Punto que indica que el archivo tiene cambios sin guardar. */}
+                    {isDirty(file) && <span className="ml-2 w-2 h-2 rounded-full bg-gray-300" title="Cambios sin guardar" />}
                     {/* Botón 'X' para cerrar la pestaña. */}
                     <X className="w-4 h-4 ml-4 hover:bg-gray-600 rounded" onClick={(e) => { e.stopPropagation(); handleClose(index); }} />
                 </div>
             ))}
+            {/* Selector del diseño de registro del archivo actual. */}
+            {currentFile && (
+              <LayoutSelector
+                file={currentFile}
+                layouts={layouts}
+                customLayouts={customLayouts}
+                onChangeLayout={handleChangeLayout}
+                onSaveLayouts={onSaveLayouts}
+                setNotification={setNotification}
+              />
+            )}
+            {/* Botón para abrir el panel del esquema; muestra cuántas líneas no lo cumplen. */}
+            {currentFile && (
+              <button
+                onClick={() => setIsSchemaPanelOpen(!isSchemaPanelOpen)}
+                title="Esquema de campos"
+                className={`flex items-center px-2 mr-2 hover:bg-gray-600 rounded ${isSchemaPanelOpen ? 'bg-gray-700' : ''}`}
+              >
+                <TableProperties className="w-4 h-4 text-gray-400" />
+                {schemaViolations.length > 0 && (
+                  <span className="ml-1 text-xs text-yellow-400">{schemaViolations.length}</span>
+                )}
+              </button>
+            )}
+            {/* Botón para alternar entre la vista de texto y la de tabla. */}
+            {currentFile && (
+              <button
+                onClick={handleToggleGridView}
+                title="Vista de tabla (CSV)"
+                className={`flex items-center px-2 mr-2 hover:bg-gray-600 rounded ${isGridView ? 'bg-gray-700' : ''}`}
+              >
+                <Sheet className="w-4 h-4 text-gray-400" />
+              </button>
+            )}
+            {/* Botón para abrir el panel del perfil de columnas. */}
+            {currentFile && (
+              <button
+                onClick={() => setIsProfilePanelOpen(!isProfilePanelOpen)}
+                title="Perfil de columnas"
+                className={`flex items-center px-2 mr-2 hover:bg-gray-600 rounded ${isProfilePanelOpen ? 'bg-gray-700' : ''}`}
+              >
+                <ChartColumn className="w-4 h-4 text-gray-400" />
+              </button>
+            )}
         </div>
       )}
 
@@ -701,6 +2989,18 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
             setReplaceQuery={setReplaceQuery}
             searchResultsCount={searchResults.length}
             onReplaceAll={handleReplaceAll}
+            searchOptions={searchOptions}
+            setSearchOptions={setSearchOptions}
+            searchError={searchError}
+            replacePreview={replacePreview}
+            currentMatchIndex={currentMatchIndex}
+            onFindNext={() => handleFindNext(false)}
+            onFindPrevious={() => handleFindNext(true)}
+            onReplace={handleReplace}
+            isReplaceOpen={isReplaceOpen}
+            setIsReplaceOpen={setIsReplaceOpen}
+            inputRef={searchInputRef}
+            onEscape={() => editorRef.current?.focus()}
         />
       )}
 
@@ -709,7 +3009,8 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
         ref={editorRef} // Asigna la referencia al div.
         tabIndex={0} // Hace que el div sea enfocable.
         onKeyDown={handleKeyDown} // Maneja las pulsaciones de teclado.
-        className="editor-area flex-1 flex p-2 pt-5 overflow-auto relative"
+        onScroll={handleScroll} // Actualiza las líneas visibles al hacer scroll.
+        className={`editor-area flex-1 flex p-2 pt-5 overflow-auto relative ${isGridView ? 'hidden' : ''}`}
         style={{ overflowX: 'auto' }} // Permite scroll horizontal.
         onClick={() => editorRef.current?.focus()} // Enfoca el editor al hacer clic.
       >
@@ -721,65 +3022,81 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
           </div>
         ) : (
           // Si hay un archivo, renderiza el contenido.
-          <div className="flex w-full font-mono text-sm leading-relaxed">
-            {/* Columna de los números de línea. */}
-            <div className="text-right pr-4 text-gray-500 select-none sticky left-0 bg-[#1E1E1E]">
-              {currentFile.content.split('\n').map((_, i) => <div key={i}>{i + 1}</div>)}
+          <div className="flex w-full font-mono text-sm">
+            {/* Columna de los números de línea (solo las líneas visibles). */}
+            <div className="text-right pr-4 text-gray-500 select-none sticky left-0 bg-[#1E1E1E] z-10" style={windowStyle}>
+              {visibleLines.map((_, i) => {
+                // Ícono de la gravedad más alta de los diagnósticos de la línea, con sus mensajes al pasar el ratón.
+                const lineDiagnostics = diagnosticsByLine.get(firstVisibleLine + i);
+                return (
+                  <div key={firstVisibleLine + i} className="flex items-center justify-end" style={{ height: LINE_HEIGHT }}>
+                    {lineDiagnostics && (
+                      <span title={lineDiagnostics.diagnostics.map(diagnostic => diagnostic.message).join('\n')} className="mr-1">
+                        <SeverityIcon severity={lineDiagnostics.severity} className="w-3 h-3" />
+                      </span>
+                    )}
+                    {firstVisibleLine + i + 1}
+                  </div>
+                );
+              })}
             </div>
-            {/* Contenedor del contenido del texto. */}
-            <div className="relative w-full text-gray-300" style={{ whiteSpace: 'pre' }}>
-              {currentFile.content.split('\n').map((line, lineIndex) => {
-                const letterStartIndex = getLetterStartIndex(line);
+            {/* Contenedor del contenido del texto (solo las líneas visibles). */}
+            <div className="relative w-full text-gray-300" style={{ ...windowStyle, whiteSpace: 'pre', tabSize: editorSettings.tabSize }}>
+              {visibleLines.map((line, i) => {
+                const lineIndex = firstVisibleLine + i;
+                const letterStartIndex = getLetterStartIndex(line, activeLayout);
+                // Con "Mostrar espacios en blanco": inicio de los espacios finales de la línea.
+                const trailingStart = editorSettings.renderWhitespace ? line.replace(/[ \t]+$/, '').length : line.length;
+                // Tokens de la línea; se recorren a la vez que los caracteres.
+                const lineTokens = visibleTokens?.[i] ?? [];
+                let tokenIndex = 0;
+                const lineDiagnostics = diagnosticsByLine.get(lineIndex)?.diagnostics;
                 return (
                   // Contenedor para cada línea de texto.
                   <div
                     key={lineIndex}
+                    data-line-index={lineIndex} // Atributo de datos para localizar la línea en el DOM.
                     className="relative"
-                    // Lógica para posicionar el cursor al hacer clic en una línea.
-                    onClick={(e) => {
-                      const { clientX } = e; // Posición X del clic.
-                      const lineEl = e.currentTarget;
-                      const charSpans = Array.from(lineEl.querySelectorAll('span[data-char-index]'));
-                      
-                      if (charSpans.length === 0) { // Si la línea está vacía.
-                          setCursorPosition({ line: lineIndex, char: 0 });
-                          return;
-                      }
-
-                      let closest = { offset: Infinity, index: line.length };
-
-                      // Encuentra el carácter más cercano a la posición del clic.
-                      charSpans.forEach(span => {
-                          const rect = span.getBoundingClientRect();
-                          const offset = clientX - rect.left;
-                          const width = rect.width;
-                          if (Math.abs(offset) < Math.abs(closest.offset)) {
-                              closest = { offset: offset, index: parseInt(span.dataset.charIndex, 10) + (offset > width / 2 ? 1 : 0) };
-                          }
-                      });
-                      
-                      setCursorPosition({ line: lineIndex, char: closest.index });
-                      setSelection(null); // Limpia la selección al hacer clic.
-                    }}
+                    style={{ height: LINE_HEIGHT }}
+                    // Clic (o doble/triple clic) y arrastre para posicionar el cursor y seleccionar texto.
+                    onMouseDown={(e) => handleLineMouseDown(e, lineIndex, line)}
+                    onMouseMove={(e) => handleLineMouseMove(e, lineIndex, line)}
                   >
                     {/* Muestra el cursor al principio de la línea si corresponde. */}
-                    {cursorPosition?.line === lineIndex && cursorPosition.char === 0 && !selection && <span className="blinking-cursor">|</span>}
+                    {((cursorPosition?.line === lineIndex && cursorPosition.char === 0 && !selection) || extraCaretsByLine.cursors.get(lineIndex)?.has(0))
+                      && <span className="blinking-cursor">|</span>}
                     {/* Mapea cada carácter de la línea al componente Character. */}
                     {line.split('').map((char, charIndex) => {
                         const isHovered = hoveredPosition?.line === lineIndex && hoveredPosition?.char === charIndex;
                         const isCursorAfter = cursorPosition?.line === lineIndex && cursorPosition.char === charIndex + 1 && !selection;
+                        const isExtraCursorAfter = Boolean(extraCaretsByLine.cursors.get(lineIndex)?.has(charIndex + 1));
                         const showTooltip = (isHovered || isCursorAfter) && charIndex >= letterStartIndex;
-                        
+                        const column = charIndex - letterStartIndex + 1;
+                        // Si hay esquema, se busca el campo al que pertenece el carácter para colorearlo y describirlo.
+                        const fieldIndex = activeSchema && column >= 1 ? findFieldIndex(activeSchema, column) : -1;
+                        const field = fieldIndex >= 0 ? activeSchema[fieldIndex] : null;
+                        while (tokenIndex < lineTokens.length && lineTokens[tokenIndex].end <= charIndex) tokenIndex++;
+                        const token = lineTokens[tokenIndex]?.start <= charIndex ? lineTokens[tokenIndex] : null;
+
                         return (
                            <Character
                              key={charIndex}
                              char={char}
                              charIndex={charIndex}
                              isHighlighted={isHighlighted(lineIndex, charIndex)}
+                             isCurrentMatch={isInCurrentMatch(lineIndex, charIndex)}
                              isSelected={isInSelection(lineIndex, charIndex)}
-                             isCursorAfter={isCursorAfter}
+                             isCursorAfter={isCursorAfter || isExtraCursorAfter}
                              showTooltip={showTooltip}
-                             tooltipContent={charIndex - letterStartIndex + 1}
+                             tooltipContent={field ? `col ${column} · ${describeField(field, line, letterStartIndex)}` : column}
+                             fieldClass={field ? FIELD_CLASSES[fieldIndex % 2] : ''}
+                             whitespaceKind={!editorSettings.renderWhitespace ? null
+                               : char === '\t' ? 'tab'
+                               : char === ' ' && charIndex >= trailingStart ? 'space'
+                               : char === fieldSeparator ? 'separator'
+                               : null}
+                             tokenClass={token ? TOKEN_CLASSES[token.type] : ''}
+                             diagnosticSeverity={lineDiagnostics ? getSeverityAt(lineDiagnostics, charIndex, line.length) : null}
                              onMouseEnter={() => setHoveredPosition({ line: lineIndex, char: charIndex })}
                            />
                         );
@@ -791,6 +3108,146 @@ const Editor = ({ openedFiles, currentFileIndex, setOpenedFiles, setCurrentFileI
           </div>
         )}
       </div>
+
+      {/* Vista de tabla (se monta de nuevo al cambiar de archivo para empezar sin orden ni filtros). */}
+      {currentFile && isGridView && (
+        <DelimitedGrid
+          key={currentFile.id}
+          buffer={buffer}
+          options={currentFile.gridOptions}
+          onChangeOptions={(changes) => updateCurrentFile({ gridOptions: { ...currentFile.gridOptions, ...changes } })}
+          onEdit={(edit) => {
+            setCursorPosition(commitEdits([edit], 'other', edit.offset));
+            setSelection(null);
+          }}
+          onGoToLine={(line) => {
+            updateCurrentFile({ isGridView: false });
+            setCursorPosition({ line, char: 0 });
+            setSelection(null);
+          }}
+          onKeyDown={handleKeyDown}
+          onClose={handleToggleGridView}
+          setNotification={setNotification}
+        />
+      )}
+      {/* Panel del esquema de campos (se monta de nuevo al cambiar de archivo para recargar su texto). */}
+      {currentFile && isSchemaPanelOpen && (
+        <SchemaPanel
+          key={currentFileIndex}
+          schema={activeSchema}
+          hasFileSchema={Boolean(currentFile.schema?.length)}
+          violations={schemaViolations}
+          onApplySchema={handleApplySchema}
+          onGoToLine={(line) => {
+            setCursorPosition({ line, char: 0 });
+            setSelection(null);
+            editorRef.current?.focus();
+          }}
+          onClose={() => setIsSchemaPanelOpen(false)}
+          setNotification={setNotification}
+        />
+      )}
+      {/* Lista de problemas del archivo actual. */}
+      {currentFile && isProblemsPanelOpen && (
+        <ProblemsPanel
+          problems={fileDiagnostics}
+          onGoTo={revealDiagnostic}
+          onClose={() => setIsProblemsPanelOpen(false)}
+        />
+      )}
+      {/* Panel del perfil de columnas (se monta de nuevo al cambiar de archivo). */}
+      {currentFile && isProfilePanelOpen && (
+        <ProfilePanel
+          key={currentFile.id}
+          buffer={buffer}
+          splits={profileSplits}
+          onSelectValue={handleSelectProfileValue}
+          onClose={() => setIsProfilePanelOpen(false)}
+        />
+      )}
+      {/* Barra de estado del archivo actual. */}
+      {currentFile && (
+        <StatusBar
+          file={currentFile}
+          cursor={cursorPosition}
+          contentColumn={contentColumn}
+          selectionSize={selectionSize}
+          diagnostics={fileDiagnostics}
+          onToggleProblems={() => setIsProblemsPanelOpen(!isProblemsPanelOpen)}
+          onGoToLine={() => setIsGoToLineOpen(true)}
+          onReopenWithEncoding={onReopenWithEncoding}
+          onSaveWithEncoding={(fileId, encoding) => onSaveFiles([fileId], { encoding })}
+          onChangeEol={(fileId, eol) => setOpenedFiles(prev => prev.map(file => (file.id === fileId ? { ...file, eol } : file)))}
+          onChangeSyntaxMode={(fileId, syntaxModeId) => setOpenedFiles(prev => prev.map(file => (file.id === fileId ? { ...file, syntaxModeId } : file)))}
+          editorSettings={editorSettings}
+          onChangeEditorSettings={onChangeEditorSettings}
+        />
+      )}
+      {/* Paleta de comandos. */}
+      {isCommandPaletteOpen && (
+        <CommandPalette
+          commands={COMMANDS.filter(command => commandHandlers[command.id]?.enabled)}
+          keyChords={commandKeyChords}
+          onRun={handleRunCommand}
+          onClose={() => {
+            setIsCommandPaletteOpen(false);
+            editorRef.current?.focus();
+          }}
+        />
+      )}
+      {/* Editor de los atajos de teclado. */}
+      {isKeybindingsEditorOpen && (
+        <KeybindingsEditor
+          customKeybindings={customKeybindings}
+          onSave={onSaveKeybindings}
+          onClose={() => {
+            setIsKeybindingsEditorOpen(false);
+            editorRef.current?.focus();
+          }}
+          setNotification={setNotification}
+        />
+      )}
+      {/* Diálogo "Ir a la línea". */}
+      {isGoToLineOpen && currentFile && (
+        <GoToLineDialog
+          lineCount={lineCount}
+          currentLine={cursorPosition.line + 1}
+          onGoTo={(target) => {
+            setIsGoToLineOpen(false);
+            setCursorPosition(resolveGoToTarget(
+              target,
+              lineCount,
+              (line) => getLine(buffer, line),
+              (line) => getLetterStartIndex(line, activeLayout),
+            ));
+            setSelection(null);
+            revealCursorColumnRef.current = true;
+            editorRef.current?.focus();
+          }}
+          onCancel={() => {
+            setIsGoToLineOpen(false);
+            editorRef.current?.focus();
+          }}
+        />
+      )}
+      {/* Confirmación al cerrar un archivo con cambios sin guardar. */}
+      {closeRequestIndex !== null && openedFiles[closeRequestIndex] && (
+        <ConfirmDialog
+          title={`¿Guardar los cambios de '${openedFiles[closeRequestIndex].name}'?`}
+          message="Si no se guardan, los cambios se perderán."
+          actions={[
+            {
+              label: 'Guardar',
+              primary: true,
+              // Solo se cierra si el archivo se guardó (el usuario puede cancelar el "Guardar como").
+              onClick: () => onSaveFiles([openedFiles[closeRequestIndex].id]).then(saved => saved && closeFile(closeRequestIndex)),
+            },
+            { label: 'No guardar', onClick: () => closeFile(closeRequestIndex) },
+            { label: 'Cancelar', onClick: () => setCloseRequestIndex(null) },
+          ]}
+          onCancel={() => setCloseRequestIndex(null)}
+        />
+      )}
     </div>
   );
 };
@@ -803,6 +3260,417 @@ export default function App() {
   const [currentFileIndex, setCurrentFileIndex] = useState(0);
   // Estado para el mensaje de notificación.
   const [notification, setNotification] = useState({ message: '', type: '' });
+  // Vista del panel lateral: 'explorer' (explorador), 'search' (buscar) o 'scm' (control de código fuente).
+  const [activeView, setActiveView] = useState('explorer');
+  // Última coincidencia elegida en el panel de búsqueda que el editor debe mostrar.
+  const [revealRequest, setRevealRequest] = useState(null);
+  // Id del archivo cuya vista de diferencias está abierta (null si se muestra el editor).
+  const [diffFileId, setDiffFileId] = useState(null);
+  // Estado para los diseños de registro definidos por el usuario (se cargan de localStorage).
+  const [customLayouts, setCustomLayouts] = useState(loadCustomLayouts);
+  // Lista completa de diseños disponibles: los de serie más los del usuario.
+  const layouts = useMemo(() => mergeLayouts(customLayouts), [customLayouts]);
+
+  // Estado para las preferencias del editor (sangría y espacios en blanco visibles; se cargan de localStorage).
+  const [editorSettings, setEditorSettings] = useState(loadEditorSettings);
+
+  // Cambia algunas preferencias del editor y las guarda en localStorage.
+  const handleChangeEditorSettings = useCallback((changes) => {
+    setEditorSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  // useEffect que guarda las preferencias del editor cada vez que cambian.
+  useEffect(() => {
+    saveEditorSettings(editorSettings);
+  }, [editorSettings]);
+
+  // Estado para los atajos de teclado definidos por el usuario (se cargan de localStorage).
+  const [customKeybindings, setCustomKeybindings] = useState(loadCustomKeybindings);
+
+  // Guarda los atajos del usuario en el estado y en localStorage.
+  const handleSaveKeybindings = useCallback((newKeybindings) => {
+    setCustomKeybindings(newKeybindings);
+    saveCustomKeybindings(newKeybindings);
+  }, []);
+
+  // Guarda los diseños del usuario en el estado y en localStorage.
+  const handleSaveLayouts = useCallback((newLayouts) => {
+    setCustomLayouts(newLayouts);
+    saveCustomLayouts(newLayouts);
+  }, []);
+
+  // Referencia al <input type="file"> oculto que se usa para abrir archivos sin la File System Access API.
+  const fileInputRef = useRef(null);
+
+  // Añade archivos leídos ([{ name, content, handle }]) a los abiertos y muestra el último.
+  // Además del nombre y el contenido, cada uno puede traer su handle, su ruta dentro de la carpeta abierta,
+  // y la codificación detectada con los bytes leídos.
+  const handleOpenFiles = useCallback((entries) => {
+    if (entries.length === 0) return;
+    const newFiles = entries.map(({ name, content, handle, path, encoding, bytes }) => createOpenedFile(name, content, {
+      ...(handle && { handle }),
+      ...(path && { path }),
+      ...(encoding && { encoding, savedBytes: bytes }),
+    }));
+    setOpenedFiles(files => [...files, ...newFiles]);
+    setCurrentFileIndex(openedFiles.length + newFiles.length - 1);
+  }, [openedFiles.length]);
+
+  // Abre archivos con el selector del sistema (con handle) o, si no hay soporte, con el <input> oculto.
+  const handleOpenFile = useCallback(async () => {
+    if (!supportsFileSystemAccess()) {
+      fileInputRef.current?.click();
+      return;
+    }
+    try {
+      handleOpenFiles(await openFilesWithPicker());
+    } catch (error) {
+      setNotification({ message: `Error al abrir los archivos: ${error.message}`, type: 'error' });
+    }
+  }, [handleOpenFiles]);
+
+  // Estado con la raíz del árbol de la carpeta abierta (null si no hay ninguna).
+  const [folder, setFolder] = useState(null);
+  // Referencia al <input webkitdirectory> oculto que se usa para abrir carpetas sin selector de carpetas.
+  const folderInputRef = useRef(null);
+
+  // Muestra una carpeta ({ name, source }) en el explorador, con su primer nivel ya leído.
+  const showFolder = useCallback(async ({ name, source }) => {
+    const root = createTreeNode(name, name, 'directory', source);
+    setFolder({ ...root, children: await loadTreeChildren(root), isExpanded: true });
+    setActiveView('explorer');
+    if (source.readOnly) {
+      setNotification({ message: 'Carpeta abierta en solo lectura: crear, renombrar o eliminar solo afectará al explorador.', type: 'info' });
+    }
+  }, []);
+
+  // Abre una carpeta con el selector del sistema o, si no hay soporte, con el <input webkitdirectory> oculto.
+  const handleOpenFolder = useCallback(async () => {
+    if (!supportsDirectoryPicker()) {
+      folderInputRef.current?.click();
+      return;
+    }
+    try {
+      const result = await openDirectoryWithPicker();
+      if (result) await showFolder(result);
+    } catch (error) {
+      setNotification({ message: `Error al abrir la carpeta: ${error.message}`, type: 'error' });
+    }
+  }, [showFolder]);
+
+  // Abre una carpeta soltada sobre el editor: con su handle si el navegador lo da, o con su entrada (solo lectura).
+  const handleDropFolder = useCallback(async (handlePromise, entry) => {
+    try {
+      const handle = await handlePromise?.catch(() => null);
+      await showFolder(handle?.kind === 'directory'
+        ? { name: handle.name, source: createDirectoryHandleSource(handle) }
+        : { name: entry.name, source: createDirectoryEntrySource(entry) });
+    } catch (error) {
+      setNotification({ message: `Error al abrir la carpeta: ${error.message}`, type: 'error' });
+    }
+  }, [showFolder]);
+
+  // Lee la carpeta elegida en el <input webkitdirectory> oculto.
+  const handleFolderInputChange = (e) => {
+    const files = Array.from(e.target.files ?? []);
+    e.target.value = '';
+    if (files.length > 0) {
+      showFolder(createFileListSource(files)).catch(error => setNotification({ message: `Error al abrir la carpeta: ${error.message}`, type: 'error' }));
+    }
+  };
+
+  // Despliega o pliega una carpeta del árbol (`expand` fuerza un estado). Sus hijos se leen la primera vez.
+  const handleToggleFolderNode = useCallback(async (path, expand) => {
+    const node = findNode(folder, path);
+    if (!node || node.kind !== 'directory') return;
+    const isExpanded = expand ?? !node.isExpanded;
+    try {
+      const children = isExpanded && node.children === null ? await loadTreeChildren(node) : node.children;
+      setFolder(root => updateNode(root, path, current => ({ ...current, children: current.children ?? children, isExpanded })));
+    } catch (error) {
+      setNotification({ message: `Error al leer '${node.name}': ${error.message}`, type: 'error' });
+    }
+  }, [folder]);
+
+  // Abre un archivo del árbol (si ya está abierto, solo cambia a su pestaña). El contenido se lee ahora.
+  const handleOpenTreeFile = useCallback(async (path) => {
+    const openIndex = openedFiles.findIndex(file => file.path === path);
+    if (openIndex !== -1) {
+      setCurrentFileIndex(openIndex);
+      return;
+    }
+    const node = findNode(folder, path);
+    if (!node) return;
+    try {
+      handleOpenFiles([{ name: node.name, ...await node.source.readFile(), path }]);
+    } catch (error) {
+      setNotification({ message: `Error al abrir '${node.name}': ${error.message}`, type: 'error' });
+    }
+  }, [folder, openedFiles, handleOpenFiles]);
+
+  // Crea un archivo vacío en una carpeta del árbol y lo abre. Devuelve false si el nombre no es válido o falla.
+  const handleCreateFile = useCallback(async (directoryPath, name) => {
+    const directory = findNode(folder, directoryPath);
+    if (!directory) return false;
+    try {
+      validateEntryName(name, directory);
+      const source = await directory.source.createFile(name);
+      const path = joinPath(directoryPath, name);
+      setFolder(root => insertNode(root, directoryPath, createTreeNode(name, path, 'file', source)));
+      handleOpenFiles([{ name, content: '', handle: source.handle, path }]);
+      return true;
+    } catch (error) {
+      setNotification({ message: `Error al crear el archivo: ${error.message}`, type: 'error' });
+      return false;
+    }
+  }, [folder, handleOpenFiles]);
+
+  // Renombra un archivo o carpeta del árbol. Los archivos abiertos afectados cambian de nombre y de ruta.
+  // Devuelve false si el nombre no es válido o falla.
+  const handleRenameNode = useCallback(async (path, newName) => {
+    const node = findNode(folder, path);
+    const parent = findNode(folder, getParentPath(path));
+    if (!node || !parent) return false;
+    if (newName === node.name) return true;
+    try {
+      validateEntryName(newName, parent, node.name);
+      const source = await parent.source.renameChild(node.name, newName);
+      const newPath = joinPath(parent.path, newName);
+      setFolder(root => renameNode(root, path, newName, source));
+      setOpenedFiles(files => files.map(file => {
+        if (file.path === path) return { ...file, name: newName, path: newPath, handle: source.handle ?? undefined };
+        // Los archivos de una carpeta renombrada pierden su handle: el guardado pasa a ser una descarga.
+        if (file.path?.startsWith(`${path}/`)) return { ...file, path: newPath + file.path.substring(path.length), handle: undefined };
+        return file;
+      }));
+      return true;
+    } catch (error) {
+      setNotification({ message: `Error al renombrar: ${error.message}`, type: 'error' });
+      return false;
+    }
+  }, [folder]);
+
+  // Elimina un archivo o carpeta del árbol. Los archivos abiertos afectados siguen abiertos, pero ya sin ruta ni handle.
+  const handleDeleteNode = useCallback(async (path) => {
+    const node = findNode(folder, path);
+    const parent = findNode(folder, getParentPath(path));
+    if (!node || !parent) return;
+    try {
+      await parent.source.removeChild(node.name);
+      setFolder(root => removeNode(root, path));
+      setOpenedFiles(files => files.map(file => (
+        file.path === path || file.path?.startsWith(`${path}/`) ? { ...file, path: undefined, handle: undefined } : file
+      )));
+      setNotification({ message: `Se eliminó '${node.name}'.`, type: 'success' });
+    } catch (error) {
+      setNotification({ message: `Error al eliminar '${node.name}': ${error.message}`, type: 'error' });
+    }
+  }, [folder]);
+
+  // Lee los archivos elegidos en el <input> oculto.
+  const handleFileInputChange = async (e) => {
+    const files = Array.from(e.target.files ?? []);
+    e.target.value = ''; // Permite volver a elegir los mismos archivos.
+    try {
+      handleOpenFiles(await Promise.all(files.map(async file => ({ name: file.name, ...await readFileContent(file) }))));
+    } catch (error) {
+      setNotification({ message: `Error al abrir los archivos: ${error.message}`, type: 'error' });
+    }
+  };
+
+  // Guarda los archivos indicados y los marca como guardados. Los que tienen handle se escriben en su
+  // archivo original; los demás se descargan. Con `saveAs` se pregunta dónde guardar cada uno, y con
+  // `encoding` se guardan en esa codificación (que pasa a ser la del archivo).
+  // Devuelve true si se guardaron todos (false si alguno falló o el usuario canceló).
+  const handleSaveFiles = useCallback(async (fileIds, { saveAs = false, encoding } = {}) => {
+    const filesToSave = openedFiles.filter(file => fileIds.includes(file.id));
+    const results = new Map(); // id → { content, bytes, encoding, name, handle, method }
+    let unmappable = 0; // Caracteres que no existen en la codificación de destino.
+    let failedFile = null; // Archivo cuyo guardado falló (los siguientes ya no se intentan).
+    for (const file of filesToSave) {
+      const content = getText(file.buffer); // Texto que se guarda (el usuario puede seguir escribiendo mientras tanto).
+      const targetEncoding = encoding ?? file.encoding;
+      const encoded = encodeFileForSave(file, content, targetEncoding);
+      unmappable += encoded.unmappable;
+      try {
+        const result = saveAs ? await saveFileAs(file.name, encoded.bytes) : await saveOpenedFile(file, encoded.bytes);
+        if (result) results.set(file.id, { ...result, content, bytes: encoded.bytes, encoding: targetEncoding, eol: file.eol });
+      } catch (error) {
+        console.error("Failed to save file", error);
+        failedFile = { name: file.name, error };
+        break;
+      }
+    }
+
+    // Los archivos que se escribieron antes de un error también quedan guardados.
+    if (results.size > 0) {
+      setOpenedFiles(files => files.map(file => {
+        const result = results.get(file.id);
+        return result ? markSaved(file, { ...result, handle: result.handle ?? file.handle }) : file;
+      }));
+    }
+    if (failedFile) {
+      const saved = results.size === 0 ? ''
+        : results.size === 1 ? ' (se guardó 1 archivo antes del error)'
+        : ` (se guardaron ${results.size} archivos antes del error)`;
+      setNotification({ message: `Error al guardar '${failedFile.name}': ${failedFile.error.message}${saved}`, type: 'error' });
+      return false;
+    }
+    if (results.size === 0) return false; // El usuario canceló.
+
+    const [first] = results.values();
+    let message = `Se guardaron ${results.size} archivos.`;
+    if (results.size === 1) {
+      message = first.method === 'handle'
+        ? "Archivo guardado correctamente."
+        : `Se descargó '${first.name}' (el navegador no permite escribir en el archivo original).`;
+    }
+    if (unmappable > 0) {
+      message += ` ${unmappable} caracteres no existen en la codificación elegida y se guardaron como '?'.`;
+    }
+    setNotification({ message, type: unmappable > 0 ? "error" : "success" });
+    return results.size === filesToSave.length;
+  }, [openedFiles]);
+
+  // Guarda todos los archivos con cambios sin guardar.
+  const handleSaveAll = useCallback(() => {
+    const dirtyIds = openedFiles.filter(isDirty).map(file => file.id);
+    if (dirtyIds.length === 0) {
+      setNotification({ message: 'No hay cambios sin guardar.', type: 'info' });
+      return;
+    }
+    handleSaveFiles(dirtyIds);
+  }, [openedFiles, handleSaveFiles]);
+
+  // Vuelve a leer un archivo con otra codificación (a partir de sus bytes guardados o de su handle).
+  const handleReopenWithEncoding = useCallback(async (fileId, encoding) => {
+    const file = openedFiles.find(candidate => candidate.id === fileId);
+    if (!file) return;
+    if (isDirty(file)) {
+      setNotification({ message: 'Guarda o descarta los cambios antes de reabrir el archivo con otra codificación.', type: 'error' });
+      return;
+    }
+    try {
+      const bytes = file.savedBytes ?? (file.handle ? await readFileAsBytes(await file.handle.getFile()) : null);
+      if (!bytes) {
+        setNotification({ message: 'No se conservan los bytes originales de este archivo (se restauró de la sesión anterior).', type: 'error' });
+        return;
+      }
+      const { content, eol, mixedEol } = normalizeLoadedText(decodeBytes(bytes, encoding));
+      // Reabrir equivale a cargar el archivo de nuevo: el historial de deshacer no sirve para el texto nuevo.
+      setOpenedFiles(files => files.map(candidate => (candidate.id === fileId ? {
+        ...candidate,
+        buffer: createTextBuffer(content),
+        undoStack: createUndoStack(),
+        encoding,
+        eol,
+        savedEol: eol,
+        mixedEol,
+        savedBytes: bytes,
+        savedContent: content,
+        originalContent: content,
+      } : candidate)));
+      setNotification({ message: `Archivo reabierto como ${getEncodingLabel(encoding)}.`, type: 'success' });
+    } catch (error) {
+      setNotification({ message: `Error al reabrir el archivo: ${error.message}`, type: 'error' });
+    }
+  }, [openedFiles]);
+
+  // useEffect que avisa al salir de la página (cerrar la pestaña, recargar) si hay cambios sin guardar.
+  useEffect(() => {
+    if (!openedFiles.some(isDirty)) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = ''; // Necesario en algunos navegadores para mostrar el aviso.
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [openedFiles]);
+
+  // Abre el archivo de una coincidencia del panel de búsqueda y pide al editor que la seleccione.
+  const handleOpenMatch = useCallback((fileId, result) => {
+    const fileIndex = openedFiles.findIndex(file => file.id === fileId);
+    if (fileIndex === -1) return;
+    setCurrentFileIndex(fileIndex);
+    // Se crea siempre un objeto nuevo para que elegir dos veces la misma coincidencia vuelva a mostrarla.
+    setRevealRequest({ line: result.line, start: result.start, end: result.end });
+  }, [openedFiles]);
+
+  // Reemplaza todas las coincidencias de la búsqueda en los archivos indicados.
+  // Cada archivo recibe un paso en su propia pila de deshacer, así que se puede deshacer archivo a archivo.
+  const handleReplaceInFiles = useCallback((query, options, replacement, fileIds) => {
+    let regex;
+    try {
+      regex = buildSearchRegex(query, options);
+    } catch (error) {
+      setNotification({ message: `Expresión no válida: ${error.message}`, type: 'error' });
+      return;
+    }
+
+    // Las ediciones se calculan fuera del actualizador del estado (en modo estricto se ejecuta dos veces).
+    const initialState = { cursor: { line: 0, char: 0 }, selection: null };
+    let replacedCount = 0;
+    let fileCount = 0;
+    const newFiles = openedFiles.map(file => {
+      if (!fileIds.includes(file.id)) return file;
+      const edits = buildReplaceEdits(getText(file.buffer), regex, replacement, options.regex);
+      if (edits.length === 0) return file;
+      replacedCount += edits.length;
+      fileCount++;
+      const step = createStep(file.buffer, edits, 'other', initialState, initialState);
+      return {
+        ...file,
+        buffer: applyEdits(file.buffer, edits),
+        undoStack: pushStep(file.undoStack ?? createUndoStack(), step),
+      };
+    });
+
+    if (replacedCount === 0) {
+      setNotification({ message: 'No hay coincidencias que reemplazar.', type: 'info' });
+      return;
+    }
+    setOpenedFiles(newFiles);
+    setNotification({ message: `Se reemplazaron ${replacedCount} coincidencias en ${fileCount} ${fileCount === 1 ? 'archivo' : 'archivos'}.`, type: 'success' });
+  }, [openedFiles]);
+
+  // Archivos con cambios respecto a su versión original. El número de líneas añadidas y borradas (un diff
+  // completo de cada archivo) solo se calcula con el panel de control de código fuente abierto.
+  const modifiedCount = useMemo(() => openedFiles.filter(isModifiedFromOriginal).length, [openedFiles]);
+  const modifiedFiles = useMemo(() => (activeView !== 'scm' ? [] : openedFiles
+    .filter(isModifiedFromOriginal)
+    .map(file => ({ file, ...getChangeCounts(file) }))),
+  [openedFiles, activeView]);
+  // Archivo de la vista de diferencias (si se cerró el archivo, la vista se cierra sola).
+  const diffFile = openedFiles.find(file => file.id === diffFileId);
+
+  // Aplica una edición a un archivo como un paso de su pila de deshacer.
+  const applyFileEdit = useCallback((fileId, edit) => {
+    const file = openedFiles.find(candidate => candidate.id === fileId);
+    if (!file) return;
+    const state = { cursor: positionAt(file.buffer, edit.offset), selection: null };
+    const step = createStep(file.buffer, [edit], 'other', state, state);
+    const updatedFile = {
+      ...file,
+      buffer: applyEdits(file.buffer, [edit]),
+      undoStack: pushStep(file.undoStack ?? createUndoStack(), step),
+    };
+    setOpenedFiles(openedFiles.map(candidate => (candidate.id === fileId ? updatedFile : candidate)));
+  }, [openedFiles]);
+
+  // Revierte un cambio de la vista de diferencias: sus líneas vuelven a las de la versión original.
+  const handleRevertChange = useCallback((fileId, change) => {
+    const file = openedFiles.find(candidate => candidate.id === fileId);
+    if (!file) return;
+    applyFileEdit(fileId, getRevertEdit(file.buffer, change, file.originalContent.split('\n')));
+  }, [openedFiles, applyFileEdit]);
+
+  // Descarta todos los cambios de un archivo (se puede deshacer con Ctrl+Z).
+  const handleRevertFile = useCallback((fileId) => {
+    const file = openedFiles.find(candidate => candidate.id === fileId);
+    if (!file) return;
+    applyFileEdit(fileId, { offset: 0, length: file.buffer.length, text: file.originalContent });
+    setNotification({ message: `Se descartaron los cambios de '${file.name}'.`, type: 'success' });
+  }, [openedFiles, applyFileEdit]);
 
   // useEffect que se ejecuta una sola vez al cargar la aplicación (dependencia vacía []).
   // Se usa para cargar el estado guardado desde localStorage.
@@ -813,7 +3681,8 @@ export default function App() {
         if (savedFiles) {
             const parsedFiles = JSON.parse(savedFiles);
             if (Array.isArray(parsedFiles)) {
-                setOpenedFiles(parsedFiles);
+                // En localStorage se guarda el texto plano; al cargar se reconstruye el documento de cada archivo.
+                setOpenedFiles(parsedFiles.map(deserializeOpenedFile));
             }
         }
         if (savedIndex) {
@@ -830,16 +3699,30 @@ export default function App() {
   }, []);
 
   // useEffect que se ejecuta cada vez que 'openedFiles' o 'currentFileIndex' cambian.
-  // Se usa para guardar el estado actual en localStorage.
+  // Se usa para guardar el estado actual en localStorage. El guardado se retrasa un poco para no
+  // serializar el texto completo de los archivos en cada pulsación de tecla.
   useEffect(() => {
-    try {
-        if(openedFiles.length > 0) {
-            localStorage.setItem('myEditorOpenedFiles', JSON.stringify(openedFiles));
-            localStorage.setItem('myEditorCurrentFileIndex', currentFileIndex);
-        }
-    } catch (error) {
-        console.error("Failed to save state to localStorage", error);
-    }
+    const timer = setTimeout(() => {
+      try {
+          if(openedFiles.length > 0) {
+              const saveFiles = (includeUndo) => {
+                  const serializedFiles = openedFiles.map(file => serializeOpenedFile(file, { includeUndo }));
+                  localStorage.setItem('myEditorOpenedFiles', JSON.stringify(serializedFiles));
+              };
+              try {
+                  saveFiles(true);
+              } catch (error) {
+                  // Si no cabe, se guardan al menos los documentos, sin sus pilas de deshacer.
+                  if (error.name !== 'QuotaExceededError') throw error;
+                  saveFiles(false);
+              }
+              localStorage.setItem('myEditorCurrentFileIndex', currentFileIndex);
+          }
+      } catch (error) {
+          console.error("Failed to save state to localStorage", error);
+      }
+    }, 500);
+    return () => clearTimeout(timer);
   }, [openedFiles, currentFileIndex]);
 
   // Renderiza la estructura principal de la aplicación.
@@ -847,17 +3730,62 @@ export default function App() {
     // Contenedor principal que ocupa toda la pantalla.
     <div className="h-screen w-screen bg-[#1E1E1E] flex font-sans">
       {/* Barra de actividad a la izquierda. */}
-      <ActivityBar />
-      {/* Explorador de archivos. */}
-      <FileExplorer openedFiles={openedFiles} currentFileIndex={currentFileIndex} setCurrentFileIndex={setCurrentFileIndex} />
-      {/* El editor de texto principal. */}
-      <Editor
-        openedFiles={openedFiles}
-        currentFileIndex={currentFileIndex}
-        setOpenedFiles={setOpenedFiles}
-        setCurrentFileIndex={setCurrentFileIndex}
-        setNotification={setNotification}
-      />
+      <ActivityBar activeView={activeView} setActiveView={setActiveView} modifiedCount={modifiedCount} />
+      {/* Panel lateral de la vista elegida en la barra de actividad. */}
+      {activeView === 'explorer' && (
+        <FileExplorer
+          openedFiles={openedFiles}
+          currentFileIndex={currentFileIndex}
+          setCurrentFileIndex={setCurrentFileIndex}
+          onSaveAll={handleSaveAll}
+          onOpenFile={handleOpenFile}
+          folder={folder}
+          onOpenFolder={handleOpenFolder}
+          onToggleFolderNode={handleToggleFolderNode}
+          onOpenTreeFile={handleOpenTreeFile}
+          onCreateFile={handleCreateFile}
+          onRenameNode={handleRenameNode}
+          onDeleteNode={handleDeleteNode}
+        />
+      )}
+      {activeView === 'search' && (
+        <SearchPanel openedFiles={openedFiles} onOpenMatch={handleOpenMatch} onReplaceInFiles={handleReplaceInFiles} />
+      )}
+      {activeView === 'scm' && (
+        <SourceControlPanel modifiedFiles={modifiedFiles} diffFileId={diffFile?.id} onOpenDiff={setDiffFileId} onRevertFile={handleRevertFile} />
+      )}
+      {/* Vista de diferencias del archivo elegido en el panel de control de código fuente. */}
+      {diffFile && (
+        <DiffView file={diffFile} onRevertChange={handleRevertChange} onRevertFile={handleRevertFile} onClose={() => setDiffFileId(null)} />
+      )}
+      {/* El editor de texto principal. Se oculta (sin desmontarlo) mientras se muestra la vista de diferencias. */}
+      <div className={`flex-1 h-full min-w-0 ${diffFile ? 'hidden' : 'flex'}`}>
+        <Editor
+          openedFiles={openedFiles}
+          currentFileIndex={currentFileIndex}
+          setOpenedFiles={setOpenedFiles}
+          setCurrentFileIndex={setCurrentFileIndex}
+          setNotification={setNotification}
+          layouts={layouts}
+          customLayouts={customLayouts}
+          onSaveLayouts={handleSaveLayouts}
+          customKeybindings={customKeybindings}
+          onSaveKeybindings={handleSaveKeybindings}
+          editorSettings={editorSettings}
+          onChangeEditorSettings={handleChangeEditorSettings}
+          revealRequest={revealRequest}
+          onSaveFiles={handleSaveFiles}
+          onSaveAll={handleSaveAll}
+          onOpenFiles={handleOpenFiles}
+          onOpenFile={handleOpenFile}
+          onDropFolder={handleDropFolder}
+          onReopenWithEncoding={handleReopenWithEncoding}
+        />
+      </div>
+      {/* Selector de archivos oculto para abrir archivos sin la File System Access API. */}
+      <input ref={fileInputRef} type="file" multiple hidden onChange={handleFileInputChange} />
+      {/* Selector de carpetas oculto para abrir carpetas sin selector de carpetas del sistema. */}
+      <input ref={folderInputRef} type="file" webkitdirectory="" multiple hidden onChange={handleFolderInputChange} />
       {/* El componente de notificación (solo visible cuando hay un mensaje). */}
       <Notification message={notification.message} type={notification.type} onDismiss={() => setNotification({ message: '', type: '' })} />
     </div>
@@ -0,0 +1,94 @@
+// Perfil de las columnas de un archivo de datos: para cada campo, cuántos valores vacíos y distintos tiene,
+// su longitud mínima y máxima, el tipo que se deduce de sus valores y los valores más frecuentes.
+//
+// Los campos de cada línea se obtienen según una "división" (un objeto que se puede enviar al worker):
+//  - { type: 'delimited', separator }: los campos separados por `separator`, numerados desde el primero.
+//  - { type: 'schema', fields, layout }: los campos del esquema (ver recordSchema.js), contados desde el
+//    inicio del contenido que marca el diseño (ver `getLetterStartIndex`). Sus valores se recortan.
+// El cálculo recorre todo el archivo, así que el editor lo hace en un worker (ver columnProfile.worker.js).
+
+import { getLetterStartIndex } from './recordLayouts';
+
+// Número de valores más frecuentes que se guardan de cada campo.
+export const DEFAULT_TOP_VALUES = 5;
+
+// Tipos que se deducen de los valores de un campo.
+const NUMBER_PATTERN = /^[-+]?\d+(?:[.,]\d+)?$/;
+const DATE_PATTERNS = [
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?)?$/, // 2024-01-31, 2024-01-31 10:00:00
+  /^\d{1,2}[/.-]\d{1,2}[/.-]\d{4}$/, // 31/01/2024, 31.01.2024
+];
+
+// Tipo de un valor (sin espacios alrededor): 'number', 'date' o 'text'.
+export const inferValueType = (value) => {
+  if (NUMBER_PATTERN.test(value)) return 'number';
+  if (DATE_PATTERNS.some(pattern => pattern.test(value))) return 'date';
+  return 'text';
+};
+
+// Valores de los campos de una línea según la división.
+export const getLineFields = (line, split) => {
+  if (split.type === 'schema') {
+    const start = getLetterStartIndex(line, split.layout);
+    return split.fields.map(field => line.substr(start + field.start - 1, field.length).trim());
+  }
+  return line.split(split.separator);
+};
+
+// Nombre visible del campo `index` según la división.
+export const getFieldName = (split, index) => (split.type === 'schema' ? split.fields[index].name : `Campo ${index + 1}`);
+
+// Calcula el perfil de cada campo de las líneas de `text` (las líneas vacías no cuentan).
+// Devuelve { lineCount, columns: [{ index, name, empty, distinct, minLength, maxLength, type, topValues: [{ value, count }] }] },
+// donde `type` es el de todos los valores no vacíos ('number', 'date' o 'text'; 'empty' si no hay ninguno).
+export const profileColumns = (text, split, topCount = DEFAULT_TOP_VALUES) => {
+  const columns = [];
+  let lineCount = 0;
+  text.split('\n').forEach(line => {
+    if (line.length === 0) return;
+    lineCount++;
+    const fields = getLineFields(line, split);
+    fields.forEach((value, index) => {
+      if (!columns[index]) {
+        // Las líneas anteriores que no llegaban a este campo lo tienen vacío.
+        columns[index] = { counts: new Map(), empty: lineCount - 1, types: new Set() };
+      }
+      const column = columns[index];
+      column.counts.set(value, (column.counts.get(value) ?? 0) + 1);
+      const trimmed = value.trim();
+      if (!trimmed) column.empty++;
+      else column.types.add(inferValueType(trimmed));
+    });
+    // Las líneas con menos campos cuentan como vacías en los que les faltan.
+    for (let index = fields.length; index < columns.length; index++) columns[index].empty++;
+  });
+
+  return {
+    lineCount,
+    columns: columns.map((column, index) => {
+      const lengths = Array.from(column.counts.keys(), value => value.length);
+      const types = Array.from(column.types);
+      return {
+        index,
+        name: getFieldName(split, index),
+        empty: column.empty,
+        distinct: column.counts.size,
+        minLength: column.empty > 0 ? 0 : lengths.reduce((min, length) => Math.min(min, length), Infinity),
+        maxLength: lengths.reduce((max, length) => Math.max(max, length), 0),
+        type: types.length === 0 ? 'empty' : types.length === 1 ? types[0] : 'text',
+        topValues: Array.from(column.counts, ([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+          .slice(0, topCount),
+      };
+    }),
+  };
+};
+
+// Líneas (0-based) de `text` en las que el campo `index` vale `value`.
+export const findLinesWithValue = (text, split, index, value) => {
+  const lines = [];
+  text.split('\n').forEach((line, lineIndex) => {
+    if (line.length > 0 && (getLineFields(line, split)[index] ?? '') === value) lines.push(lineIndex);
+  });
+  return lines;
+};
@@ -0,0 +1,13 @@
+// Worker que calcula el perfil de las columnas (ver columnProfile.js) sin bloquear la interfaz.
+// Recibe { text, split, topCount } y responde con el perfil, o con { error } si algo falla.
+
+import { profileColumns } from './columnProfile';
+
+self.onmessage = (event) => {
+  const { text, split, topCount } = event.data;
+  try {
+    self.postMessage({ profile: profileColumns(text, split, topCount) });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
@@ -0,0 +1,36 @@
+// Lanza el cálculo del perfil de columnas (ver columnProfile.js) en un worker.
+// Si el navegador no tiene workers, se calcula en el hilo principal (tras ceder el turno a la interfaz).
+
+import { profileColumns, DEFAULT_TOP_VALUES } from './columnProfile';
+
+// Calcula el perfil de `text` según la división `split`. Devuelve { promise, cancel }: `cancel()` detiene
+// el cálculo y la promesa ya no se resuelve.
+export const runColumnProfile = (text, split, topCount = DEFAULT_TOP_VALUES) => {
+  let cancel;
+  const promise = new Promise((resolve, reject) => {
+    if (typeof Worker === 'undefined') {
+      const timer = setTimeout(() => {
+        try {
+          resolve(profileColumns(text, split, topCount));
+        } catch (error) {
+          reject(error);
+        }
+      }, 0);
+      cancel = () => clearTimeout(timer);
+      return;
+    }
+    const worker = new Worker(new URL('./columnProfile.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      worker.terminate();
+      if (event.data.error) reject(new Error(event.data.error));
+      else resolve(event.data.profile);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Error en el worker del perfil de columnas.'));
+    };
+    worker.postMessage({ text, split, topCount });
+    cancel = () => worker.terminate();
+  });
+  return { promise, cancel };
+};
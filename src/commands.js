@@ -0,0 +1,82 @@
+// Registro central de comandos del editor.
+//
+// Cada acción que se puede lanzar con un atajo o desde la paleta de comandos (Ctrl+Shift+P) tiene aquí
+// su id y su título. El editor asocia a cada id la función que lo ejecuta, y los atajos se asignan por id
+// (ver keybindings.js), así que un comando nuevo solo hay que darlo de alta en esta lista.
+
+// Comandos disponibles, en el orden en que se listan en la paleta.
+export const COMMANDS = [
+  { id: 'workbench.showCommands', title: 'Mostrar todos los comandos' },
+  { id: 'workbench.openKeybindings', title: 'Preferencias: Abrir atajos de teclado (JSON)' },
+  { id: 'file.open', title: 'Archivo: Abrir archivo...' },
+  { id: 'file.save', title: 'Archivo: Guardar' },
+  { id: 'file.saveAs', title: 'Archivo: Guardar como...' },
+  { id: 'file.saveAll', title: 'Archivo: Guardar todo' },
+  { id: 'file.close', title: 'Archivo: Cerrar editor' },
+  { id: 'edit.undo', title: 'Editar: Deshacer' },
+  { id: 'edit.redo', title: 'Editar: Rehacer' },
+  { id: 'edit.selectAll', title: 'Selección: Seleccionar todo' },
+  { id: 'edit.copy', title: 'Editar: Copiar' },
+  { id: 'edit.paste', title: 'Editar: Pegar' },
+  { id: 'edit.addCursorAbove', title: 'Selección: Agregar cursor arriba' },
+  { id: 'edit.addCursorBelow', title: 'Selección: Agregar cursor abajo' },
+  { id: 'edit.addNextOccurrence', title: 'Selección: Agregar la siguiente coincidencia' },
+  { id: 'find.find', title: 'Buscar: Buscar' },
+  { id: 'find.replace', title: 'Buscar: Reemplazar' },
+  { id: 'find.next', title: 'Buscar: Siguiente coincidencia' },
+  { id: 'find.previous', title: 'Buscar: Coincidencia anterior' },
+  { id: 'find.replaceAll', title: 'Buscar: Reemplazar todo' },
+  { id: 'go.line', title: 'Ir a: Línea...' },
+  { id: 'go.nextProblem', title: 'Ir a: Problema siguiente' },
+  { id: 'go.previousProblem', title: 'Ir a: Problema anterior' },
+  { id: 'editor.indentUsingSpaces', title: 'Editor: Sangría con espacios' },
+  { id: 'editor.indentUsingTabs', title: 'Editor: Sangría con tabulaciones' },
+  { id: 'editor.toggleRenderWhitespace', title: 'Ver: Alternar espacios en blanco visibles' },
+  { id: 'view.toggleGrid', title: 'Ver: Alternar vista de tabla (CSV)' },
+  { id: 'view.toggleProfile', title: 'Ver: Alternar perfil de columnas' },
+  { id: 'view.toggleProblems', title: 'Ver: Alternar panel de problemas' },
+  { id: 'document.format', title: 'Documento: Dar formato (JSON/XML)' },
+  { id: 'document.minify', title: 'Documento: Minimizar (JSON/XML)' },
+  { id: 'document.validate', title: 'Documento: Validar (JSON/XML)' },
+  { id: 'document.toggleValidateOnType', title: 'Documento: Alternar validación al escribir' },
+];
+
+// Indica si existe un comando con ese id.
+export const isCommandId = (id) => COMMANDS.some(command => command.id === id);
+
+// Quita mayúsculas y acentos carácter a carácter (sin cambiar la longitud del texto).
+const foldText = (text) => Array.from(text, char => char.toLowerCase().normalize('NFD')[0]).join('');
+
+// Compara `query` con `text` como búsqueda difusa: los caracteres de la consulta deben aparecer en orden
+// (sin distinguir mayúsculas ni acentos), aunque no estén seguidos. Devuelve { score, positions } o null si
+// no coincide. Puntúan más los caracteres consecutivos y los que empiezan una palabra.
+export const fuzzyMatch = (query, text) => {
+  const needle = foldText(query.replace(/\s+/g, ''));
+  const haystack = foldText(text);
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    const previous = positions[positions.length - 1];
+    if (previous === index - 1) score += 5;
+    if (index === 0 || /[\s:.\-_/]/.test(text[index - 1])) score += 3;
+    score += 1;
+    positions.push(index);
+    from = index + 1;
+  }
+  // A igual puntuación, gana la coincidencia más compacta.
+  return { score: score - (positions.length ? (positions[positions.length - 1] - positions[0]) / 100 : 0), positions };
+};
+
+// Filtra y ordena los comandos según la búsqueda difusa `query` en su título.
+// Devuelve [{ command, positions }]; sin consulta, todos en su orden original.
+export const filterCommands = (commands, query) => {
+  if (!query.trim()) return commands.map(command => ({ command, positions: [] }));
+  return commands
+    .map((command, index) => ({ command, index, match: fuzzyMatch(query, command.title) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score || a.index - b.index)
+    .map(({ command, match }) => ({ command, positions: match.positions }));
+};
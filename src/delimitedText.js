@@ -0,0 +1,155 @@
+// Lectura del texto delimitado (CSV/DSV) para la vista de tabla, según el RFC 4180: los campos pueden ir entre
+// comillas dobles y entonces contener el separador, saltos de línea y comillas (escritas como "").
+//
+// Forma de una fila:
+//  {
+//    line:  línea del documento (0-based) en la que empieza,
+//    start, end: posiciones en el texto del principio y del final de la fila (sin el salto de línea),
+//    cells: [{ value, start, end }]: valor de cada campo (sin comillas) y su posición en el texto (con comillas),
+//  }
+// Las posiciones permiten escribir los cambios de la tabla como ediciones normales del documento.
+
+// Separadores que se ofrecen en la vista de tabla.
+export const GRID_DELIMITERS = [
+  { value: ';', label: 'Punto y coma (;)' },
+  { value: ',', label: 'Coma (,)' },
+  { value: '\t', label: 'Tabulación' },
+  { value: '|', label: 'Barra vertical (|)' },
+];
+
+// Líneas que se examinan para detectar el separador.
+const DETECT_SAMPLE_LINES = 50;
+
+// Separa el texto en filas y campos.
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let pos = 0;
+  let line = 0;
+  // Final del campo sin comillas que empieza en `from`: el siguiente separador o salto de línea.
+  const findFieldEnd = (from) => {
+    let end = from;
+    while (end < text.length && text[end] !== '\n' && !text.startsWith(delimiter, end)) end++;
+    return end;
+  };
+
+  while (pos < text.length) {
+    const row = { line, start: pos, end: pos, cells: [] };
+    for (;;) {
+      const cellStart = pos;
+      let value;
+      if (text[pos] === '"') {
+        const parts = [];
+        let i = pos + 1;
+        for (;;) {
+          const quote = text.indexOf('"', i);
+          if (quote === -1) {
+            // Comilla sin cerrar: el campo llega hasta el final del texto.
+            parts.push(text.slice(i));
+            i = text.length;
+            break;
+          }
+          parts.push(text.slice(i, quote));
+          if (text[quote + 1] !== '"') {
+            i = quote + 1;
+            break;
+          }
+          parts.push('"');
+          i = quote + 2;
+        }
+        // Lo que haya entre la comilla de cierre y el separador (CSV mal formado) se conserva tal cual.
+        const end = findFieldEnd(i);
+        value = parts.join('') + text.slice(i, end);
+        for (let j = pos; j < i; j++) if (text[j] === '\n') line++;
+        pos = end;
+      } else {
+        const end = findFieldEnd(pos);
+        value = text.slice(pos, end);
+        pos = end;
+      }
+      row.cells.push({ value, start: cellStart, end: pos });
+      if (pos < text.length && text[pos] !== '\n') {
+        pos += delimiter.length;
+        continue;
+      }
+      break;
+    }
+    row.end = pos;
+    rows.push(row);
+    pos++; // Salto de línea.
+    line++;
+  }
+  return rows;
+};
+
+// Elige el separador más probable: el que aparece el mismo número de veces (y al menos una) en más líneas
+// del principio del texto. Si ninguno aparece, devuelve `fallback`.
+export const detectDelimiter = (text, fallback = ';') => {
+  const lines = text.split('\n', DETECT_SAMPLE_LINES).filter(line => line.length > 0);
+  let best = { delimiter: fallback, score: 0 };
+  GRID_DELIMITERS.forEach(({ value }) => {
+    const counts = lines.map(line => line.split(value).length - 1);
+    const first = counts[0] ?? 0;
+    if (first === 0) return;
+    const score = counts.filter(count => count === first).length * first;
+    if (score > best.score) best = { delimiter: value, score };
+  });
+  return best.delimiter;
+};
+
+// Escribe un valor como campo: entre comillas si contiene el separador, comillas o saltos de línea.
+export const quoteCell = (value, delimiter) => (
+  value.includes(delimiter) || /["\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+);
+
+// Edición ({ offset, length, text }) que cambia el valor del campo `column` de una fila. Si la fila tiene
+// menos campos, se añaden separadores hasta llegar a él.
+export const getCellEdit = (row, column, value, delimiter) => {
+  const text = quoteCell(value, delimiter);
+  const cell = row.cells[column];
+  if (cell) return { offset: cell.start, length: cell.end - cell.start, text };
+  return { offset: row.end, length: 0, text: delimiter.repeat(column - row.cells.length + 1) + text };
+};
+
+// Número de columnas de la tabla (el de la fila con más campos).
+export const getColumnCount = (rows) => rows.reduce((max, row) => Math.max(max, row.cells.length), 0);
+
+// Valor numérico de un campo ("1234", "-3,5", "2.75"), o NaN si no es un número.
+const parseNumber = (value) => (/^\s*[-+]?\d+(?:[.,]\d+)?\s*$/.test(value) ? Number(value.replace(',', '.')) : NaN);
+
+// Compara dos valores para ordenar: como números si ambos lo son y, si no, como texto (con los números
+// dentro del texto en orden natural y sin distinguir mayúsculas ni acentos).
+export const compareCellValues = (a, b) => {
+  const numberA = parseNumber(a);
+  const numberB = parseNumber(b);
+  if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB;
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Devuelve las filas ordenadas por una columna (el orden es estable: las filas iguales no se mueven).
+export const sortRows = (rows, column, descending = false) => {
+  const direction = descending ? -1 : 1;
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => direction * compareCellValues(a.row.cells[column]?.value ?? '', b.row.cells[column]?.value ?? '')
+      || a.index - b.index)
+    .map(({ row }) => row);
+};
+
+// Devuelve las filas que cumplen todos los filtros: `filters` asocia a cada columna un texto que debe
+// contener el campo (sin distinguir mayúsculas).
+export const filterRows = (rows, filters) => {
+  const active = Object.entries(filters)
+    .filter(([, query]) => query)
+    .map(([column, query]) => [Number(column), query.toLowerCase()]);
+  if (active.length === 0) return rows;
+  return rows.filter(row => active.every(([column, query]) => (row.cells[column]?.value ?? '').toLowerCase().includes(query)));
+};
+
+// Edición que reescribe las filas `rows` (consecutivas en el documento) en el orden de `orderedRows`.
+// Devuelve null si el orden no cambia.
+export const getReorderEdit = (text, rows, orderedRows) => {
+  if (rows.length === 0 || orderedRows.every((row, i) => row === rows[i])) return null;
+  const start = rows[0].start;
+  const end = rows[rows.length - 1].end;
+  return { offset: start, length: end - start, text: orderedRows.map(row => text.slice(row.start, row.end)).join('\n') };
+};
@@ -0,0 +1,115 @@
+// Validadores de serie (ver diagnostics.js). Al importar este módulo se registran.
+
+import { registerValidator, MAX_DIAGNOSTICS_PER_VALIDATOR } from './diagnostics';
+import { validateRecordLengths } from './recordSchema';
+import { getLetterStartIndex } from './recordLayouts';
+import { validateDocument } from './documentFormat';
+import { canEncodeChar, isSingleByteEncoding, getEncodingLabel, DEFAULT_ENCODING } from './textEncoding';
+import { positionAt } from './textBuffer';
+
+// Carácter que pone el decodificador en lugar de los bytes que no son válidos en la codificación.
+const REPLACEMENT_CHAR = 0xFFFD;
+
+// Longitud de los registros según el esquema activo: la parte que sobra se subraya; si falta, se marca el final.
+export const RECORD_LENGTH_VALIDATOR = {
+  id: 'recordLength',
+  name: 'Esquema',
+  validate: ({ lines, schema, layout }) => {
+    if (!schema) return [];
+    return validateRecordLengths(lines, schema, (line) => getLetterStartIndex(line, layout)).map(({ line, actual, expected }) => {
+      const length = lines[line].length;
+      return {
+        line,
+        start: actual > expected ? length - (actual - expected) : length,
+        end: length,
+        severity: 'error',
+        message: `El registro mide ${actual} caracteres y el esquema espera ${expected}.`,
+      };
+    });
+  },
+};
+
+// Errores de sintaxis de los documentos JSON y XML (solo si el editor pide validarlos).
+export const DOCUMENT_SYNTAX_VALIDATOR = {
+  id: 'documentSyntax',
+  name: 'Sintaxis',
+  validate: ({ file, text, documentFormat }) => {
+    if (!documentFormat) return [];
+    return validateDocument(documentFormat, text).map(({ offset, message }) => {
+      const { line, char } = positionAt(file.buffer, Math.min(offset, text.length));
+      return { line, start: char, end: char + 1, severity: 'error', message };
+    });
+  },
+};
+
+// Espacios y tabulaciones al final de las líneas. No se comprueba en los registros de ancho fijo (con esquema
+// o diseño de desplazamiento fijo), donde los espacios finales son relleno.
+export const TRAILING_WHITESPACE_VALIDATOR = {
+  id: 'trailingWhitespace',
+  name: 'Espacios finales',
+  validate: ({ lines, schema, layout }) => {
+    if (schema || layout?.type === 'fixed') return [];
+    const diagnostics = [];
+    lines.forEach((line, index) => {
+      const match = /[ \t]+$/.exec(line);
+      if (match) diagnostics.push({ line: index, start: match.index, end: line.length, severity: 'info', message: 'Espacios en blanco al final de la línea.' });
+    });
+    return diagnostics;
+  },
+};
+
+// Finales de línea mezclados en el archivo leído (al guardarlo se convierten todos al estilo del archivo).
+export const MIXED_EOL_VALIDATOR = {
+  id: 'mixedEol',
+  name: 'Fin de línea',
+  validate: ({ file, lines }) => {
+    if (!file.mixedEol) return [];
+    const line = Math.min(file.mixedEol.line, lines.length - 1);
+    return [{
+      line,
+      start: lines[line].length,
+      end: lines[line].length,
+      severity: 'warning',
+      message: `El archivo mezcla finales de línea: ${file.mixedEol.count} no son ${file.eol} (el primero, en esta línea). Al guardar se escribirán todos como ${file.eol}.`,
+    }];
+  },
+};
+
+// Caracteres que no existen en la codificación del archivo (se guardarían como '?') y caracteres de
+// reemplazo (bytes que no eran válidos al leerlo). Los caracteres seguidos se marcan juntos.
+export const ENCODING_VALIDATOR = {
+  id: 'encoding',
+  name: 'Codificación',
+  validate: ({ file, lines }) => {
+    const encoding = file.encoding ?? DEFAULT_ENCODING;
+    // Solo se miran los caracteres que pueden dar problemas: en Unicode, los de reemplazo; en las codificaciones
+    // de un byte, además, los que no son ASCII ni Latin-1 imprimible (de ellos, los que falten en la codificación).
+    const suspect = isSingleByteEncoding(encoding) ? /[\x80-\x9F\u0100-\uFFFF]/g : /\uFFFD/g;
+    const diagnostics = [];
+    for (let index = 0; index < lines.length && diagnostics.length < MAX_DIAGNOSTICS_PER_VALIDATOR; index++) {
+      const line = lines[index];
+      let run = null;
+      suspect.lastIndex = 0;
+      for (let match = suspect.exec(line); match; match = suspect.exec(line)) {
+        const code = line.charCodeAt(match.index);
+        const kind = code === REPLACEMENT_CHAR ? 'replacement' : canEncodeChar(code, encoding) ? null : 'unmappable';
+        if (!kind) continue;
+        if (run && run.kind === kind && run.diagnostic.end === match.index) {
+          run.diagnostic.end++;
+          continue;
+        }
+        if (diagnostics.length >= MAX_DIAGNOSTICS_PER_VALIDATOR) break;
+        const diagnostic = kind === 'replacement'
+          ? { line: index, start: match.index, end: match.index + 1, severity: 'warning', message: 'Carácter de reemplazo (�): al leer el archivo había bytes no válidos en su codificación.' }
+          : { line: index, start: match.index, end: match.index + 1, severity: 'error', message: `${getEncodingLabel(encoding)} no tiene este carácter: se guardará como '?'.` };
+        diagnostics.push(diagnostic);
+        run = { kind, diagnostic };
+      }
+    }
+    return diagnostics;
+  },
+};
+
+[
+  RECORD_LENGTH_VALIDATOR, DOCUMENT_SYNTAX_VALIDATOR, TRAILING_WHITESPACE_VALIDATOR, MIXED_EOL_VALIDATOR, ENCODING_VALIDATOR,
+].forEach(registerValidator);
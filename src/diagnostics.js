@@ -0,0 +1,108 @@
+// Diagnósticos: problemas del archivo actual que se marcan en el editor (subrayados y en el margen de los
+// números de línea), en la barra de estado y en el panel de problemas.
+//
+// Un diagnóstico es:
+//  {
+//    line:       línea (0-based),
+//    start, end: rango de caracteres [start, end) de la línea (vacío si el problema está en un punto),
+//    severity:   'error' | 'warning' | 'info',
+//    message:    descripción del problema,
+//    source:     nombre del validador que lo publica,
+//  }
+//
+// Los validadores se registran con registerValidator (ver diagnosticValidators.js para los de serie). Cada uno
+// es { id, name, validate(context) } y devuelve una lista de diagnósticos sin `source`. `context` es:
+//  { file, lines, text, layout, schema, documentFormat }: el archivo abierto, su texto (entero y por líneas), el
+//  diseño y el esquema activos y el formato del documento que hay que validar ('json', 'xml' o null).
+
+// Número máximo de diagnósticos que se publican de cada validador (el resto se descarta; los validadores que
+// recorren todo el texto pueden dejar de buscar al llegar a él).
+export const MAX_DIAGNOSTICS_PER_VALIDATOR = 1000;
+
+// Gravedades, de mayor a menor.
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Validadores registrados.
+const validators = [];
+
+// Registra un validador (si ya hay uno con el mismo id, lo reemplaza).
+export const registerValidator = (validator) => {
+  const index = validators.findIndex(existing => existing.id === validator.id);
+  if (index >= 0) validators[index] = validator;
+  else validators.push(validator);
+};
+
+// Compara dos diagnósticos por posición (y, en la misma, por gravedad).
+const compareDiagnostics = (a, b) => a.line - b.line || a.start - b.start
+  || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity);
+
+// Ejecuta todos los validadores sobre el contexto y devuelve sus diagnósticos ordenados por posición.
+// Si un validador falla, se publica su error como diagnóstico en lugar de interrumpir el resto.
+export const computeDiagnostics = (context) => validators
+  .flatMap(validator => {
+    try {
+      return validator.validate(context)
+        .slice(0, MAX_DIAGNOSTICS_PER_VALIDATOR)
+        .map(diagnostic => ({ ...diagnostic, source: validator.name }));
+    } catch (error) {
+      return [{ line: 0, start: 0, end: 0, severity: 'info', message: `El validador falló: ${error.message}`, source: validator.name }];
+    }
+  })
+  .sort(compareDiagnostics);
+
+// Cuenta los diagnósticos de cada gravedad: { error, warning, info }.
+export const countDiagnostics = (diagnostics) => {
+  const counts = { error: 0, warning: 0, info: 0 };
+  diagnostics.forEach(diagnostic => counts[diagnostic.severity]++);
+  return counts;
+};
+
+// Agrupa los diagnósticos por línea: Map línea → { severity, diagnostics }, con la gravedad más alta de la línea.
+export const groupDiagnosticsByLine = (diagnostics) => {
+  const byLine = new Map();
+  diagnostics.forEach(diagnostic => {
+    const entry = byLine.get(diagnostic.line);
+    if (!entry) {
+      byLine.set(diagnostic.line, { severity: diagnostic.severity, diagnostics: [diagnostic] });
+      return;
+    }
+    entry.diagnostics.push(diagnostic);
+    if (SEVERITIES.indexOf(diagnostic.severity) < SEVERITIES.indexOf(entry.severity)) entry.severity = diagnostic.severity;
+  });
+  return byLine;
+};
+
+// Gravedad más alta de los diagnósticos de una línea que subrayan el carácter `char`, o null. Los diagnósticos
+// de un punto al final de la línea subrayan su último carácter.
+export const getSeverityAt = (lineDiagnostics, char, lineLength) => {
+  let severity = null;
+  lineDiagnostics.forEach(diagnostic => {
+    const start = Math.min(diagnostic.start, Math.max(0, lineLength - 1));
+    const end = Math.max(diagnostic.end, start + 1);
+    if (char >= start && char < end
+        && (severity === null || SEVERITIES.indexOf(diagnostic.severity) < SEVERITIES.indexOf(severity))) {
+      severity = diagnostic.severity;
+    }
+  });
+  return severity;
+};
+
+// Índice del diagnóstico siguiente (o anterior, con `backwards`) a la posición `{ line, char }`, dando la
+// vuelta al llegar al final. `currentIndex` es el último al que se saltó: si el cursor sigue en él, se pasa al
+// siguiente aunque empiece en la misma posición. Devuelve -1 si no hay diagnósticos.
+export const findAdjacentDiagnostic = (diagnostics, { line, char }, backwards, currentIndex = -1) => {
+  if (diagnostics.length === 0) return -1;
+  const current = diagnostics[currentIndex];
+  if (current && current.line === line && current.start === char) {
+    return (currentIndex + (backwards ? -1 : 1) + diagnostics.length) % diagnostics.length;
+  }
+  const position = { line, start: char, severity: 'info' };
+  if (backwards) {
+    for (let i = diagnostics.length - 1; i >= 0; i--) {
+      if (compareDiagnostics(diagnostics[i], position) < 0) return i;
+    }
+    return diagnostics.length - 1;
+  }
+  const index = diagnostics.findIndex(diagnostic => diagnostic.line > line || (diagnostic.line === line && diagnostic.start > char));
+  return index === -1 ? 0 : index;
+};
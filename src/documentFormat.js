@@ -0,0 +1,356 @@
+// Formato (con sangría o minimizado) y validación de documentos JSON y XML.
+//
+// Los analizadores recorren el texto sin convertirlo en objetos, así que al dar formato se conservan tal cual
+// los números, las cadenas y los comentarios (en XML) del documento; solo cambian los espacios entre elementos.
+// Los errores de sintaxis son { offset, message }, con la posición del error en el texto.
+
+// Formatos que se pueden transformar.
+export const DOCUMENT_FORMATS = ['json', 'xml'];
+
+// Número máximo de problemas que se informan de un documento XML (el JSON se detiene en el primero).
+const MAX_PROBLEMS = 100;
+
+// Error con la posición (`offset`) del problema en el texto.
+const createSyntaxError = (message, offset) => Object.assign(new Error(message), { offset });
+
+// Formato de un documento: el de su modo de resaltado ('json' o 'xml') o, si no es ninguno de los dos,
+// el que se deduce de su primer carácter. Devuelve null si no es JSON ni XML.
+export const getDocumentFormat = (modeId, text) => {
+  if (DOCUMENT_FORMATS.includes(modeId)) return modeId;
+  const first = text.trimStart()[0];
+  if (first === '{' || first === '[') return 'json';
+  if (first === '<') return 'xml';
+  return null;
+};
+
+// --- JSON ---
+
+const JSON_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const JSON_LITERAL = /true|false|null/y;
+const JSON_ESCAPES = '"\\/bfnrtu';
+const CLOSING = { '{': '}', '[': ']' };
+
+// Analiza un documento JSON y devuelve sus tokens ({ type, start, end }: llaves, corchetes, ':', ',' y
+// valores). Lanza un error de sintaxis (con `offset`) en el primer problema.
+const tokenizeJson = (text) => {
+  const tokens = [];
+  let pos = 0;
+  const push = (type, length = 1) => {
+    tokens.push({ type, start: pos, end: pos + length });
+    pos += length;
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && ' \t\n\r'.includes(text[pos])) pos++;
+  };
+  const unexpected = () => {
+    if (pos >= text.length) return createSyntaxError('Fin inesperado del documento.', pos);
+    if (text.startsWith('//', pos) || text.startsWith('/*', pos)) return createSyntaxError('JSON no admite comentarios.', pos);
+    return createSyntaxError(`Carácter inesperado '${text[pos]}'.`, pos);
+  };
+  const parseString = () => {
+    const start = pos;
+    let i = pos + 1;
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\') {
+        if (!JSON_ESCAPES.includes(text[i + 1])) throw createSyntaxError('Secuencia de escape no válida.', i);
+        if (text[i + 1] === 'u' && !/^[0-9a-fA-F]{4}$/.test(text.substr(i + 2, 4))) {
+          throw createSyntaxError('Secuencia \\u no válida (se esperaban 4 dígitos hexadecimales).', i);
+        }
+        i += 2;
+      } else if (text.charCodeAt(i) < 0x20) {
+        throw createSyntaxError(text[i] === '\n' ? 'Cadena sin cerrar.' : 'Carácter de control sin escapar en una cadena.', i);
+      } else {
+        i++;
+      }
+    }
+    if (i >= text.length) throw createSyntaxError('Cadena sin cerrar.', start);
+    push('value', i + 1 - start);
+  };
+  // Contenedores abiertos ('{' o '['), del más externo al más interno. Se usa una pila en lugar de recursión
+  // para que los documentos muy anidados no desborden la pila de llamadas.
+  const open = [];
+  // Clave de un miembro de objeto y los ':' que la siguen.
+  const parseKey = () => {
+    skipWhitespace();
+    if (text[pos] !== '"') throw pos >= text.length ? unexpected() : createSyntaxError('Se esperaba una clave entre comillas.', pos);
+    parseString();
+    skipWhitespace();
+    if (text[pos] !== ':') throw pos >= text.length ? unexpected() : createSyntaxError("Se esperaba ':'.", pos);
+    push(':');
+  };
+  // Lee un valor. Si es un objeto o una lista con contenido, solo lo abre (y lee la clave de su primer miembro)
+  // y devuelve true: su primer valor es el siguiente que hay que leer.
+  const parseValue = () => {
+    skipWhitespace();
+    const char = text[pos];
+    if (char === '{' || char === '[') {
+      push(char);
+      skipWhitespace();
+      if (text[pos] === CLOSING[char]) {
+        push(CLOSING[char]);
+        return false;
+      }
+      open.push(char);
+      if (char === '{') parseKey();
+      return true;
+    }
+    if (char === '"') {
+      parseString();
+      return false;
+    }
+    for (const regex of [JSON_NUMBER, JSON_LITERAL]) {
+      regex.lastIndex = pos;
+      const match = regex.exec(text);
+      if (match) {
+        push('value', match[0].length);
+        return false;
+      }
+    }
+    throw unexpected();
+  };
+  // Tras un valor completo: cierra los contenedores que terminan y, si sigue una ',', lee la clave del siguiente
+  // miembro. Devuelve true si viene otro valor y false si ha terminado el valor principal.
+  const parseAfterValue = () => {
+    while (open.length > 0) {
+      const char = open[open.length - 1];
+      skipWhitespace();
+      if (text[pos] === ',') {
+        push(',');
+        if (char === '{') parseKey();
+        return true;
+      }
+      if (text[pos] !== CLOSING[char]) throw pos >= text.length ? unexpected() : createSyntaxError(`Se esperaba ',' o '${CLOSING[char]}'.`, pos);
+      push(CLOSING[char]);
+      open.pop();
+    }
+    return false;
+  };
+
+  skipWhitespace();
+  if (pos >= text.length) throw createSyntaxError('El documento está vacío.', 0);
+  // Cada vuelta lee un valor y, cuando está completo, lo que lo sigue hasta el próximo valor.
+  while (parseValue() || parseAfterValue());
+  skipWhitespace();
+  if (pos < text.length) throw createSyntaxError('Hay contenido después del valor principal.', pos);
+  return tokens;
+};
+
+// Escribe los tokens de un JSON con la sangría `indent` (un string), o sin espacios si `indent` es null.
+const printJson = (text, tokens, indent) => {
+  const parts = [];
+  let depth = 0;
+  const newLine = () => (indent === null ? '' : `\n${indent.repeat(depth)}`);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const raw = text.slice(token.start, token.end);
+    if (token.type === '{' || token.type === '[') {
+      // Los objetos y listas vacíos se quedan en una línea.
+      if (tokens[i + 1].type === CLOSING[token.type]) {
+        parts.push(raw, CLOSING[token.type]);
+        i++;
+        continue;
+      }
+      depth++;
+      parts.push(raw, newLine());
+    } else if (token.type === '}' || token.type === ']') {
+      depth--;
+      parts.push(newLine(), raw);
+    } else if (token.type === ',') {
+      parts.push(',', newLine());
+    } else if (token.type === ':') {
+      parts.push(indent === null ? ':' : ': ');
+    } else {
+      parts.push(raw);
+    }
+  }
+  return parts.join('');
+};
+
+// --- XML ---
+
+const XML_TAG = /<(\/?)([A-Za-z_:][\w:.-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+const XML_ATTRIBUTE_NAME = /([^\s=/>]+)\s*=/g;
+const XML_BAD_AMPERSAND = /&(?![A-Za-z_][\w.-]*;|#\d+;|#x[0-9a-fA-F]+;)/g;
+
+// Analiza un documento XML. Devuelve { tokens, problems }: los tokens ({ type, start, end, name }) son
+// etiquetas de apertura ('open'), cierre ('close') y vacías ('empty'), texto ('text') y el resto de
+// construcciones ('other': comentarios, CDATA, instrucciones de procesamiento y DOCTYPE). Los problemas
+// ({ offset, message }) son los errores de buena formación que se encuentran (el análisis continúa tras ellos).
+const parseXml = (text) => {
+  const tokens = [];
+  const problems = [];
+  const stack = []; // Etiquetas abiertas: { name, start }.
+  let hasRoot = false;
+  let pos = 0;
+  const report = (message, offset) => {
+    if (problems.length < MAX_PROBLEMS) problems.push({ offset, message });
+  };
+  // Construcción delimitada por `open` y `close` (comentario, CDATA...). Devuelve su final.
+  const findClose = (close, from, message) => {
+    const index = text.indexOf(close, from);
+    if (index === -1) {
+      report(message, pos);
+      return text.length;
+    }
+    return index + close.length;
+  };
+
+  while (pos < text.length) {
+    let end;
+    if (text.startsWith('<!--', pos)) {
+      end = findClose('-->', pos + 4, 'Comentario sin cerrar.');
+      tokens.push({ type: 'other', start: pos, end });
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      if (stack.length === 0) report('Sección CDATA fuera del elemento raíz.', pos);
+      end = findClose(']]>', pos + 9, 'Sección CDATA sin cerrar.');
+      tokens.push({ type: 'other', start: pos, end });
+    } else if (text.startsWith('<?', pos)) {
+      end = findClose('?>', pos + 2, 'Instrucción de procesamiento sin cerrar.');
+      tokens.push({ type: 'other', start: pos, end });
+    } else if (text.startsWith('<!', pos)) {
+      // DOCTYPE, con su posible subconjunto interno entre corchetes.
+      const bracket = text.indexOf('[', pos);
+      const close = text.indexOf('>', pos);
+      end = bracket !== -1 && bracket < close
+        ? findClose(']>', bracket, 'Declaración DOCTYPE sin cerrar.')
+        : findClose('>', pos, 'Declaración DOCTYPE sin cerrar.');
+      tokens.push({ type: 'other', start: pos, end });
+    } else if (text[pos] === '<') {
+      XML_TAG.lastIndex = pos;
+      const match = XML_TAG.exec(text);
+      if (!match) {
+        report('Etiqueta mal formada.', pos);
+        const next = text.indexOf('>', pos + 1);
+        end = next === -1 ? text.length : next + 1;
+        tokens.push({ type: 'text', start: pos, end });
+        pos = end;
+        continue;
+      }
+      const [raw, slash, name, attributes, selfClosing] = match;
+      end = pos + raw.length;
+      if (slash) {
+        tokens.push({ type: 'close', start: pos, end, name });
+        if (stack.length > 0 && stack[stack.length - 1].name === name) {
+          stack.pop();
+        } else if (stack.some(open => open.name === name)) {
+          // Se cierran las etiquetas que quedaron abiertas dentro de esta.
+          while (stack[stack.length - 1].name !== name) report(`Falta cerrar <${stack.pop().name}>.`, pos);
+          stack.pop();
+        } else {
+          report(`Etiqueta de cierre </${name}> sin su apertura.`, pos);
+        }
+      } else {
+        if (stack.length === 0) {
+          if (hasRoot) report('Solo puede haber un elemento raíz.', pos);
+          hasRoot = true;
+        }
+        const names = new Set();
+        for (const [, attribute] of attributes.matchAll(XML_ATTRIBUTE_NAME)) {
+          if (names.has(attribute)) report(`Atributo repetido: ${attribute}.`, pos);
+          names.add(attribute);
+        }
+        if (selfClosing) {
+          tokens.push({ type: 'empty', start: pos, end, name });
+        } else {
+          tokens.push({ type: 'open', start: pos, end, name });
+          stack.push({ name, start: pos });
+        }
+      }
+    } else {
+      const next = text.indexOf('<', pos);
+      end = next === -1 ? text.length : next;
+      const content = text.slice(pos, end);
+      if (content.trim()) {
+        if (stack.length === 0) report('Hay texto fuera del elemento raíz.', pos + content.search(/\S/));
+        for (const match of content.matchAll(XML_BAD_AMPERSAND)) report("'&' sin escapar (use &amp;).", pos + match.index);
+      }
+      tokens.push({ type: 'text', start: pos, end });
+    }
+    pos = end;
+  }
+  stack.forEach(open => report(`Falta cerrar <${open.name}>.`, open.start));
+  if (!hasRoot) report('El documento no tiene elemento raíz.', 0);
+  problems.sort((a, b) => a.offset - b.offset);
+  return { tokens, problems };
+};
+
+// Escribe los tokens de un XML con la sangría `indent`, o sin los espacios entre etiquetas si `indent` es null.
+// Solo se quitan los textos que son todo espacios; el resto se escribe tal cual. Los elementos que contienen
+// texto (solo texto o mezclado con otros elementos) se copian enteros en una línea, porque en ellos los espacios
+// y los saltos de línea forman parte del contenido.
+const printXml = (text, tokens, indent) => {
+  const raw = (token) => text.slice(token.start, token.end);
+  const isBlank = (token) => token.type === 'text' && !raw(token).trim();
+  // Elementos con texto: índice del token de apertura → índice del de cierre.
+  const withText = new Map();
+  const open = [];
+  tokens.forEach((token, i) => {
+    if (token.type === 'open') {
+      open.push({ index: i, hasText: false });
+    } else if (token.type === 'close') {
+      const element = open.pop();
+      if (element?.hasText) withText.set(element.index, i);
+    } else if (token.type === 'text' && !isBlank(token) && open.length > 0) {
+      open[open.length - 1].hasText = true;
+    }
+  });
+  const lines = []; // { depth, content }
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (isBlank(token)) continue;
+    if (withText.has(i)) {
+      i = withText.get(i);
+      lines.push({ depth, content: text.slice(token.start, tokens[i].end) });
+    } else if (token.type === 'open') {
+      // Los elementos vacíos (o con solo espacios) se quedan en una línea.
+      let next = i + 1;
+      while (tokens[next] && isBlank(tokens[next])) next++;
+      if (tokens[next]?.type === 'close') {
+        lines.push({ depth, content: raw(token) + raw(tokens[next]) });
+        i = next;
+      } else {
+        lines.push({ depth, content: raw(token) });
+        depth++;
+      }
+    } else if (token.type === 'close') {
+      depth = Math.max(0, depth - 1);
+      lines.push({ depth, content: raw(token) });
+    } else {
+      lines.push({ depth, content: raw(token) });
+    }
+  }
+  if (indent === null) return lines.map(line => line.content).join('');
+  return lines.map(line => indent.repeat(line.depth) + line.content).join('\n');
+};
+
+// --- API ---
+
+// Problemas de sintaxis de un documento ([{ offset, message }]; vacío si es válido). Los errores que no son
+// de sintaxis (sin posición) se lanzan.
+export const validateDocument = (format, text) => {
+  if (format === 'xml') return parseXml(text).problems;
+  try {
+    tokenizeJson(text);
+    return [];
+  } catch (error) {
+    // Solo los errores de sintaxis traen la posición; cualquier otro es un fallo del analizador.
+    if (typeof error.offset !== 'number') throw error;
+    return [{ offset: error.offset, message: error.message }];
+  }
+};
+
+// Da formato a un documento con la sangría `indent` (un string), o lo minimiza si `indent` es null.
+// Con formato, se conserva el salto de línea final si lo había. Lanza un error de sintaxis (con `offset`)
+// si el documento no es válido.
+export const transformDocument = (format, text, indent) => {
+  let result;
+  if (format === 'xml') {
+    const { tokens, problems } = parseXml(text);
+    if (problems.length > 0) throw createSyntaxError(problems[0].message, problems[0].offset);
+    result = printXml(text, tokens, indent);
+  } else {
+    result = printJson(text, tokenizeJson(text), indent);
+  }
+  return indent !== null && text.endsWith('\n') ? `${result}\n` : result;
+};
@@ -0,0 +1,49 @@
+// Preferencias del editor que se guardan en localStorage: sangría, representación de espacios en blanco y
+// validación de los documentos JSON y XML al escribir.
+//
+//  {
+//    insertSpaces:     true si Tab inserta espacios; false si inserta un carácter de tabulación,
+//    tabSize:          ancho de la sangría (espacios por nivel) y de las tabulaciones en pantalla,
+//    renderWhitespace: si se muestran las tabulaciones, los espacios finales y los separadores de campo,
+//    validateOnType:   si los documentos JSON y XML se validan mientras se escribe (con la lista de problemas),
+//  }
+
+// Clave de localStorage donde se guardan las preferencias.
+export const EDITOR_SETTINGS_STORAGE_KEY = 'myEditorSettings';
+
+// Anchos de sangría que se ofrecen en la barra de estado.
+export const TAB_SIZES = [2, 4, 8];
+
+// Preferencias por defecto.
+export const DEFAULT_EDITOR_SETTINGS = { insertSpaces: true, tabSize: 4, renderWhitespace: false, validateOnType: false };
+
+// Completa y valida unas preferencias leídas de localStorage (los valores no válidos toman el de por defecto).
+export const normalizeEditorSettings = (raw) => {
+  const settings = { ...DEFAULT_EDITOR_SETTINGS };
+  if (!raw || typeof raw !== 'object') return settings;
+  if (typeof raw.insertSpaces === 'boolean') settings.insertSpaces = raw.insertSpaces;
+  if (Number.isInteger(raw.tabSize) && raw.tabSize >= 1 && raw.tabSize <= 16) settings.tabSize = raw.tabSize;
+  if (typeof raw.renderWhitespace === 'boolean') settings.renderWhitespace = raw.renderWhitespace;
+  if (typeof raw.validateOnType === 'boolean') settings.validateOnType = raw.validateOnType;
+  return settings;
+};
+
+// Carga las preferencias desde localStorage.
+export const loadEditorSettings = () => {
+  try {
+    const saved = localStorage.getItem(EDITOR_SETTINGS_STORAGE_KEY);
+    return normalizeEditorSettings(saved ? JSON.parse(saved) : null);
+  } catch (error) {
+    console.error("Failed to load editor settings from localStorage", error);
+    return { ...DEFAULT_EDITOR_SETTINGS };
+  }
+};
+
+// Guarda las preferencias en localStorage.
+export const saveEditorSettings = (settings) => {
+  try {
+    localStorage.setItem(EDITOR_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error("Failed to save editor settings to localStorage", error);
+  }
+};
@@ -0,0 +1,109 @@
+// Apertura y guardado de archivos en el equipo del usuario.
+//
+// Si el navegador admite la File System Access API (showOpenFilePicker, showSaveFilePicker), los archivos
+// se abren con un "handle" (FileSystemFileHandle) que se guarda en el archivo abierto, y Ctrl+S escribe
+// directamente en el archivo original. Si no la admite, o el archivo no tiene handle, se descarga una copia.
+//
+// Los handles no se pueden guardar en localStorage: al recargar la página los archivos se conservan,
+// pero el primer guardado vuelve a ser una descarga (o un "Guardar como").
+//
+// Todas las funciones reciben opcionalmente el objeto `win` (por defecto `window`) para poder probarlas
+// sin navegador con el doble de fileSystemAccessDouble.js.
+//
+// Los archivos se leen como bytes y se decodifican con la codificación detectada (ver textEncoding.js);
+// para guardar se reciben los bytes ya codificados (o un string, que se escribe en UTF-8).
+
+import { decodeWithDetection } from './textEncoding';
+
+// Indica si el navegador permite abrir y guardar archivos con handles.
+export const supportsFileSystemAccess = (win = window) =>
+  typeof win.showOpenFilePicker === 'function' && typeof win.showSaveFilePicker === 'function';
+
+// Indica si un error de la API se debe a que el usuario canceló el selector de archivos.
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// Lee un File (o Blob) como bytes (Uint8Array): no como texto, porque la codificación se detecta después.
+export const readFileAsBytes = async (file) => new Uint8Array(await file.arrayBuffer());
+
+// Lee un File detectando su codificación. Devuelve { content, encoding, bytes }.
+export const readFileContent = async (file) => {
+  const bytes = await readFileAsBytes(file);
+  return { ...decodeWithDetection(bytes), bytes };
+};
+
+// Lee el contenido de un handle. Devuelve { name, content, encoding, bytes, handle }.
+export const readFileHandle = async (handle) => {
+  const file = await handle.getFile();
+  return { name: handle.name, ...await readFileContent(file), handle };
+};
+
+// Muestra el selector de archivos del sistema y devuelve la lista de archivos leídos (ver readFileHandle).
+// Devuelve una lista vacía si el usuario cancela.
+export const openFilesWithPicker = async (win = window) => {
+  try {
+    const handles = await win.showOpenFilePicker({ multiple: true });
+    return await Promise.all(handles.map(readFileHandle));
+  } catch (error) {
+    if (isAbortError(error)) return [];
+    throw error;
+  }
+};
+
+// Comprueba (y si hace falta pide) el permiso de escritura sobre un handle.
+const ensureWritePermission = async (handle) => {
+  if (typeof handle.queryPermission !== 'function') return true;
+  const options = { mode: 'readwrite' };
+  if (await handle.queryPermission(options) === 'granted') return true;
+  return await handle.requestPermission(options) === 'granted';
+};
+
+// Escribe `data` (bytes o texto) en el archivo del handle, reemplazando su contenido.
+export const writeFileHandle = async (handle, data) => {
+  if (!await ensureWritePermission(handle)) {
+    throw new Error(`No hay permiso para escribir en '${handle.name}'.`);
+  }
+  const writable = await handle.createWritable();
+  await writable.write(data);
+  await writable.close();
+};
+
+// Descarga `data` (bytes o texto) como un archivo llamado `name` (el navegador lo guarda en la carpeta de descargas).
+export const downloadTextFile = (name, data, win = window) => {
+  // Crea un Blob (objeto binario) con el contenido del archivo. Los bytes ya van en su codificación.
+  const blob = new Blob([data], { type: typeof data === 'string' ? 'text/plain;charset=utf-8' : 'text/plain' });
+  const link = win.document.createElement('a'); // Crea un enlace temporal.
+  link.href = win.URL.createObjectURL(blob); // Asigna la URL del Blob al enlace.
+  link.download = name; // Asigna el nombre del archivo para la descarga.
+  link.click(); // Simula un clic en el enlace para iniciar la descarga.
+  win.URL.revokeObjectURL(link.href); // Libera la memoria usada por la URL del Blob.
+};
+
+// Pide al usuario dónde guardar el archivo y escribe allí `data` (bytes o texto).
+// Devuelve { handle, name, method: 'handle' | 'download' }, o null si el usuario cancela.
+// Sin soporte de la API, se descarga con el nombre sugerido.
+export const saveFileAs = async (suggestedName, data, win = window) => {
+  if (!supportsFileSystemAccess(win)) {
+    downloadTextFile(suggestedName, data, win);
+    return { handle: null, name: suggestedName, method: 'download' };
+  }
+  let handle;
+  try {
+    handle = await win.showSaveFilePicker({ suggestedName });
+  } catch (error) {
+    if (isAbortError(error)) return null;
+    throw error;
+  }
+  await writeFileHandle(handle, data);
+  return { handle, name: handle.name, method: 'handle' };
+};
+
+// Guarda `data` (bytes o texto) en un archivo abierto: en su archivo original si tiene handle, o descargando una copia si no.
+// Devuelve { handle, name, method } (el handle es null en las descargas).
+export const saveOpenedFile = async ({ name, handle }, data, win = window) => {
+  if (handle) {
+    await writeFileHandle(handle, data);
+    return { handle, name: handle.name, method: 'handle' };
+  }
+  downloadTextFile(name, data, win);
+  return { handle: null, name, method: 'download' };
+};
@@ -0,0 +1,139 @@
+// Doble de la File System Access API para ejercitar la apertura y el guardado sin navegador
+// (por ejemplo en jsdom, en Node o desde la consola). No se usa en la aplicación; lo usa la comprobación
+// de scripts/check-file-system-access.js (`npm run check:fs`).
+//
+// Uso:
+//   const win = createWindowDouble();  // O `window`, en jsdom o en el navegador.
+//   const fs = installFileSystemAccessDouble(win, { 'datos.txt': 'contenido' });
+//   fs.nextOpen = ['datos.txt'];       // Archivos que "elegirá" el próximo showOpenFilePicker.
+//   fs.nextSaveName = 'copia.txt';     // Nombre que "elegirá" el próximo showSaveFilePicker.
+//   fs.cancelNext = true;              // El próximo selector se cancela (AbortError).
+//   fs.nextDirectory = 'proyecto';     // Carpeta que "elegirá" el próximo showDirectoryPicker.
+//   fs.files['datos.txt']              // Contenido actual de cada archivo (las claves son rutas: 'proyecto/src/a.txt').
+//                                      // Es un string, o un Uint8Array si se escribieron bytes.
+//   win.downloads                      // Descargas hechas con downloadTextFile: [{ name, blob }] (solo con createWindowDouble).
+
+import { readFileAsBytes } from './fileSystemAccess';
+
+// Crea un error como los que lanza el navegador cuando el usuario cierra el selector.
+const createAbortError = () => {
+  const error = new Error('The user aborted a request.');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Crea un error como los que lanza el navegador cuando no existe una entrada.
+const createNotFoundError = (name) => {
+  const error = new Error(`'${name}' not found.`);
+  error.name = 'NotFoundError';
+  return error;
+};
+
+// Último segmento de una ruta.
+const baseName = (path) => path.substring(path.lastIndexOf('/') + 1);
+
+// Crea un handle falso para el archivo de ruta `path` del sistema de archivos `fs`.
+// `permission` es el estado que devuelven queryPermission/requestPermission ('granted' o 'denied').
+export const createFileHandleDouble = (fs, path, permission = 'granted') => ({
+  kind: 'file',
+  name: baseName(path),
+  getFile: async () => new Blob([fs.files[path] ?? ''], { type: 'text/plain' }),
+  queryPermission: async () => permission,
+  requestPermission: async () => permission,
+  createWritable: async () => {
+    const parts = [];
+    return {
+      write: async (data) => { parts.push(typeof data === 'string' ? data : await readFileAsBytes(new Blob([data]))); },
+      close: async () => {
+        // Si solo se escribió texto se guarda como string; si no, se juntan todos los bytes.
+        fs.files[path] = parts.every(part => typeof part === 'string') ? parts.join('') : await readFileAsBytes(new Blob(parts));
+        fs.writes.push(path);
+      },
+    };
+  },
+});
+
+// Crea un handle falso para la carpeta de ruta `path`. Sus hijos se deducen de las rutas de `fs.files`.
+export const createDirectoryHandleDouble = (fs, path) => {
+  const prefix = `${path}/`;
+  const childPath = (name) => `${prefix}${name}`;
+  const isDirectory = (p) => Object.keys(fs.files).some(key => key.startsWith(`${p}/`));
+  return {
+    kind: 'directory',
+    name: baseName(path),
+    values: async function* () {
+      const names = new Set(Object.keys(fs.files)
+        .filter(key => key.startsWith(prefix))
+        .map(key => key.substring(prefix.length).split('/')[0]));
+      for (const name of names) {
+        yield isDirectory(childPath(name)) ? createDirectoryHandleDouble(fs, childPath(name)) : createFileHandleDouble(fs, childPath(name));
+      }
+    },
+    getFileHandle: async (name, { create = false } = {}) => {
+      if (!(childPath(name) in fs.files)) {
+        if (!create) throw createNotFoundError(name);
+        fs.files[childPath(name)] = '';
+      }
+      return createFileHandleDouble(fs, childPath(name));
+    },
+    getDirectoryHandle: async (name) => {
+      if (!isDirectory(childPath(name))) throw createNotFoundError(name);
+      return createDirectoryHandleDouble(fs, childPath(name));
+    },
+    removeEntry: async (name) => {
+      const target = childPath(name);
+      const keys = Object.keys(fs.files).filter(key => key === target || key.startsWith(`${target}/`));
+      if (keys.length === 0) throw createNotFoundError(name);
+      keys.forEach(key => delete fs.files[key]);
+    },
+  };
+};
+
+// Crea una ventana mínima (sin la File System Access API) con lo que usa downloadTextFile: las descargas se
+// guardan en `win.downloads` en lugar de llegar al navegador.
+export const createWindowDouble = () => {
+  const win = { downloads: [] };
+  win.URL = {
+    createObjectURL: (blob) => blob,
+    revokeObjectURL: () => {},
+  };
+  win.document = {
+    createElement: () => {
+      const link = { href: null, download: null };
+      link.click = () => win.downloads.push({ name: link.download, blob: link.href });
+      return link;
+    },
+  };
+  return win;
+};
+
+// Instala showOpenFilePicker, showSaveFilePicker y showDirectoryPicker falsos en `win` y devuelve el
+// sistema de archivos simulado.
+export const installFileSystemAccessDouble = (win, files = {}) => {
+  const fs = { files: { ...files }, writes: [], nextOpen: [], nextSaveName: null, nextDirectory: null, cancelNext: false };
+  const takeCancel = () => {
+    const cancel = fs.cancelNext;
+    fs.cancelNext = false;
+    return cancel;
+  };
+  win.showOpenFilePicker = async () => {
+    if (takeCancel() || fs.nextOpen.length === 0) throw createAbortError();
+    const names = fs.nextOpen;
+    fs.nextOpen = [];
+    return names.map(name => createFileHandleDouble(fs, name));
+  };
+  win.showSaveFilePicker = async ({ suggestedName } = {}) => {
+    if (takeCancel()) throw createAbortError();
+    const name = fs.nextSaveName ?? suggestedName;
+    fs.nextSaveName = null;
+    if (!(name in fs.files)) fs.files[name] = '';
+    return createFileHandleDouble(fs, name);
+  };
+  win.showDirectoryPicker = async () => {
+    if (takeCancel() || !fs.nextDirectory) throw createAbortError();
+    const path = fs.nextDirectory;
+    fs.nextDirectory = null;
+    return createDirectoryHandleDouble(fs, path);
+  };
+  return fs;
+};
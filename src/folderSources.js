@@ -0,0 +1,179 @@
+// Acceso a los archivos y carpetas de la carpeta abierta en el explorador.
+//
+// Cada nodo del árbol (ver folderTree.js) guarda un "source" con una interfaz común, sea cual sea el origen:
+//  - Carpetas (kind 'directory'):
+//      listChildren(): Promise<[{ name, kind, source }]>
+//      createFile(name): Promise<source>              crea un archivo vacío y devuelve su source,
+//      renameChild(name, newName): Promise<source>    renombra un hijo y devuelve su nuevo source,
+//      removeChild(name): Promise<void>               borra un hijo (con todo su contenido),
+//  - Archivos (kind 'file'):
+//      readFile(): Promise<{ content, encoding, bytes, handle }>  lee el archivo (ver readFileContent) y su handle, si lo hay,
+//      handle:                                        FileSystemFileHandle del archivo, o null.
+//  - Ambos: readOnly, true si los cambios solo afectan al árbol del explorador y no al disco.
+//
+// Orígenes posibles:
+//  - Un FileSystemDirectoryHandle (selector de carpetas o carpeta soltada en Chrome): lectura y escritura reales.
+//  - Un FileSystemDirectoryEntry (carpeta soltada, con webkitGetAsEntry): solo lectura.
+//  - Una lista de File con webkitRelativePath (<input webkitdirectory>, sin la File System Access API): solo lectura.
+// En todos los casos el contenido de los archivos se lee al abrirlos, no al abrir la carpeta.
+
+import { readFileContent } from './fileSystemAccess';
+
+// Source de un archivo nuevo creado en una carpeta de solo lectura (existe solo en el explorador).
+const createVirtualFileSource = () => ({
+  readOnly: true,
+  handle: null,
+  readFile: async () => ({ content: '', handle: null }),
+});
+
+// Operaciones de una carpeta de solo lectura: crear, renombrar y borrar solo cambian el árbol.
+const virtualDirectoryOperations = (children) => ({
+  readOnly: true,
+  createFile: async () => createVirtualFileSource(),
+  renameChild: async (name) => children.get(name) ?? createVirtualFileSource(),
+  removeChild: async () => {},
+});
+
+// --- FileSystemDirectoryHandle ---
+
+// Source de un archivo con handle.
+const createFileHandleSource = (handle) => ({
+  readOnly: false,
+  handle,
+  readFile: async () => ({ ...await readFileContent(await handle.getFile()), handle }),
+});
+
+// Source de una carpeta con handle.
+export const createDirectoryHandleSource = (directoryHandle) => {
+  // Devuelve el handle de un hijo, sea archivo o carpeta.
+  const getChildHandle = async (name) => {
+    try {
+      return await directoryHandle.getFileHandle(name);
+    } catch {
+      return await directoryHandle.getDirectoryHandle(name);
+    }
+  };
+  // Convierte un handle hijo en un elemento de listChildren.
+  const toChild = (handle) => ({
+    name: handle.name,
+    kind: handle.kind,
+    source: handle.kind === 'directory' ? createDirectoryHandleSource(handle) : createFileHandleSource(handle),
+  });
+
+  return {
+    readOnly: false,
+    listChildren: async () => {
+      const children = [];
+      for await (const handle of directoryHandle.values()) {
+        children.push(toChild(handle));
+      }
+      return children;
+    },
+    createFile: async (name) => createFileHandleSource(await directoryHandle.getFileHandle(name, { create: true })),
+    renameChild: async (name, newName) => {
+      const handle = await getChildHandle(name);
+      if (typeof handle.move === 'function') {
+        await handle.move(newName);
+        return toChild(await getChildHandle(newName)).source;
+      }
+      // Sin move(), un archivo se copia con el nombre nuevo y se borra el original.
+      if (handle.kind === 'directory') throw new Error('El navegador no permite renombrar carpetas.');
+      const newHandle = await directoryHandle.getFileHandle(newName, { create: true });
+      const writable = await newHandle.createWritable();
+      await writable.write(await handle.getFile());
+      await writable.close();
+      await directoryHandle.removeEntry(name);
+      return createFileHandleSource(newHandle);
+    },
+    removeChild: (name) => directoryHandle.removeEntry(name, { recursive: true }),
+  };
+};
+
+// --- FileSystemDirectoryEntry (webkitGetAsEntry) ---
+
+// Lee todas las entradas de una carpeta (readEntries devuelve los resultados por tandas).
+const readAllEntries = (directoryEntry) => new Promise((resolve, reject) => {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+  const readBatch = () => reader.readEntries((batch) => {
+    if (batch.length === 0) {
+      resolve(entries);
+      return;
+    }
+    entries.push(...batch);
+    readBatch();
+  }, reject);
+  readBatch();
+});
+
+// Source de un archivo soltado con webkitGetAsEntry.
+const createFileEntrySource = (fileEntry) => ({
+  readOnly: true,
+  handle: null,
+  readFile: async () => {
+    const file = await new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+    return { ...await readFileContent(file), handle: null };
+  },
+});
+
+// Source de una carpeta soltada con webkitGetAsEntry.
+export const createDirectoryEntrySource = (directoryEntry) => {
+  const children = new Map(); // Sources de los hijos ya listados, por nombre.
+  return {
+    ...virtualDirectoryOperations(children),
+    listChildren: async () => (await readAllEntries(directoryEntry)).map(entry => {
+      const source = entry.isDirectory ? createDirectoryEntrySource(entry) : createFileEntrySource(entry);
+      children.set(entry.name, source);
+      return { name: entry.name, kind: entry.isDirectory ? 'directory' : 'file', source };
+    }),
+  };
+};
+
+// --- Lista de File (<input webkitdirectory>) ---
+
+// Crea el source de la carpeta raíz a partir de los archivos elegidos. Devuelve { name, source }.
+export const createFileListSource = (files) => {
+  // Árbol intermedio: cada carpeta es un Map de nombre → File o Map.
+  const rootEntries = new Map();
+  let rootName = '';
+  Array.from(files).forEach(file => {
+    const parts = (file.webkitRelativePath || file.name).split('/');
+    rootName = parts.length > 1 ? parts[0] : rootName;
+    let directory = rootEntries;
+    parts.slice(parts.length > 1 ? 1 : 0, -1).forEach(part => {
+      if (!directory.has(part)) directory.set(part, new Map());
+      directory = directory.get(part);
+    });
+    directory.set(parts[parts.length - 1], file);
+  });
+
+  const createSource = (entries) => {
+    const children = new Map();
+    return {
+      ...virtualDirectoryOperations(children),
+      listChildren: async () => Array.from(entries, ([name, value]) => {
+        const isDirectory = value instanceof Map;
+        const source = isDirectory
+          ? createSource(value)
+          : { readOnly: true, handle: null, readFile: async () => ({ ...await readFileContent(value), handle: null }) };
+        children.set(name, source);
+        return { name, kind: isDirectory ? 'directory' : 'file', source };
+      }),
+    };
+  };
+  return { name: rootName || 'carpeta', source: createSource(rootEntries) };
+};
+
+// Muestra el selector de carpetas del sistema. Devuelve { name, source }, o null si el usuario cancela.
+export const openDirectoryWithPicker = async (win = window) => {
+  try {
+    const handle = await win.showDirectoryPicker({ mode: 'readwrite' });
+    return { name: handle.name, source: createDirectoryHandleSource(handle) };
+  } catch (error) {
+    if (error?.name === 'AbortError') return null;
+    throw error;
+  }
+};
+
+// Indica si el navegador tiene selector de carpetas.
+export const supportsDirectoryPicker = (win = window) => typeof win.showDirectoryPicker === 'function';
@@ -0,0 +1,142 @@
+// Árbol de la carpeta abierta en el explorador.
+//
+// Forma de un nodo:
+//  {
+//    name:       nombre del archivo o carpeta,
+//    path:       ruta desde la carpeta raíz incluida ("proyecto/src/datos.txt"); identifica al nodo,
+//    kind:       'file' | 'directory',
+//    source:     acceso al archivo o carpeta real (ver folderSources.js),
+//    children:   hijos ordenados (solo carpetas); null mientras no se hayan leído,
+//    isExpanded: si la carpeta está desplegada en el explorador,
+//  }
+//
+// Los árboles son inmutables: las funciones que los modifican devuelven una raíz nueva.
+
+// Separador de las rutas del árbol.
+const PATH_SEPARATOR = '/';
+
+// Crea un nodo. Las carpetas empiezan sin leer y plegadas.
+export const createTreeNode = (name, path, kind, source) => ({
+  name,
+  path,
+  kind,
+  source,
+  children: kind === 'directory' ? null : undefined,
+  isExpanded: false,
+});
+
+// Une la ruta de una carpeta y el nombre de un hijo.
+export const joinPath = (parentPath, name) => `${parentPath}${PATH_SEPARATOR}${name}`;
+
+// Ruta de la carpeta que contiene `path` (la raíz no tiene: devuelve null).
+export const getParentPath = (path) => {
+  const index = path.lastIndexOf(PATH_SEPARATOR);
+  return index === -1 ? null : path.substring(0, index);
+};
+
+// Ordena los hijos de una carpeta: primero las carpetas y luego los archivos, por nombre.
+export const sortChildren = (children) => [...children].sort((a, b) => {
+  if (a.kind !== b.kind) return a.kind === 'directory' ? -1 : 1;
+  return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+});
+
+// Lee los hijos de una carpeta desde su source y los devuelve como nodos ordenados.
+export const loadTreeChildren = async (node) => sortChildren(
+  (await node.source.listChildren()).map(child => createTreeNode(child.name, joinPath(node.path, child.name), child.kind, child.source)),
+);
+
+// Busca el nodo de una ruta (solo entre los nodos ya leídos). Devuelve null si no está.
+export const findNode = (root, path) => {
+  if (!root) return null;
+  if (root.path === path) return root;
+  if (!root.children || !path.startsWith(root.path + PATH_SEPARATOR)) return null;
+  for (const child of root.children) {
+    const found = findNode(child, path);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Devuelve un árbol nuevo en el que el nodo de `path` se sustituye por `updater(nodo)`.
+export const updateNode = (root, path, updater) => {
+  if (root.path === path) return updater(root);
+  if (!root.children || !path.startsWith(root.path + PATH_SEPARATOR)) return root;
+  return { ...root, children: root.children.map(child => updateNode(child, path, updater)) };
+};
+
+// Devuelve un árbol nuevo sin el nodo de `path`.
+export const removeNode = (root, path) => updateNode(root, getParentPath(path), parent => ({
+  ...parent,
+  children: parent.children.filter(child => child.path !== path),
+}));
+
+// Añade `child` a la carpeta de `parentPath` (manteniendo el orden).
+export const insertNode = (root, parentPath, child) => updateNode(root, parentPath, parent => ({
+  ...parent,
+  children: sortChildren([...(parent.children ?? []), child]),
+  isExpanded: true,
+}));
+
+// Cambia la ruta de un nodo y la de todos sus descendientes ya leídos (al renombrar una carpeta).
+const movePaths = (node, path) => ({
+  ...node,
+  path,
+  children: node.children ? node.children.map(child => movePaths(child, joinPath(path, child.name))) : node.children,
+});
+
+// Devuelve un árbol nuevo con el nodo de `path` renombrado a `newName` (y con su nuevo `source`).
+export const renameNode = (root, path, newName, source) => {
+  const parentPath = getParentPath(path);
+  return updateNode(root, parentPath, parent => ({
+    ...parent,
+    children: sortChildren(parent.children.map(child => (
+      child.path === path ? { ...movePaths(child, joinPath(parentPath, newName)), name: newName, source } : child
+    ))),
+  }));
+};
+
+// Comprueba que `name` sirve como nombre de un archivo nuevo o renombrado dentro de `parent`.
+// Lanza un Error con el motivo si no es válido.
+export const validateEntryName = (name, parent, currentName = null) => {
+  if (!name.trim()) throw new Error('El nombre no puede estar vacío.');
+  if (/[\\/]/.test(name)) throw new Error('El nombre no puede contener "/" ni "\\".');
+  if (name === '.' || name === '..') throw new Error(`'${name}' no es un nombre válido.`);
+  if (name !== currentName && parent.children?.some(child => child.name === name)) {
+    throw new Error(`Ya existe '${name}' en esta carpeta.`);
+  }
+};
+
+// Rutas de los nodos que se muestran al filtrar por nombre: los que contienen `query` (sin distinguir
+// mayúsculas) y las carpetas que los contienen. Solo se buscan los nodos ya leídos.
+// Devuelve null si no hay filtro.
+export const filterTree = (root, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!root || !needle) return null;
+  const visible = new Set();
+  const visit = (node) => {
+    let matches = node.name.toLowerCase().includes(needle);
+    node.children?.forEach(child => {
+      if (visit(child)) matches = true;
+    });
+    if (matches) visible.add(node.path);
+    return matches;
+  };
+  visit(root);
+  visible.add(root.path);
+  return visible;
+};
+
+// Lista plana de los nodos visibles, con su profundidad, en el orden en que se dibujan.
+// Con filtro, se despliegan todas las carpetas que contienen coincidencias.
+export const flattenTree = (root, visiblePaths = null) => {
+  const rows = [];
+  const visit = (node, depth) => {
+    if (visiblePaths && !visiblePaths.has(node.path)) return;
+    rows.push({ node, depth });
+    if (node.children && (node.isExpanded || visiblePaths)) {
+      node.children.forEach(child => visit(child, depth + 1));
+    }
+  };
+  if (root) visit(root, 0);
+  return rows;
+};
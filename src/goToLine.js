@@ -0,0 +1,28 @@
+// Interpretación del texto del diálogo "Ir a la línea" (Ctrl+G).
+//
+// Formatos admitidos (números 1-based):
+//   "48213"       línea,
+//   "48213:57"    línea y columna (contada desde el principio de la línea),
+//   "48213::57"   línea y columna del contenido (contada desde el primer carácter tras la cabecera del
+//                 registro, ver `getLetterStartIndex` en recordLayouts.js).
+
+// Interpreta el texto del diálogo. Devuelve { line, column, isContentColumn } (column es null si no se
+// indica), o null si el texto no tiene ninguno de los formatos.
+export const parseGoToTarget = (text) => {
+  const match = /^\s*(\d+)\s*(?:(::?)\s*(\d+)\s*)?$/.exec(text);
+  if (!match) return null;
+  const line = parseInt(match[1], 10);
+  const column = match[3] !== undefined ? parseInt(match[3], 10) : null;
+  if (line < 1 || column === 0) return null;
+  return { line, column, isContentColumn: match[2] === '::' };
+};
+
+// Convierte un destino en una posición { line, char } del documento (0-based), ajustada a su tamaño.
+// `getLine(index)` devuelve el texto de una línea y `getContentStart(text)` dónde empieza su contenido.
+export const resolveGoToTarget = ({ line, column, isContentColumn }, lineCount, getLine, getContentStart) => {
+  const lineIndex = Math.min(line, lineCount) - 1;
+  if (column === null) return { line: lineIndex, char: 0 };
+  const text = getLine(lineIndex);
+  const start = isContentColumn ? getContentStart(text) : 0;
+  return { line: lineIndex, char: Math.min(start + column - 1, text.length) };
+};
@@ -0,0 +1,66 @@
+// Sangría: Tab/Shift+Tab, sangría automática al pulsar Enter y borrado hacia delante o por palabras.
+// Las funciones trabajan con posiciones { line, char } y `getLine(index)`, que devuelve el texto de una línea.
+
+import { findPreviousWordStart, findNextWordEnd } from './wordNavigation';
+
+// Espacios y tabulaciones al principio de una línea.
+export const getLeadingWhitespace = (line) => /^[ \t]*/.exec(line)[0];
+
+// Texto que inserta Tab en la columna `char`: una tabulación o los espacios hasta la siguiente parada.
+export const getIndentText = (char, { insertSpaces, tabSize }) => (
+  insertSpaces ? ' '.repeat(tabSize - (char % tabSize)) : '\t'
+);
+
+// Número de caracteres que quita Shift+Tab al principio de una línea: una tabulación o hasta `tabSize` espacios.
+export const getOutdentLength = (line, { tabSize }) => {
+  if (line.startsWith('\t')) return 1;
+  let count = 0;
+  while (count < tabSize && line[count] === ' ') count++;
+  return count;
+};
+
+// Líneas que abarca un rango { start, end } para sangrar: si termina al principio de una línea (selección
+// de líneas completas), esa última línea no cuenta.
+export const getRangeLines = ({ start, end }) => {
+  const last = end.char === 0 && end.line > start.line ? end.line - 1 : end.line;
+  const lines = [];
+  for (let line = start.line; line <= last; line++) lines.push(line);
+  return lines;
+};
+
+// Cambios de sangría de unas líneas (sin repetir, en orden): Tab añade un nivel al principio de cada línea
+// no vacía y Shift+Tab (`outdent`) quita uno. Devuelve [{ line, from, to, text, delta }], con `delta` los
+// caracteres que se añaden (o quitan, en negativo) al principio de la línea.
+export const getLineIndentChanges = (lines, getLine, settings, outdent) => lines.flatMap(line => {
+  const text = getLine(line);
+  if (outdent) {
+    const length = getOutdentLength(text, settings);
+    return length > 0 ? [{ line, from: 0, to: length, text: '', delta: -length }] : [];
+  }
+  if (text.length === 0) return [];
+  const indent = settings.insertSpaces ? ' '.repeat(settings.tabSize) : '\t';
+  return [{ line, from: 0, to: 0, text: indent, delta: indent.length }];
+});
+
+// Texto que inserta Enter en `position`: el salto de línea más la sangría de la línea actual
+// (solo la parte que queda antes del cursor).
+export const getNewLineText = (position, getLine) => {
+  const leading = getLeadingWhitespace(getLine(position.line));
+  return `\n${leading.substring(0, position.char)}`;
+};
+
+// Rango { from, to } que borra Backspace o Delete (`key`) desde `cursor` sin selección; con `byWord`
+// (Ctrl), hasta el inicio de la palabra anterior o el final de la siguiente. En el borde de una línea se
+// une con la anterior o la siguiente. Devuelve null si no hay nada que borrar.
+export const getDeletionRange = (cursor, key, byWord, getLine, lineCount) => {
+  const { line, char } = cursor;
+  const text = getLine(line);
+  if (key === 'Backspace') {
+    if (char > 0) return { from: { line, char: byWord ? findPreviousWordStart(text, char) : char - 1 }, to: cursor };
+    if (line > 0) return { from: { line: line - 1, char: getLine(line - 1).length }, to: cursor };
+    return null;
+  }
+  if (char < text.length) return { from: cursor, to: { line, char: byWord ? findNextWordEnd(text, char) : char + 1 } };
+  if (line < lineCount - 1) return { from: cursor, to: { line: line + 1, char: 0 } };
+  return null;
+};
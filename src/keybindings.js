@@ -0,0 +1,158 @@
+// Atajos de teclado de los comandos (ver commands.js).
+//
+// Un atajo es { key, command }, como en el keybindings.json de VS Code:
+//   { "key": "ctrl+shift+s", "command": "file.saveAs" }
+// `key` son los modificadores (ctrl, alt, shift) y la tecla, separados por '+'. Cmd en Mac cuenta como ctrl.
+// Los atajos del usuario se añaden a los de serie y, si usan la misma combinación, la reemplazan.
+// Un `command` con '-' delante ("-file.close") quita el atajo de serie de ese comando (de esa combinación,
+// si se indica `key`, o todos).
+
+import { isCommandId } from './commands';
+
+// Clave de localStorage donde se guardan los atajos definidos por el usuario.
+export const KEYBINDINGS_STORAGE_KEY = 'myEditorKeybindings';
+
+// Atajos de serie.
+export const DEFAULT_KEYBINDINGS = [
+  { key: 'ctrl+shift+p', command: 'workbench.showCommands' },
+  { key: 'f1', command: 'workbench.showCommands' },
+  { key: 'ctrl+o', command: 'file.open' },
+  { key: 'ctrl+s', command: 'file.save' },
+  { key: 'ctrl+shift+s', command: 'file.saveAs' },
+  { key: 'ctrl+alt+s', command: 'file.saveAll' },
+  // Ctrl+W cierra la pestaña del navegador y no se puede interceptar.
+  { key: 'alt+w', command: 'file.close' },
+  { key: 'ctrl+z', command: 'edit.undo' },
+  { key: 'ctrl+y', command: 'edit.redo' },
+  { key: 'ctrl+shift+z', command: 'edit.redo' },
+  { key: 'ctrl+a', command: 'edit.selectAll' },
+  { key: 'ctrl+c', command: 'edit.copy' },
+  { key: 'ctrl+v', command: 'edit.paste' },
+  { key: 'ctrl+alt+up', command: 'edit.addCursorAbove' },
+  { key: 'ctrl+alt+down', command: 'edit.addCursorBelow' },
+  { key: 'ctrl+d', command: 'edit.addNextOccurrence' },
+  { key: 'ctrl+f', command: 'find.find' },
+  { key: 'ctrl+h', command: 'find.replace' },
+  { key: 'f3', command: 'find.next' },
+  { key: 'shift+f3', command: 'find.previous' },
+  { key: 'ctrl+alt+enter', command: 'find.replaceAll' },
+  { key: 'ctrl+g', command: 'go.line' },
+  { key: 'f8', command: 'go.nextProblem' },
+  { key: 'shift+f8', command: 'go.previousProblem' },
+  { key: 'alt+shift+f', command: 'document.format' },
+];
+
+// Orden de los modificadores en la forma normalizada de una combinación.
+const MODIFIERS = ['ctrl', 'alt', 'shift'];
+// Nombres de las teclas especiales (KeyboardEvent.key en minúsculas → nombre en el atajo).
+const KEY_NAMES = {
+  arrowup: 'up', arrowdown: 'down', arrowleft: 'left', arrowright: 'right', ' ': 'space', esc: 'escape', del: 'delete',
+};
+
+// Convierte una combinación escrita por el usuario ("Ctrl+Shift+S") en su forma normalizada ("ctrl+shift+s").
+// Lanza un Error si no es válida.
+export const normalizeKeyChord = (text) => {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('El atajo no puede estar vacío.');
+  const parts = text.toLowerCase().split('+').map(part => part.trim());
+  // "ctrl++" es la tecla '+'.
+  if (parts[parts.length - 1] === '' && parts.length > 1) parts.splice(-2, 2, '+');
+  const key = parts.pop();
+  const modifiers = parts.map(part => (part === 'cmd' || part === 'meta' || part === 'control' ? 'ctrl' : part));
+  const unknown = modifiers.find(modifier => !MODIFIERS.includes(modifier));
+  if (unknown !== undefined) throw new Error(`Modificador desconocido en "${text}": "${unknown}".`);
+  if (!key || MODIFIERS.includes(key)) throw new Error(`Falta la tecla en "${text}".`);
+  return [...MODIFIERS.filter(modifier => modifiers.includes(modifier)), KEY_NAMES[key] ?? key].join('+');
+};
+
+// Combinación normalizada de un evento de teclado, o null si solo se ha pulsado un modificador.
+export const getEventKeyChord = (e) => {
+  if (['Control', 'Meta', 'Alt', 'Shift'].includes(e.key)) return null;
+  // Las letras y cifras se toman de `key`, que respeta la distribución del teclado (en AZERTY, Ctrl+Z es la
+  // tecla que en QWERTY está en la W). Solo si Shift o Alt la han convertido en otro carácter ('!', 'å'...),
+  // o la distribución no es latina, se usa la tecla física de `code`.
+  let key = e.key;
+  if (!/^[a-z\d]$/i.test(key)) {
+    if (/^Key[A-Z]$/.test(e.code ?? '')) key = e.code.slice(3);
+    else if (/^Digit\d$/.test(e.code ?? '')) key = e.code.slice(5);
+  }
+  key = key.toLowerCase();
+  key = KEY_NAMES[key] ?? key;
+  return [
+    (e.ctrlKey || e.metaKey) && 'ctrl',
+    e.altKey && 'alt',
+    e.shiftKey && 'shift',
+    key,
+  ].filter(Boolean).join('+');
+};
+
+// Texto visible de una combinación normalizada ("ctrl+shift+s" → "Ctrl+Shift+S").
+export const formatKeyChord = (chord) => chord
+  .split(/\+(?!$)/)
+  .map(part => (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1)))
+  .join('+');
+
+// Valida y normaliza un atajo del usuario. Lanza un Error si no es válido.
+export const normalizeKeybinding = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('Cada atajo debe ser un objeto { "key", "command" }.');
+  const { command } = raw;
+  if (typeof command !== 'string' || !command) throw new Error('Falta "command" en un atajo.');
+  const commandId = command.startsWith('-') ? command.slice(1) : command;
+  if (!isCommandId(commandId)) throw new Error(`Comando desconocido: "${commandId}".`);
+  if (command.startsWith('-') && raw.key === undefined) return { command };
+  return { key: normalizeKeyChord(raw.key), command };
+};
+
+// Combina los atajos de serie y los del usuario. Devuelve un Map combinación → id del comando.
+export const resolveKeybindings = (customKeybindings) => {
+  const bindings = new Map(DEFAULT_KEYBINDINGS.map(({ key, command }) => [key, command]));
+  customKeybindings.forEach(({ key, command }) => {
+    if (command.startsWith('-')) {
+      const commandId = command.slice(1);
+      bindings.forEach((boundCommand, chord) => {
+        if (boundCommand === commandId && (key === undefined || key === chord)) bindings.delete(chord);
+      });
+    } else {
+      bindings.set(key, command);
+    }
+  });
+  return bindings;
+};
+
+// Combinaciones asignadas a cada comando (id → [combinación]), para mostrarlas en la paleta.
+export const getCommandKeyChords = (bindings) => {
+  const byCommand = new Map();
+  bindings.forEach((command, chord) => {
+    if (!byCommand.has(command)) byCommand.set(command, []);
+    byCommand.get(command).push(chord);
+  });
+  return byCommand;
+};
+
+// Carga los atajos del usuario desde localStorage. Los inválidos se descartan.
+export const loadCustomKeybindings = () => {
+  try {
+    const saved = localStorage.getItem(KEYBINDINGS_STORAGE_KEY);
+    if (!saved) return [];
+    const parsed = JSON.parse(saved);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.flatMap(raw => {
+      try {
+        return [normalizeKeybinding(raw)];
+      } catch {
+        return [];
+      }
+    });
+  } catch (error) {
+    console.error("Failed to load keybindings from localStorage", error);
+    return [];
+  }
+};
+
+// Guarda los atajos del usuario en localStorage.
+export const saveCustomKeybindings = (customKeybindings) => {
+  try {
+    localStorage.setItem(KEYBINDINGS_STORAGE_KEY, JSON.stringify(customKeybindings));
+  } catch (error) {
+    console.error("Failed to save keybindings to localStorage", error);
+  }
+};
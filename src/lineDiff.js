@@ -0,0 +1,173 @@
+// Diferencias por líneas entre la versión original de un archivo y la actual (algoritmo de Myers).
+//
+// Un cambio es un bloque contiguo de líneas distintas:
+//  { originalStart, originalEnd, modifiedStart, modifiedEnd }
+// con rangos [start, end) de líneas (0-based) en cada versión. Un rango vacío indica una inserción
+// (originalStart === originalEnd) o un borrado (modifiedStart === modifiedEnd).
+
+import { getLineOffset, getLineCount } from './textBuffer';
+
+// Coste máximo (líneas insertadas + borradas) que se calcula con detalle. Por encima, todo lo que
+// hay entre el prefijo y el sufijo comunes se trata como un único cambio para no bloquear la interfaz.
+const MAX_DIFF_COST = 2000;
+// Líneas sin cambios que se muestran alrededor de cada cambio en la vista de diferencias.
+export const DIFF_CONTEXT_LINES = 3;
+
+// Calcula los cambios entre dos secuencias de números (cada línea se convierte antes en un número).
+const diffSequences = (a, b) => {
+  // Recorta el prefijo y el sufijo comunes: en la práctica suele quedar muy poco por comparar.
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+      && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  const n = a.length - prefix - suffix;
+  const m = b.length - prefix - suffix;
+  if (n === 0 && m === 0) return [];
+  const wholeChange = [{ originalStart: prefix, originalEnd: prefix + n, modifiedStart: prefix, modifiedEnd: prefix + m }];
+  if (n === 0 || m === 0) return wholeChange;
+
+  // Myers: V[k] es la x más lejana alcanzada en la diagonal k (k = x - y). Se guarda una copia de V
+  // por cada coste d para poder reconstruir el camino al final.
+  const max = Math.min(n + m, MAX_DIFF_COST);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[prefix + x] === b[prefix + y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+  if (!found) return wholeChange;
+
+  // Recorre el camino hacia atrás y anota cada paso: borrado (avanza x) o inserción (avanza y).
+  const moves = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d];
+    const at = (k) => previous[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { x--; y--; }
+    moves.push({ x: prevX, y: prevY, isDeletion: x > prevX });
+    x = prevX;
+    y = prevY;
+  }
+
+  // Agrupa los pasos consecutivos en bloques de cambio.
+  const changes = [];
+  moves.reverse().forEach(move => {
+    const last = changes[changes.length - 1];
+    const mx = prefix + move.x;
+    const my = prefix + move.y;
+    if (last && last.originalEnd === mx && last.modifiedEnd === my) {
+      if (move.isDeletion) last.originalEnd++;
+      else last.modifiedEnd++;
+    } else {
+      changes.push({
+        originalStart: mx,
+        originalEnd: mx + (move.isDeletion ? 1 : 0),
+        modifiedStart: my,
+        modifiedEnd: my + (move.isDeletion ? 0 : 1),
+      });
+    }
+  });
+  return changes;
+};
+
+// Calcula las diferencias entre el texto original y el actual.
+// Devuelve { originalLines, modifiedLines, changes }.
+export const computeLineDiff = (originalText, modifiedText) => {
+  const originalLines = originalText.split('\n');
+  const modifiedLines = modifiedText.split('\n');
+  // Cada línea distinta recibe un número para que la comparación sea entre enteros.
+  const ids = new Map();
+  const toId = (line) => {
+    if (!ids.has(line)) ids.set(line, ids.size);
+    return ids.get(line);
+  };
+  const changes = diffSequences(originalLines.map(toId), modifiedLines.map(toId));
+  return { originalLines, modifiedLines, changes };
+};
+
+// Cuenta las líneas añadidas y borradas de una lista de cambios.
+export const countChangedLines = (changes) => changes.reduce(
+  (counts, change) => ({
+    added: counts.added + change.modifiedEnd - change.modifiedStart,
+    removed: counts.removed + change.originalEnd - change.originalStart,
+  }),
+  { added: 0, removed: 0 },
+);
+
+// Edición ({ offset, length, text }) sobre el documento actual que deshace un cambio:
+// sustituye sus líneas actuales por las originales.
+export const getRevertEdit = (buffer, change, originalLines) => {
+  const lineCount = getLineCount(buffer);
+  const original = originalLines.slice(change.originalStart, change.originalEnd);
+  const { modifiedStart, modifiedEnd } = change;
+
+  if (modifiedStart === modifiedEnd) {
+    // Las líneas originales se borraron: se vuelven a insertar.
+    if (modifiedStart < lineCount) {
+      return { offset: getLineOffset(buffer, modifiedStart), length: 0, text: `${original.join('\n')}\n` };
+    }
+    return { offset: buffer.length, length: 0, text: `\n${original.join('\n')}` };
+  }
+
+  const reachesEnd = modifiedEnd >= lineCount; // El cambio llega hasta la última línea (que no acaba en salto de línea).
+  let start = getLineOffset(buffer, modifiedStart);
+  const end = reachesEnd ? buffer.length : getLineOffset(buffer, modifiedEnd);
+  if (original.length === 0) {
+    // Las líneas actuales eran nuevas: se borran (al final del documento, junto con el salto de línea anterior).
+    if (reachesEnd && modifiedStart > 0) start -= 1;
+    return { offset: start, length: end - start, text: '' };
+  }
+  return { offset: start, length: end - start, text: original.join('\n') + (reachesEnd ? '' : '\n') };
+};
+
+// Filas de la vista de diferencias en línea. Cada fila es:
+//  { type: 'header', change, changeIndex }                   cabecera de un cambio (con el botón de revertir),
+//  { type: 'removed' | 'added' | 'context', text, originalLine, modifiedLine },
+//  { type: 'collapsed', count }                               líneas sin cambios ocultas.
+export const buildDiffRows = ({ originalLines, modifiedLines, changes }, context = DIFF_CONTEXT_LINES) => {
+  const rows = [];
+  // Añade las líneas sin cambios del rango [from, to) de la versión actual, ocultando las que quedan
+  // lejos de un cambio. `delta` convierte un número de línea actual en el original.
+  const pushContext = (from, to, delta, isFirst, isLast) => {
+    const showUntil = isFirst ? from : Math.min(to, from + context);
+    const showFrom = isLast ? to : Math.max(showUntil, to - context);
+    for (let line = from; line < showUntil; line++) {
+      rows.push({ type: 'context', text: modifiedLines[line], originalLine: line + delta, modifiedLine: line });
+    }
+    if (showFrom > showUntil) rows.push({ type: 'collapsed', count: showFrom - showUntil });
+    for (let line = showFrom; line < to; line++) {
+      rows.push({ type: 'context', text: modifiedLines[line], originalLine: line + delta, modifiedLine: line });
+    }
+  };
+
+  let modifiedLine = 0;
+  let delta = 0;
+  changes.forEach((change, changeIndex) => {
+    pushContext(modifiedLine, change.modifiedStart, delta, changeIndex === 0, false);
+    rows.push({ type: 'header', change, changeIndex });
+    for (let line = change.originalStart; line < change.originalEnd; line++) {
+      rows.push({ type: 'removed', text: originalLines[line], originalLine: line, modifiedLine: null });
+    }
+    for (let line = change.modifiedStart; line < change.modifiedEnd; line++) {
+      rows.push({ type: 'added', text: modifiedLines[line], originalLine: null, modifiedLine: line });
+    }
+    modifiedLine = change.modifiedEnd;
+    delta = change.originalEnd - change.modifiedEnd;
+  });
+  pushContext(modifiedLine, modifiedLines.length, delta, false, true);
+  return rows;
+};
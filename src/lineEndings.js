@@ -0,0 +1,57 @@
+// Fin de línea (EOL) de los archivos.
+//
+// Dentro del editor todo el texto usa '\n' como salto de línea, sea cual sea el del archivo: así las
+// columnas, el tooltip de campos y las posiciones de búsqueda no cuentan un '\r' al final de cada línea.
+// Cada archivo recuerda el estilo de su archivo original ('LF', 'CRLF' o 'CR') y se guarda con él.
+
+// Secuencia de cada estilo de fin de línea.
+export const EOL_SEQUENCES = { LF: '\n', CRLF: '\r\n', CR: '\r' };
+// Estilos disponibles, en el orden en que se muestran.
+export const EOL_MODES = ['LF', 'CRLF', 'CR'];
+// Estilo por defecto (archivos nuevos o sin saltos de línea).
+export const DEFAULT_EOL = 'LF';
+
+// Detecta el estilo de fin de línea de un texto: el más frecuente (en caso de empate, CRLF, luego LF).
+export const detectEol = (text) => {
+  let crlf = 0;
+  let lf = 0;
+  let cr = 0;
+  for (let i = text.indexOf('\r'); i !== -1; i = text.indexOf('\r', i + 1)) {
+    if (text[i + 1] === '\n') crlf++;
+    else cr++;
+  }
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) lf++;
+  lf -= crlf; // Los '\n' de los CRLF ya se contaron.
+  if (crlf === 0 && lf === 0 && cr === 0) return DEFAULT_EOL;
+  if (crlf >= lf && crlf >= cr) return 'CRLF';
+  return lf >= cr ? 'LF' : 'CR';
+};
+
+// Convierte todos los saltos de línea (CRLF, CR o LF) en '\n'.
+export const normalizeEol = (text) => text.replace(/\r\n?/g, '\n');
+
+// Convierte un texto normalizado (con '\n') al estilo de fin de línea `eol`.
+export const applyEol = (text, eol) => (eol === 'LF' ? text : text.replace(/\n/g, EOL_SEQUENCES[eol]));
+
+// Busca los saltos de línea de un texto que no usan el estilo `eol`. Devuelve { line, count }: la primera
+// línea (0-based) que acaba con otro estilo y cuántas lo hacen; o null si todas usan `eol`.
+export const findMixedEol = (text, eol) => {
+  let line = 0;
+  let first = -1;
+  let count = 0;
+  for (const match of text.matchAll(/\r\n|\r|\n/g)) {
+    if (match[0] !== EOL_SEQUENCES[eol]) {
+      if (first === -1) first = line;
+      count++;
+    }
+    line++;
+  }
+  return count > 0 ? { line: first, count } : null;
+};
+
+// Prepara el texto leído de un archivo para el editor. Devuelve { content, eol, mixedEol }, donde `mixedEol`
+// indica los saltos de línea que no usaban el estilo mayoritario (ver findMixedEol): al normalizar se pierden.
+export const normalizeLoadedText = (text) => {
+  const eol = detectEol(text);
+  return { content: normalizeEol(text), eol, mixedEol: findMixedEol(text, eol) };
+};
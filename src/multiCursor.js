@@ -0,0 +1,149 @@
+// Cursores múltiples y selección en bloque (columna).
+//
+// Cada cursor ("caret") tiene la misma forma que el cursor principal del editor:
+//  { cursor: { line, char }, selection: { start, end } | null, primary?: true }
+// `primary` marca el cursor principal mientras se opera con todos a la vez (al ordenarlos se pierde su
+// posición en la lista); los cursores secundarios se guardan sin esa marca.
+
+import { offsetAt, positionAt, getTextRange } from './textBuffer';
+
+// Compara dos posiciones { line, char }.
+export const comparePositions = (a, b) => a.line - b.line || a.char - b.char;
+
+// Rango ordenado { start, end } que ocupa un cursor: su selección o, si no tiene, su posición.
+export const getCaretRange = ({ cursor, selection }) => {
+  if (!selection) return { start: cursor, end: cursor };
+  return comparePositions(selection.start, selection.end) <= 0
+    ? { start: selection.start, end: selection.end }
+    : { start: selection.end, end: selection.start };
+};
+
+// Ordena los cursores por posición y fusiona los que coinciden o cuyas selecciones se solapan.
+export const normalizeCarets = (carets) => {
+  const sorted = [...carets].sort((a, b) => comparePositions(getCaretRange(a).start, getCaretRange(b).start));
+  const result = [];
+  sorted.forEach(caret => {
+    const last = result[result.length - 1];
+    if (!last) {
+      result.push(caret);
+      return;
+    }
+    const lastRange = getCaretRange(last);
+    const range = getCaretRange(caret);
+    const overlaps = comparePositions(range.start, lastRange.end) < 0
+      || (comparePositions(range.start, lastRange.end) === 0 && comparePositions(range.start, range.end) === 0
+        && comparePositions(lastRange.start, lastRange.end) === 0);
+    if (!overlaps) {
+      result.push(caret);
+      return;
+    }
+    // Se fusionan en un único cursor que cubre ambos rangos, al final de la unión.
+    const end = comparePositions(range.end, lastRange.end) > 0 ? range.end : lastRange.end;
+    const isEmpty = comparePositions(lastRange.start, end) === 0;
+    result[result.length - 1] = {
+      cursor: end,
+      selection: isEmpty ? null : { start: lastRange.start, end },
+      ...((last.primary || caret.primary) && { primary: true }),
+    };
+  });
+  return result;
+};
+
+// Construye las ediciones de una operación aplicada en todos los cursores (ordenados, ver normalizeCarets).
+// `makeEdit(caret, index)` devuelve el cambio de cada cursor, { from, to, text } con posiciones { line, char },
+// o null si ese cursor no cambia nada. Devuelve { edits, newOffsets }: las ediciones ({ offset, length, text },
+// ordenadas y sin solaparse) y el offset de cada cursor en el documento nuevo (al final del texto insertado).
+export const buildCaretEdits = (buffer, carets, makeEdit) => {
+  const edits = [];
+  // Offset de cada cursor en el documento nuevo, a falta de sumar el desplazamiento de las ediciones anteriores.
+  const targets = carets.map((caret, index) => {
+    const change = makeEdit(caret, index);
+    if (!change) return { offset: offsetAt(buffer, caret.cursor), delta: null };
+    const offset = offsetAt(buffer, change.from);
+    const length = offsetAt(buffer, change.to) - offset;
+    const previous = edits[edits.length - 1];
+    // Un borrado que se solapa con el del cursor anterior se une a él: la edición anterior se alarga hasta
+    // cubrir también la parte de este rango que queda después.
+    if (previous && offset < previous.offset + previous.length) {
+      previous.length = Math.max(previous.length, offset + length - previous.offset);
+      return { edit: previous };
+    }
+    const edit = { offset, length, text: change.text };
+    edits.push(edit);
+    return { edit };
+  });
+
+  // Desplazamiento acumulado (texto insertado menos borrado) antes de cada edición.
+  const shifts = new Map();
+  let shift = 0;
+  edits.forEach(edit => {
+    shifts.set(edit, shift);
+    shift += edit.text.length - edit.length;
+  });
+  const newLength = buffer.length + shift;
+  return {
+    edits,
+    newOffsets: targets.map(target => {
+      if (target.edit) return target.edit.offset + shifts.get(target.edit) + target.edit.text.length;
+      // Cursor sin edición: se desplaza lo que hayan movido las ediciones anteriores.
+      const before = edits.filter(edit => edit.offset + edit.length <= target.offset);
+      const moved = before.reduce((sum, edit) => sum + edit.text.length - edit.length, 0);
+      return Math.min(target.offset + moved, newLength);
+    }),
+  };
+};
+
+// Cursores tras aplicar las ediciones de buildCaretEdits sobre `newBuffer` (conservan la marca `primary`).
+export const caretsAfterEdits = (newBuffer, carets, newOffsets) => normalizeCarets(carets.map((caret, index) => ({
+  cursor: positionAt(newBuffer, newOffsets[index]),
+  selection: null,
+  ...(caret.primary && { primary: true }),
+})));
+
+// Cursores de una selección en bloque (Alt+arrastrar) entre `anchor` y `head`: uno por línea, con la
+// selección entre las dos columnas (recortada a la longitud de cada línea). El de la línea de `head` es el principal.
+export const getBoxCarets = (anchor, head, getLineLength) => {
+  const carets = [];
+  const step = head.line >= anchor.line ? 1 : -1;
+  for (let line = anchor.line; line !== head.line + step; line += step) {
+    const length = getLineLength(line);
+    const from = { line, char: Math.min(anchor.char, length) };
+    const to = { line, char: Math.min(head.char, length) };
+    carets.push({
+      cursor: to,
+      selection: from.char === to.char ? null : { start: from, end: to },
+      ...(line === head.line && { primary: true }),
+    });
+  }
+  return carets;
+};
+
+// Nuevo cursor una línea por encima (direction -1) o por debajo (+1) del cursor más alto o más bajo, en
+// la misma columna (o al final de la línea, si es más corta). Devuelve null si no hay más líneas.
+export const getVerticalCaret = (carets, direction, lineCount, getLineLength) => {
+  const edge = carets.reduce((best, caret) => (
+    !best || (direction < 0 ? caret.cursor.line < best.cursor.line : caret.cursor.line > best.cursor.line) ? caret : best
+  ), null);
+  const line = edge.cursor.line + direction;
+  if (line < 0 || line >= lineCount) return null;
+  return { cursor: { line, char: Math.min(edge.cursor.char, getLineLength(line)) }, selection: null };
+};
+
+// Siguiente aparición de `needle` en `text` a partir de `fromOffset` (volviendo al principio si no hay más),
+// que no esté ya seleccionada. `isTaken(offset)` indica si una aparición ya tiene cursor. Devuelve su offset o -1.
+export const findNextOccurrence = (text, needle, fromOffset, isTaken) => {
+  if (!needle) return -1;
+  // Primero desde `fromOffset` hasta el final y luego desde el principio hasta `fromOffset`.
+  for (const [from, until] of [[fromOffset, Infinity], [0, fromOffset]]) {
+    for (let index = text.indexOf(needle, from); index !== -1 && index < until; index = text.indexOf(needle, index + 1)) {
+      if (!isTaken(index)) return index;
+    }
+  }
+  return -1;
+};
+
+// Texto seleccionado por un cursor (vacío si no tiene selección).
+export const getCaretText = (buffer, caret) => {
+  const { start, end } = getCaretRange(caret);
+  return getTextRange(buffer, offsetAt(buffer, start), offsetAt(buffer, end));
+};
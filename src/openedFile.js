@@ -0,0 +1,150 @@
+// Creación y (de)serialización de los objetos de archivo que se guardan en `openedFiles`.
+//
+// Forma de un archivo abierto:
+//  {
+//    id:        identificador estable (no cambia al cerrar otras pestañas ni al renombrar),
+//    name:      nombre del archivo,
+//    buffer:    documento (piece table, ver textBuffer.js),
+//    originalContent: texto con el que se cargó el archivo (base del panel de control de código fuente),
+//    savedContent:    texto de la última vez que se guardó (o se cargó); si el documento difiere, tiene cambios sin guardar,
+//    handle:    FileSystemFileHandle del archivo original (opcional, solo en memoria; ver fileSystemAccess.js),
+//    encoding:  codificación con la que se leyó y con la que se guarda (ver textEncoding.js),
+//    eol:       fin de línea con el que se guarda ('LF', 'CRLF' o 'CR'; el documento siempre usa '\n', ver lineEndings.js),
+//    savedEol:  fin de línea de la última versión guardada o cargada (si difiere de `eol`, hay cambios sin guardar),
+//    mixedEol:  { line, count } si el archivo se leyó con finales de línea mezclados (ver findMixedEol); se
+//               quita al guardarlo, porque se escribe con un único estilo,
+//    savedBytes: bytes de la última versión guardada o cargada (opcional, solo en memoria). Si el texto no ha
+//               cambiado, se guardan estos mismos bytes en lugar de volver a codificar el texto,
+//    undoStack: pila de deshacer/rehacer (opcional, ver undoManager.js),
+//    layoutId, schema: diseño de registro y esquema elegidos para el archivo (opcionales),
+//    syntaxModeId: modo de resaltado elegido a mano ('plain' para ninguno; opcional, ver syntaxHighlighting.js),
+//    isGridView, gridOptions: si se muestra como tabla y con qué { delimiter, hasHeader } (opcionales, ver delimitedText.js),
+//  }
+
+import { createTextBuffer, getText } from './textBuffer';
+import { DEFAULT_ENCODING, encodeText, getEncodedLength } from './textEncoding';
+import { DEFAULT_EOL, EOL_SEQUENCES, applyEol, normalizeLoadedText } from './lineEndings';
+import { limitStackSize } from './undoManager';
+
+// Genera un identificador único para un archivo abierto.
+export const createFileId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Crea el objeto de un archivo recién abierto a partir de su nombre y su contenido (tal como se leyó:
+// aquí se detecta su fin de línea y se normaliza).
+export const createOpenedFile = (name, text, extra = {}) => {
+  const { content, eol, mixedEol } = normalizeLoadedText(text);
+  return {
+    id: createFileId(),
+    name,
+    buffer: createTextBuffer(content),
+    originalContent: content,
+    savedContent: content,
+    encoding: DEFAULT_ENCODING,
+    eol,
+    savedEol: eol,
+    mixedEol,
+    ...extra,
+  };
+};
+
+// Caracteres de texto de la pila de deshacer que se guardan de cada archivo en localStorage (ver limitStackSize).
+const MAX_SAVED_UNDO_CHARS = 100000;
+
+// Convierte un archivo abierto en un objeto JSON para localStorage: el documento se guarda como texto plano.
+// Las versiones original y guardada solo se escriben si difieren del contenido actual, para no ocupar el triple.
+// El handle y los bytes guardados no se pueden serializar (o no caben) y se descartan. De la pila de deshacer
+// solo se guardan los pasos más recientes, y ninguno si `includeUndo` es false.
+export const serializeOpenedFile = (openedFile, { includeUndo = true } = {}) => {
+  const { buffer, handle: _handle, savedBytes: _savedBytes, originalContent, savedContent, undoStack, ...file } = openedFile;
+  const content = getText(buffer);
+  return {
+    ...file,
+    content,
+    ...(includeUndo && undoStack && { undoStack: limitStackSize(undoStack, MAX_SAVED_UNDO_CHARS) }),
+    ...(originalContent !== content && { originalContent }),
+    ...(savedContent !== content && { savedContent }),
+  };
+};
+
+// Reconstruye un archivo abierto guardado en localStorage. Los guardados antes de tener `id` reciben uno
+// nuevo, y los que no tienen versión original o guardada toman su contenido actual. Los guardados antes
+// de tener `eol` pueden contener '\r': se detecta su fin de línea y se normalizan.
+export const deserializeOpenedFile = ({ content = '', ...file }) => {
+  const eol = file.eol ?? normalizeLoadedText(content).eol;
+  const normalize = (text) => (file.eol ? text : normalizeLoadedText(text).content);
+  return {
+    ...file,
+    id: file.id || createFileId(),
+    buffer: createTextBuffer(normalize(content)),
+    originalContent: normalize(file.originalContent ?? content),
+    savedContent: normalize(file.savedContent ?? content),
+    encoding: file.encoding ?? DEFAULT_ENCODING,
+    eol,
+    savedEol: file.savedEol ?? eol,
+  };
+};
+
+// Resultado de isModifiedFromOriginal por documento (como en isDirty).
+const modifiedCache = new WeakMap();
+
+// Indica si el archivo tiene cambios respecto a la versión con la que se cargó.
+export const isModifiedFromOriginal = (file) => {
+  const cached = modifiedCache.get(file.buffer);
+  if (cached && cached.originalContent === file.originalContent) return cached.modified;
+  const modified = getText(file.buffer) !== file.originalContent;
+  modifiedCache.set(file.buffer, { originalContent: file.originalContent, modified });
+  return modified;
+};
+
+// Resultado de isDirty por documento, para no comparar el texto completo en cada renderizado.
+const dirtyCache = new WeakMap();
+
+// Indica si el archivo tiene cambios sin guardar (su documento o su fin de línea difieren de la última versión guardada).
+export const isDirty = (file) => {
+  if (file.eol !== file.savedEol) return true;
+  const cached = dirtyCache.get(file.buffer);
+  if (cached && cached.savedContent === file.savedContent) return cached.dirty;
+  const dirty = getText(file.buffer) !== file.savedContent;
+  dirtyCache.set(file.buffer, { savedContent: file.savedContent, dirty });
+  return dirty;
+};
+
+// Tamaño en bytes de cada documento ya medido (piece table → { encoding, eol, size }).
+const sizeCache = new WeakMap();
+
+// Tamaño en bytes que tendría el archivo al guardarlo (con su codificación y su fin de línea).
+export const getFileSize = (file) => {
+  const encoding = file.encoding ?? DEFAULT_ENCODING;
+  const eol = file.eol ?? DEFAULT_EOL;
+  const cached = sizeCache.get(file.buffer);
+  if (cached && cached.encoding === encoding && cached.eol === eol) return cached.size;
+  // El documento usa '\n'; cada salto de línea ocupa en el archivo lo que su secuencia de fin de línea.
+  const unitSize = encoding.startsWith('utf-16') ? 2 : 1;
+  const size = getEncodedLength(getText(file.buffer), encoding)
+    + file.buffer.lineBreaks * (EOL_SEQUENCES[eol].length - 1) * unitSize;
+  sizeCache.set(file.buffer, { encoding, eol, size });
+  return size;
+};
+
+// Bytes que se escriben al guardar `content` (el texto del documento) con la codificación `encoding` y el
+// fin de línea del archivo. Devuelve { bytes, unmappable } (ver encodeText). Si el texto, la codificación
+// y el fin de línea no han cambiado, se devuelven los bytes originales tal cual.
+export const encodeFileForSave = (file, content, encoding = file.encoding) => {
+  if (file.savedBytes && encoding === file.encoding && file.eol === file.savedEol && content === file.savedContent) {
+    return { bytes: file.savedBytes, unmappable: 0 };
+  }
+  return encodeText(applyEol(content, file.eol ?? DEFAULT_EOL), encoding);
+};
+
+// Devuelve el archivo marcado como guardado con el texto `content`, el fin de línea `eol` y sus bytes. Tras un "Guardar como"
+// también cambian su nombre y su handle, y tras "Guardar con codificación", su codificación.
+export const markSaved = (file, { content, bytes, eol, name = file.name, handle = file.handle, encoding = file.encoding }) => ({
+  ...file,
+  name,
+  handle,
+  encoding,
+  savedEol: eol,
+  savedContent: content,
+  savedBytes: bytes,
+  mixedEol: null,
+});
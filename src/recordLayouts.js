@@ -0,0 +1,174 @@
+// Subsistema de "diseños de registro" (layouts).
+// Un diseño describe cómo se reparte cada línea de un archivo entre la cabecera (metadatos)
+// y el contenido "real" (payload). Las columnas que muestra el editor se cuentan desde el payload.
+//
+// Tipos de diseño soportados:
+//  - 'delimited': la cabecera son los primeros `prefixFields` campos separados por `separator`.
+//  - 'fixed':     la cabecera ocupa exactamente `offset` caracteres al inicio de la línea.
+//  - 'none':      no hay cabecera; las columnas se cuentan desde el primer carácter.
+
+import { normalizeSchema } from './recordSchema';
+
+// Clave de localStorage donde se guardan los diseños definidos por el usuario.
+export const LAYOUTS_STORAGE_KEY = 'myEditorRecordLayouts';
+
+// Identificador del diseño que se usa cuando ningún otro coincide con el nombre del archivo.
+export const DEFAULT_LAYOUT_ID = 'registro-3';
+
+// Diseños incluidos de serie. El primero reproduce el comportamiento histórico del editor
+// (separador ';' y tres campos de metadatos antes del contenido).
+export const BUILTIN_LAYOUTS = [
+  {
+    id: DEFAULT_LAYOUT_ID,
+    name: 'Registro ; (3 campos de cabecera)',
+    type: 'delimited',
+    separator: ';',
+    prefixFields: 3,
+    extensions: [],
+    builtin: true,
+  },
+  {
+    id: 'sin-cabecera',
+    name: 'Sin cabecera',
+    type: 'none',
+    extensions: [],
+    builtin: true,
+  },
+];
+
+const LAYOUT_TYPES = ['delimited', 'fixed', 'none'];
+
+// Valida y completa un diseño escrito por el usuario. Lanza un Error con un mensaje legible si es inválido.
+export const normalizeLayout = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('Cada diseño debe ser un objeto.');
+  const id = String(raw.id ?? '').trim();
+  if (!id) throw new Error('Cada diseño necesita un "id".');
+  const type = raw.type ?? 'delimited';
+  if (!LAYOUT_TYPES.includes(type)) {
+    throw new Error(`Diseño "${id}": tipo "${type}" no válido (use ${LAYOUT_TYPES.join(', ')}).`);
+  }
+
+  const layout = {
+    id,
+    name: String(raw.name ?? id),
+    type,
+    // Las extensiones se guardan en minúsculas y con el punto inicial (ej. ".dat").
+    extensions: (Array.isArray(raw.extensions) ? raw.extensions : [])
+      .map(ext => String(ext).toLowerCase())
+      .map(ext => (ext.startsWith('.') ? ext : `.${ext}`)),
+  };
+
+  // Patrón opcional (expresión regular) que se prueba contra el nombre completo del archivo.
+  if (raw.filePattern) {
+    try {
+      new RegExp(raw.filePattern, 'i');
+    } catch {
+      throw new Error(`Diseño "${id}": el patrón "${raw.filePattern}" no es una expresión regular válida.`);
+    }
+    layout.filePattern = String(raw.filePattern);
+  }
+
+  if (type === 'delimited') {
+    const separator = raw.separator ?? ';';
+    if (typeof separator !== 'string' || separator.length === 0) {
+      throw new Error(`Diseño "${id}": el separador no puede estar vacío.`);
+    }
+    const prefixFields = Number(raw.prefixFields ?? 0);
+    if (!Number.isInteger(prefixFields) || prefixFields < 0) {
+      throw new Error(`Diseño "${id}": "prefixFields" debe ser un entero >= 0.`);
+    }
+    layout.separator = separator;
+    layout.prefixFields = prefixFields;
+  } else if (type === 'fixed') {
+    const offset = Number(raw.offset ?? 0);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Diseño "${id}": "offset" debe ser un entero >= 0.`);
+    }
+    layout.offset = offset;
+  }
+
+  // Esquema de campos opcional (ver recordSchema.js) para los registros de este diseño.
+  if (raw.fields) {
+    try {
+      layout.fields = normalizeSchema(raw.fields);
+    } catch (error) {
+      throw new Error(`Diseño "${id}": ${error.message}`);
+    }
+  }
+
+  return layout;
+};
+
+// Combina los diseños de serie con los del usuario. Un diseño del usuario con el mismo id reemplaza al de serie.
+export const mergeLayouts = (customLayouts) => {
+  const byId = new Map(BUILTIN_LAYOUTS.map(layout => [layout.id, layout]));
+  customLayouts.forEach(layout => byId.set(layout.id, layout));
+  return Array.from(byId.values());
+};
+
+// Carga los diseños del usuario desde localStorage. Los inválidos se descartan.
+export const loadCustomLayouts = () => {
+  try {
+    const saved = localStorage.getItem(LAYOUTS_STORAGE_KEY);
+    if (!saved) return [];
+    const parsed = JSON.parse(saved);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.flatMap(raw => {
+      try {
+        return [normalizeLayout(raw)];
+      } catch {
+        return [];
+      }
+    });
+  } catch (error) {
+    console.error("Failed to load record layouts from localStorage", error);
+    return [];
+  }
+};
+
+// Guarda los diseños del usuario en localStorage.
+export const saveCustomLayouts = (customLayouts) => {
+  try {
+    localStorage.setItem(LAYOUTS_STORAGE_KEY, JSON.stringify(customLayouts));
+  } catch (error) {
+    console.error("Failed to save record layouts to localStorage", error);
+  }
+};
+
+// Elige automáticamente un diseño a partir del nombre del archivo.
+// Primero se prueban los patrones, luego las extensiones, y si nada coincide se usa el diseño por defecto.
+export const detectLayout = (fileName, layouts) => {
+  const name = (fileName || '').toLowerCase();
+  const byPattern = layouts.find(layout => layout.filePattern && new RegExp(layout.filePattern, 'i').test(name));
+  if (byPattern) return byPattern;
+  const byExtension = layouts.find(layout => layout.extensions.some(ext => name.endsWith(ext)));
+  if (byExtension) return byExtension;
+  return layouts.find(layout => layout.id === DEFAULT_LAYOUT_ID) || BUILTIN_LAYOUTS[0];
+};
+
+// Devuelve el diseño activo de un archivo: el elegido manualmente (`file.layoutId`) o el detectado.
+export const resolveLayout = (file, layouts) => {
+  if (!file) return null;
+  if (file.layoutId) {
+    const chosen = layouts.find(layout => layout.id === file.layoutId);
+    if (chosen) return chosen;
+  }
+  return detectLayout(file.name, layouts);
+};
+
+// Obtiene el índice donde comienza el contenido "real" de una línea según el diseño activo.
+export const getLetterStartIndex = (line, layout = BUILTIN_LAYOUTS[0]) => {
+  if (!layout) return 0;
+  if (layout.type === 'fixed') {
+    // En las líneas más cortas que el desplazamiento, el contenido empieza (vacío) al final de la línea.
+    return Math.min(layout.offset, line.length);
+  }
+  if (layout.type === 'delimited' && layout.prefixFields > 0) {
+    const parts = line.split(layout.separator);
+    if (parts.length > layout.prefixFields) {
+      // Devuelve la longitud de los campos de cabecera más sus separadores.
+      return parts.slice(0, layout.prefixFields).join(layout.separator).length + layout.separator.length;
+    }
+  }
+  return 0; // Si la línea no tiene ese formato, el contenido empieza en el índice 0.
+};
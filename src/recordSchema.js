@@ -0,0 +1,115 @@
+// Esquemas de registro de ancho fijo (estilo "copybook").
+// Un esquema es una lista de campos { name, start, length, type } donde `start` es la posición
+// 1-based dentro del contenido del registro, es decir, contada desde el inicio que marca el diseño activo
+// (ver `getLetterStartIndex` en recordLayouts.js).
+
+// Valida y ordena una lista de campos. Lanza un Error con un mensaje legible si algún campo es inválido.
+export const normalizeSchema = (rawFields) => {
+  if (!Array.isArray(rawFields)) throw new Error('El esquema debe ser una lista de campos.');
+  const fields = rawFields.map((raw, i) => {
+    const name = String(raw?.name ?? '').trim();
+    const start = Number(raw?.start);
+    const length = Number(raw?.length);
+    if (!name) throw new Error(`Campo ${i + 1}: falta el nombre.`);
+    if (!Number.isInteger(start) || start < 1) throw new Error(`Campo "${name}": la posición inicial debe ser un entero >= 1.`);
+    if (!Number.isInteger(length) || length < 1) throw new Error(`Campo "${name}": la longitud debe ser un entero >= 1.`);
+    return { name, start, length, type: String(raw.type || 'text') };
+  });
+  return fields.sort((a, b) => a.start - b.start);
+};
+
+// Calcula la longitud de una cláusula PIC de COBOL, ej. "X(20)", "9(5)V99", "S9(3)".
+// Los símbolos V (coma decimal implícita) y S (signo) no ocupan posiciones.
+const picLength = (pic) => {
+  let length = 0;
+  const regex = /([X9ABZ])(?:\((\d+)\))?/gi;
+  let match;
+  while ((match = regex.exec(pic)) !== null) {
+    length += match[2] ? parseInt(match[2], 10) : 1;
+  }
+  return length;
+};
+
+// Interpreta el texto de un esquema. Se aceptan tres formatos:
+//  - Un array JSON de campos: [{ "name": "ID", "start": 1, "length": 10, "type": "number" }, ...]
+//  - Líneas "NOMBRE INICIO LONGITUD [TIPO]", ej. "CLIENTE 1 10 number".
+//  - Líneas estilo copybook "05 NOMBRE PIC X(20)." donde las posiciones se calculan de forma consecutiva.
+// Las líneas vacías y las que empiezan por '*' o '#' se tratan como comentarios.
+export const parseSchema = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  if (trimmed.startsWith('[')) {
+    return normalizeSchema(JSON.parse(trimmed));
+  }
+
+  const fields = [];
+  let nextStart = 1; // Siguiente posición libre para los campos con cláusula PIC.
+  trimmed.split('\n').forEach((rawLine, i) => {
+    const line = rawLine.trim().replace(/\.$/, '');
+    if (!line || line.startsWith('*') || line.startsWith('#')) return;
+
+    const copybook = line.match(/^(?:\d+\s+)?([\w-]+)\s+PIC(?:TURE)?\s+(\S+)/i);
+    if (copybook) {
+      const [, name, pic] = copybook;
+      const length = picLength(pic);
+      if (length === 0) throw new Error(`Línea ${i + 1}: no se entiende la cláusula PIC "${pic}".`);
+      // Los campos numéricos (PIC 9) se marcan como 'number'; el resto como texto.
+      const type = /^S?9/i.test(pic) ? 'number' : 'text';
+      fields.push({ name, start: nextStart, length, type });
+      nextStart += length;
+      return;
+    }
+
+    const parts = line.split(/\s+/);
+    if (parts.length < 3) throw new Error(`Línea ${i + 1}: se esperaba "NOMBRE INICIO LONGITUD [TIPO]".`);
+    const [name, start, length, type] = parts;
+    fields.push({ name, start: Number(start), length: Number(length), type });
+    nextStart = Math.max(nextStart, Number(start) + Number(length));
+  });
+  return normalizeSchema(fields);
+};
+
+// Convierte un esquema al formato de texto "NOMBRE INICIO LONGITUD TIPO" para poder editarlo.
+export const formatSchema = (fields) =>
+  (fields || []).map(field => `${field.name} ${field.start} ${field.length} ${field.type}`).join('\n');
+
+// Longitud esperada del contenido de cada registro: la posición final del último campo.
+export const getRecordLength = (fields) =>
+  fields.reduce((max, field) => Math.max(max, field.start + field.length - 1), 0);
+
+// Devuelve el índice del campo que contiene la columna `column` (1-based), o -1 si no hay ninguno.
+export const findFieldIndex = (fields, column) =>
+  fields.findIndex(field => column >= field.start && column < field.start + field.length);
+
+// Devuelve el esquema activo de un archivo: el cargado para ese archivo o, si no hay, el del diseño activo.
+export const resolveSchema = (file, layout) => {
+  if (file?.schema?.length) return file.schema;
+  if (layout?.fields?.length) return layout.fields;
+  return null;
+};
+
+// Texto del tooltip de un carácter que cae dentro de un campo del esquema.
+export const describeField = (field, line, letterStartIndex) => {
+  const from = letterStartIndex + field.start - 1;
+  const value = line.substring(from, from + field.length);
+  // Los valores largos se recortan para que el tooltip no ocupe toda la pantalla.
+  const shown = value.length > 30 ? `${value.slice(0, 30)}…` : value;
+  return `campo ${field.name} (pos ${field.start}–${field.start + field.length - 1}, valor '${shown}')`;
+};
+
+// Comprueba la longitud de cada línea contra el esquema.
+// `getStartIndex` recibe una línea y devuelve dónde empieza su contenido según el diseño activo.
+// Devuelve la lista de líneas que no cumplen: { line, actual, expected }.
+export const validateRecordLengths = (lines, fields, getStartIndex) => {
+  const expected = getRecordLength(fields);
+  const violations = [];
+  lines.forEach((line, lineIndex) => {
+    // Una línea vacía al final del archivo (salto de línea final) no es un registro.
+    if (line === '' && lineIndex === lines.length - 1) return;
+    const actual = line.length - getStartIndex(line);
+    if (actual !== expected) {
+      violations.push({ line: lineIndex, actual, expected });
+    }
+  });
+  return violations;
+};
@@ -0,0 +1,85 @@
+// Construcción de la expresión regular de búsqueda y expansión del texto de reemplazo.
+// Lo usan la barra de búsqueda del editor y el reemplazo de coincidencias.
+
+// Función de utilidad para "escapar" caracteres especiales en un string.
+// Esto es crucial para que un texto de búsqueda del usuario pueda ser usado de forma segura en una Expresión Regular (RegExp).
+export function escapeRegExp(string) {
+  // Reemplaza cada carácter especial de RegExp (como ., *, +, etc.) con una versión escapada (ej. \. \* \+).
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Caracteres que se consideran parte de una palabra para la opción "palabra completa"
+// (incluye las letras acentuadas de Latin-1, habituales en nuestros archivos).
+const WORD_CHARS = '\\wÀ-ÖØ-öø-ÿ';
+
+// Opciones de búsqueda por defecto.
+export const DEFAULT_SEARCH_OPTIONS = { regex: false, matchCase: false, wholeWord: false };
+
+// Crea la RegExp global para `query` según las opciones { regex, matchCase, wholeWord }.
+// Lanza un Error (con el mensaje del motor de RegExp) si el patrón no es válido.
+export const buildSearchRegex = (query, { regex, matchCase, wholeWord }) => {
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) {
+    // La coincidencia no puede ir pegada a otro carácter de palabra ni por delante ni por detrás.
+    source = `(?<![${WORD_CHARS}])(?:${source})(?![${WORD_CHARS}])`;
+  }
+  return new RegExp(source, matchCase ? 'g' : 'gi');
+};
+
+// Busca todas las coincidencias de `regex` línea a línea en `text`.
+// Cada resultado tiene { line, start, end, offset, match }, donde `offset` es la posición en el texto completo
+// y `match` es el resultado de `exec` (necesario para expandir las referencias del reemplazo).
+export const findMatches = (text, regex) => {
+  const results = [];
+  let lineOffset = 0;
+  text.split('\n').forEach((line, lineIndex) => {
+    regex.lastIndex = 0;
+    let match;
+    // Busca todas las coincidencias en la línea.
+    while ((match = regex.exec(line)) !== null) {
+      if (match[0].length === 0) { // Evita bucles infinitos en coincidencias de longitud cero.
+        regex.lastIndex++;
+        continue;
+      }
+      results.push({
+        line: lineIndex,
+        start: match.index,
+        end: match.index + match[0].length,
+        offset: lineOffset + match.index,
+        match,
+      });
+    }
+    lineOffset += line.length + 1;
+  });
+  return results;
+};
+
+// Devuelve el texto que sustituye a una coincidencia.
+// En modo expresión regular se expanden $&, $1…$99, $<nombre> y $$; en modo texto el reemplazo es literal.
+export const expandReplacement = (replacement, match, isRegex) => {
+  if (!isRegex) return replacement;
+  return replacement.replace(/\$(\$|&|<([^>]*)>|(\d{1,2}))/g, (token, symbol, groupName, groupIndex) => {
+    if (symbol === '$') return '$';
+    if (symbol === '&') return match[0];
+    if (groupName !== undefined) {
+      return match.groups && groupName in match.groups ? (match.groups[groupName] ?? '') : token;
+    }
+    // Si el número de dos cifras no es un grupo válido, se prueba con la primera cifra (como String.replace).
+    let index = parseInt(groupIndex, 10);
+    let rest = '';
+    if (index >= match.length && groupIndex.length === 2) {
+      index = parseInt(groupIndex[0], 10);
+      rest = groupIndex[1];
+    }
+    if (index === 0 || index >= match.length) return token;
+    return (match[index] ?? '') + rest;
+  });
+};
+
+// Construye las ediciones ({ offset, length, text }) que reemplazan todas las coincidencias de `regex` en `text`.
+export const buildReplaceEdits = (text, regex, replacement, isRegex) =>
+  findMatches(text, regex).map(result => ({
+    offset: result.offset,
+    length: result.end - result.start,
+    text: expandReplacement(replacement, result.match, isRegex),
+  }));
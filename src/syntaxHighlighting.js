@@ -0,0 +1,156 @@
+// Resaltado de sintaxis: registro de modos de lenguaje y tokenización incremental por líneas.
+//
+// Un modo de lenguaje es:
+//  {
+//    id, name:       identificador y nombre visible,
+//    extensions:     extensiones de archivo con las que se elige automáticamente ('.json'...),
+//    initialState:   estado al principio del documento (un string: se compara con ===),
+//    tokenizeLine(line, state): devuelve { tokens: [{ start, end, type }], state } con el estado al final
+//                    de la línea (p. ej. dentro de un comentario de varias líneas),
+//  }
+// Los tipos de token ('keyword', 'string', 'number', 'comment'...) se convierten en colores al dibujar.
+//
+// La caché de tokens de un archivo guarda los tokens y el estado final de cada línea ya tokenizada, desde
+// la primera. Solo se tokeniza hasta la última línea que se pide (la última visible): si faltan pocas líneas
+// se tokenizan en el momento y, si faltan muchas (p. ej. al saltar al final de un archivo grande), el editor
+// las tokeniza por tramos con tokenizeLines mientras las dibuja sin colores. Al editar, quien cambia el
+// documento avisa con invalidateTokens de la primera posición cambiada y se reutilizan las líneas anteriores.
+
+import { getLines, getLineCount, positionAt } from './textBuffer';
+
+// Líneas más largas que esto no se tokenizan (se dibujan sin colores) para no bloquear la interfaz.
+const MAX_TOKENIZE_LINE_LENGTH = 10000;
+// Líneas que faltan por tokenizar que getLineTokens todavía tokeniza en el momento.
+const SYNC_TOKENIZE_LINES = 500;
+// Líneas que se leen del documento de cada vez al tokenizar (entre lectura y lectura se mira el tiempo).
+const TOKENIZE_BATCH_LINES = 200;
+
+// Modos registrados.
+const syntaxModes = [];
+
+// Registra un modo de lenguaje (si ya hay uno con el mismo id, lo reemplaza).
+export const registerSyntaxMode = (mode) => {
+  const index = syntaxModes.findIndex(existing => existing.id === mode.id);
+  if (index >= 0) syntaxModes[index] = mode;
+  else syntaxModes.push(mode);
+};
+
+// Modos registrados, en orden de registro.
+export const getSyntaxModes = () => [...syntaxModes];
+
+// Modo con ese id, o null.
+export const getSyntaxMode = (id) => syntaxModes.find(mode => mode.id === id) ?? null;
+
+// Modo que corresponde a un nombre de archivo por su extensión, o null (texto sin resaltar).
+export const detectSyntaxMode = (fileName) => {
+  const name = (fileName || '').toLowerCase();
+  return syntaxModes.find(mode => mode.extensions.some(ext => name.endsWith(ext))) ?? null;
+};
+
+// Modo de un archivo abierto: el elegido a mano (`syntaxModeId`; 'plain' es sin resaltado) o el de su extensión.
+export const resolveSyntaxMode = (file) => {
+  if (!file) return null;
+  if (file.syntaxModeId === 'plain') return null;
+  return (file.syntaxModeId && getSyntaxMode(file.syntaxModeId)) || detectSyntaxMode(file.name);
+};
+
+// Crea un modo a partir de reglas con expresiones regulares. `rules` asocia a cada estado una lista de
+// reglas { regex, type, next }: en cada posición se prueba la primera regla que coincida; `type` es el tipo
+// del token (null para no colorear) y `next`, el estado al que se pasa. Los caracteres que no coinciden con
+// ninguna regla quedan sin colorear.
+export const createRegexMode = ({ id, name, extensions, rules, flags = '' }) => {
+  const compiled = Object.fromEntries(Object.entries(rules).map(([state, stateRules]) => [
+    state,
+    stateRules.map(rule => ({ ...rule, regex: new RegExp(rule.regex.source, `y${flags}`) })),
+  ]));
+  return {
+    id,
+    name,
+    extensions,
+    initialState: 'root',
+    tokenizeLine: (line, initialState) => {
+      const tokens = [];
+      let state = initialState;
+      let pos = 0;
+      while (pos < line.length) {
+        let matched = false;
+        for (const rule of compiled[state]) {
+          rule.regex.lastIndex = pos;
+          const match = rule.regex.exec(line);
+          if (!match || match[0].length === 0) continue;
+          const end = pos + match[0].length;
+          if (rule.type) {
+            const last = tokens[tokens.length - 1];
+            // Los tokens seguidos del mismo tipo se unen en uno.
+            if (last && last.end === pos && last.type === rule.type) last.end = end;
+            else tokens.push({ start: pos, end, type: rule.type });
+          }
+          pos = end;
+          if (rule.next) state = rule.next;
+          matched = true;
+          break;
+        }
+        if (!matched) pos++;
+      }
+      return { tokens, state };
+    },
+  };
+};
+
+// Crea la caché de tokens de un documento para un modo.
+export const createTokenCache = (mode) => ({ mode, buffer: null, tokens: [], endStates: [] });
+
+// Conserva en la caché solo las líneas anteriores a `line`.
+const truncateTokens = (cache, line) => {
+  cache.tokens.length = Math.min(cache.tokens.length, line);
+  cache.endStates.length = Math.min(cache.endStates.length, line);
+};
+
+// Avisa a la caché de que `buffer` sustituye a `previousBuffer` y de que el texto solo cambia a partir de la
+// posición `offset`. Si la caché no estaba al día con `previousBuffer`, no hace nada (se vaciará al pedir tokens).
+export const invalidateTokens = (cache, previousBuffer, buffer, offset) => {
+  if (cache.buffer !== previousBuffer) return;
+  truncateTokens(cache, positionAt(previousBuffer, Math.min(offset, previousBuffer.length)).line);
+  cache.buffer = buffer;
+};
+
+// Pone la caché al día con `buffer`. Si el documento ha cambiado sin avisar con invalidateTokens (otro
+// archivo, reabrirlo...), se empieza de nuevo.
+const syncTokenCache = (cache, buffer) => {
+  if (cache.buffer === buffer) return;
+  truncateTokens(cache, 0);
+  cache.buffer = buffer;
+};
+
+// Tokeniza las líneas que faltan en la caché hasta la `to` (excluida) durante `budget` milisegundos como
+// mucho. Devuelve true si ha llegado hasta `to`.
+export const tokenizeLines = (cache, buffer, to, budget = Infinity) => {
+  syncTokenCache(cache, buffer);
+  const end = Math.min(to, getLineCount(buffer));
+  const deadline = performance.now() + budget;
+  while (cache.tokens.length < end) {
+    const start = cache.tokens.length;
+    let state = start === 0 ? cache.mode.initialState : cache.endStates[start - 1];
+    getLines(buffer, start, Math.min(end, start + TOKENIZE_BATCH_LINES)).forEach(line => {
+      if (line.length <= MAX_TOKENIZE_LINE_LENGTH) {
+        const result = cache.mode.tokenizeLine(line, state);
+        cache.tokens.push(result.tokens);
+        state = result.state;
+      } else {
+        cache.tokens.push([]);
+      }
+      cache.endStates.push(state);
+    });
+    if (performance.now() >= deadline) break;
+  }
+  return cache.tokens.length >= end;
+};
+
+// Tokens de las líneas [from, to) de `buffer` (una lista de tokens por línea). Si faltan pocas líneas por
+// tokenizar, las tokeniza; si no, las que faltan quedan sin tokens (undefined) hasta que se tokenicen con
+// tokenizeLines.
+export const getLineTokens = (cache, buffer, from, to) => {
+  syncTokenCache(cache, buffer);
+  if (Math.min(to, getLineCount(buffer)) - cache.tokens.length <= SYNC_TOKENIZE_LINES) tokenizeLines(cache, buffer, to);
+  return cache.tokens.slice(from, to);
+};
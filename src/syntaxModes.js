@@ -0,0 +1,160 @@
+// Modos de lenguaje incluidos de serie (ver syntaxHighlighting.js). Al importar este módulo se registran.
+
+import { createRegexMode, registerSyntaxMode } from './syntaxHighlighting';
+
+// Cadenas entre comillas dobles o simples con escapes (\").
+const DOUBLE_QUOTED = /"(?:[^"\\]|\\.)*"?/;
+const SINGLE_QUOTED = /'(?:[^'\\]|\\.)*'?/;
+const NUMBER = /-?\b\d+(?:[.,]\d+)?(?:[eE][+-]?\d+)?\b/;
+
+// JSON: las claves (cadenas seguidas de ':') se distinguen de los valores.
+export const JSON_MODE = createRegexMode({
+  id: 'json',
+  name: 'JSON',
+  extensions: ['.json', '.jsonc', '.geojson'],
+  rules: {
+    root: [
+      { regex: /"(?:[^"\\]|\\.)*"(?=\s*:)/, type: 'property' },
+      { regex: DOUBLE_QUOTED, type: 'string' },
+      { regex: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/, type: 'number' },
+      { regex: /\b(?:true|false|null)\b/, type: 'constant' },
+      { regex: /[{}[\],:]/, type: 'punctuation' },
+      { regex: /\/\/.*/, type: 'comment' },
+    ],
+  },
+});
+
+// CSV/DSV: separadores, campos entre comillas (que pueden ocupar varias líneas) y números.
+export const CSV_MODE = createRegexMode({
+  id: 'csv',
+  name: 'CSV',
+  extensions: ['.csv', '.tsv', '.dsv', '.psv'],
+  rules: {
+    root: [
+      { regex: /"/, type: 'string', next: 'quoted' },
+      { regex: /[,;\t|]/, type: 'punctuation' },
+      { regex: /-?\d+(?:[.,]\d+)?(?=[,;\t|]|$)/, type: 'number' },
+      { regex: /[^,;\t|"]+/, type: null },
+    ],
+    quoted: [
+      { regex: /(?:[^"]|"")*"/, type: 'string', next: 'root' },
+      { regex: /.+/, type: 'string' },
+    ],
+  },
+});
+
+// SQL: palabras clave sin distinguir mayúsculas, cadenas y comentarios de línea y de bloque.
+export const SQL_MODE = createRegexMode({
+  id: 'sql',
+  name: 'SQL',
+  extensions: ['.sql', '.ddl'],
+  flags: 'i',
+  rules: {
+    root: [
+      { regex: /--.*/, type: 'comment' },
+      { regex: /\/\*/, type: 'comment', next: 'blockComment' },
+      { regex: SINGLE_QUOTED, type: 'string' },
+      { regex: /"(?:[^"]|"")*"?/, type: 'property' },
+      { regex: new RegExp(`\\b(?:${[
+        'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create',
+        'table', 'view', 'index', 'drop', 'alter', 'add', 'column', 'primary', 'foreign', 'key', 'references', 'join',
+        'inner', 'left', 'right', 'outer', 'full', 'cross', 'on', 'as', 'group', 'by', 'order', 'having', 'limit',
+        'offset', 'union', 'all', 'distinct', 'case', 'when', 'then', 'else', 'end', 'in', 'is', 'like', 'between',
+        'exists', 'with', 'begin', 'commit', 'rollback', 'asc', 'desc', 'default', 'constraint', 'unique', 'check',
+      ].join('|')})\\b`), type: 'keyword' },
+      { regex: /\b(?:null|true|false)\b/, type: 'constant' },
+      { regex: NUMBER, type: 'number' },
+      { regex: /[A-Za-z_][\w$]*/, type: null },
+    ],
+    blockComment: [
+      { regex: /.*?\*\//, type: 'comment', next: 'root' },
+      { regex: /.+/, type: 'comment' },
+    ],
+  },
+});
+
+// XML: etiquetas, atributos, valores, comentarios y CDATA (los comentarios pueden ocupar varias líneas).
+export const XML_MODE = createRegexMode({
+  id: 'xml',
+  name: 'XML',
+  extensions: ['.xml', '.xsd', '.xsl', '.xslt', '.svg', '.config', '.html', '.htm'],
+  rules: {
+    root: [
+      { regex: /<!--/, type: 'comment', next: 'comment' },
+      { regex: /<!\[CDATA\[/, type: 'punctuation', next: 'cdata' },
+      { regex: /<[?!/]?[\w:.-]*/, type: 'tag', next: 'tag' },
+      { regex: /&[\w#]+;/, type: 'constant' },
+      { regex: /[^<&]+/, type: null },
+    ],
+    tag: [
+      { regex: /[?/]?>/, type: 'tag', next: 'root' },
+      { regex: /[\w:.-]+(?=\s*=)/, type: 'attribute' },
+      { regex: DOUBLE_QUOTED, type: 'string' },
+      { regex: SINGLE_QUOTED, type: 'string' },
+      { regex: /=/, type: 'punctuation' },
+    ],
+    comment: [
+      { regex: /.*?-->/, type: 'comment', next: 'root' },
+      { regex: /.+/, type: 'comment' },
+    ],
+    cdata: [
+      { regex: /.*?\]\]>/, type: 'string', next: 'root' },
+      { regex: /.+/, type: 'string' },
+    ],
+  },
+});
+
+// Logs: fechas y horas, niveles (ERROR, WARN...), números y cadenas.
+export const LOG_MODE = createRegexMode({
+  id: 'log',
+  name: 'Log',
+  extensions: ['.log', '.out', '.trace'],
+  rules: {
+    root: [
+      { regex: /\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?)?/, type: 'date' },
+      { regex: /\b\d{2}[/.]\d{2}[/.]\d{4}\b/, type: 'date' },
+      { regex: /\b\d{2}:\d{2}:\d{2}(?:[.,]\d+)?\b/, type: 'date' },
+      { regex: /\b(?:FATAL|ERROR|ERR|SEVERE|EXCEPTION)\b/, type: 'error' },
+      { regex: /\b(?:WARNING|WARN)\b/, type: 'warning' },
+      { regex: /\b(?:INFO|NOTICE)\b/, type: 'info' },
+      { regex: /\b(?:DEBUG|TRACE|FINE|VERBOSE)\b/, type: 'comment' },
+      { regex: DOUBLE_QUOTED, type: 'string' },
+      { regex: NUMBER, type: 'number' },
+      { regex: /[A-Za-z_][\w$]*/, type: null },
+    ],
+  },
+});
+
+// JavaScript: palabras clave, cadenas (las plantillas `...` pueden ocupar varias líneas), números y comentarios.
+export const JAVASCRIPT_MODE = createRegexMode({
+  id: 'javascript',
+  name: 'JavaScript',
+  extensions: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'],
+  rules: {
+    root: [
+      { regex: /\/\/.*/, type: 'comment' },
+      { regex: /\/\*/, type: 'comment', next: 'blockComment' },
+      { regex: DOUBLE_QUOTED, type: 'string' },
+      { regex: SINGLE_QUOTED, type: 'string' },
+      { regex: /`/, type: 'string', next: 'template' },
+      { regex: new RegExp(`\\b(?:${[
+        'const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default',
+        'break', 'continue', 'new', 'delete', 'typeof', 'instanceof', 'in', 'of', 'class', 'extends', 'super', 'this',
+        'import', 'export', 'from', 'as', 'async', 'await', 'try', 'catch', 'finally', 'throw', 'yield', 'void',
+      ].join('|')})\\b`), type: 'keyword' },
+      { regex: /\b(?:true|false|null|undefined|NaN|Infinity)\b/, type: 'constant' },
+      { regex: /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/, type: 'number' },
+      { regex: /[A-Za-z_$][\w$]*/, type: null },
+    ],
+    blockComment: [
+      { regex: /.*?\*\//, type: 'comment', next: 'root' },
+      { regex: /.+/, type: 'comment' },
+    ],
+    template: [
+      { regex: /(?:[^`\\]|\\.)*`/, type: 'string', next: 'root' },
+      { regex: /.+/, type: 'string' },
+    ],
+  },
+});
+
+[JSON_MODE, CSV_MODE, SQL_MODE, XML_MODE, LOG_MODE, JAVASCRIPT_MODE].forEach(registerSyntaxMode);
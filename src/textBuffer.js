@@ -0,0 +1,234 @@
+// Modelo de documento basado en una "piece table" (tabla de piezas).
+//
+// El texto no se guarda como un único string: se guarda como una lista de "piezas" que apuntan a
+// rangos de unos bloques de texto de solo-anexado (el texto original del archivo y los bloques donde
+// se va añadiendo lo que escribe el usuario). Insertar o borrar solo crea una lista de piezas nueva,
+// así que el coste de cada edición depende del número de piezas y no del tamaño del archivo.
+//
+// Los buffers son inmutables: cada operación devuelve un buffer nuevo y el anterior sigue siendo válido.
+// Eso permite guardarlos directamente en el estado de React y usarlos como instantáneas para deshacer.
+//
+// Forma de un buffer: { store, pieces, length, lineBreaks }
+//  - store:      bloques de texto compartidos por todas las versiones del documento.
+//  - pieces:     [{ chunk, start, length, lineBreaks }] en orden de documento.
+//  - length:     longitud total del texto.
+//  - lineBreaks: número total de saltos de línea ('\n'); el número de líneas es lineBreaks + 1.
+
+// Tamaño máximo de cada bloque de texto añadido. Acotarlo evita copiar un string enorme cada vez que se anexa.
+const CHUNK_SIZE = 64 * 1024;
+
+// Crea un bloque de texto con las posiciones de todos sus saltos de línea.
+const createChunk = (text) => {
+  const newlines = [];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    newlines.push(i);
+  }
+  return { text, newlines };
+};
+
+// Búsqueda binaria: primer índice de `array` (ordenado) cuyo valor es >= `value`.
+const lowerBound = (array, value) => {
+  let low = 0;
+  let high = array.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (array[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Cuenta los saltos de línea de un bloque dentro del rango [start, end).
+const countNewlines = (chunk, start, end) => lowerBound(chunk.newlines, end) - lowerBound(chunk.newlines, start);
+
+// Crea una pieza que apunta a un rango de un bloque.
+const makePiece = (store, chunk, start, length) => ({
+  chunk,
+  start,
+  length,
+  lineBreaks: countNewlines(store.chunks[chunk], start, start + length),
+});
+
+// Añade una pieza al final de la lista. Si continúa exactamente a la anterior dentro del mismo bloque,
+// las fusiona (así, escribir varios caracteres seguidos no genera una pieza por tecla).
+const pushPiece = (store, pieces, piece) => {
+  if (piece.length === 0) return;
+  const last = pieces[pieces.length - 1];
+  if (last && last.chunk === piece.chunk && last.start + last.length === piece.start) {
+    pieces[pieces.length - 1] = makePiece(store, last.chunk, last.start, last.length + piece.length);
+    return;
+  }
+  pieces.push(piece);
+};
+
+// Anexa texto nuevo a los bloques compartidos y devuelve la pieza que lo referencia.
+const appendText = (store, text) => {
+  let index = store.chunks.length - 1;
+  // El bloque 0 es el texto original y nunca se modifica; los demás se llenan hasta CHUNK_SIZE.
+  if (index === 0 || store.chunks[index].text.length + text.length > CHUNK_SIZE) {
+    store.chunks.push(createChunk(''));
+    index++;
+  }
+  const chunk = store.chunks[index];
+  const start = chunk.text.length;
+  chunk.text += text;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    chunk.newlines.push(start + i);
+  }
+  return makePiece(store, index, start, text.length);
+};
+
+// Construye un buffer a partir de su lista de piezas.
+const fromPieces = (store, pieces) => ({
+  store,
+  pieces,
+  length: pieces.reduce((sum, piece) => sum + piece.length, 0),
+  lineBreaks: pieces.reduce((sum, piece) => sum + piece.lineBreaks, 0),
+});
+
+// Crea un buffer nuevo con el texto inicial de un archivo.
+export const createTextBuffer = (text = '') => {
+  const store = { chunks: [createChunk(text)] };
+  return fromPieces(store, text.length > 0 ? [makePiece(store, 0, 0, text.length)] : []);
+};
+
+// Aplica varias ediciones de una sola pasada y devuelve el buffer resultante.
+// `edits` es una lista de { offset, length, text }: reemplaza `length` caracteres desde `offset` por `text`.
+// Las ediciones deben estar ordenadas por `offset` y no solaparse (todas se refieren al buffer original).
+export const applyEdits = (buffer, edits) => {
+  if (edits.length === 0) return buffer;
+  const { store, pieces } = buffer;
+  const result = [];
+  let pieceIndex = 0;
+  let pieceOffset = 0; // Posición en el documento donde empieza la pieza `pieceIndex`.
+
+  // Copia las piezas (o trozos de pieza) que cubren el rango [from, to) del documento original.
+  // Se llama siempre con rangos crecientes, así que el recorrido de las piezas avanza una sola vez.
+  const copyRange = (from, to) => {
+    while (from < to) {
+      while (pieceOffset + pieces[pieceIndex].length <= from) {
+        pieceOffset += pieces[pieceIndex].length;
+        pieceIndex++;
+      }
+      const piece = pieces[pieceIndex];
+      const localStart = from - pieceOffset;
+      const localEnd = Math.min(piece.length, to - pieceOffset);
+      pushPiece(store, result, makePiece(store, piece.chunk, piece.start + localStart, localEnd - localStart));
+      from = pieceOffset + localEnd;
+    }
+  };
+
+  let previousEnd = 0;
+  edits.forEach(({ offset, length, text }) => {
+    copyRange(previousEnd, offset);
+    if (text) pushPiece(store, result, appendText(store, text));
+    previousEnd = offset + length;
+  });
+  copyRange(previousEnd, buffer.length);
+
+  return fromPieces(store, result);
+};
+
+// Reemplaza `length` caracteres desde `offset` por `text`.
+export const replaceRange = (buffer, offset, length, text) => applyEdits(buffer, [{ offset, length, text }]);
+
+// Inserta `text` en la posición `offset`.
+export const insertText = (buffer, offset, text) => replaceRange(buffer, offset, 0, text);
+
+// Borra `length` caracteres desde la posición `offset`.
+export const deleteText = (buffer, offset, length) => replaceRange(buffer, offset, length, '');
+
+// Devuelve el texto del rango [start, end) del documento.
+export const getTextRange = (buffer, start, end) => {
+  const parts = [];
+  let pieceOffset = 0;
+  for (const piece of buffer.pieces) {
+    const pieceEnd = pieceOffset + piece.length;
+    if (pieceEnd > start && pieceOffset < end) {
+      const localStart = Math.max(0, start - pieceOffset);
+      const localEnd = Math.min(piece.length, end - pieceOffset);
+      parts.push(buffer.store.chunks[piece.chunk].text.substring(piece.start + localStart, piece.start + localEnd));
+    }
+    if (pieceEnd >= end) break;
+    pieceOffset = pieceEnd;
+  }
+  return parts.join('');
+};
+
+// Pequeña caché con el texto completo de los últimos buffers consultados.
+// Se limita a unas pocas entradas para no retener en memoria el texto de cada versión del historial.
+const textCache = new Map();
+const TEXT_CACHE_SIZE = 4;
+
+// Devuelve el texto completo del documento.
+export const getText = (buffer) => {
+  if (textCache.has(buffer)) return textCache.get(buffer);
+  const text = getTextRange(buffer, 0, buffer.length);
+  textCache.set(buffer, text);
+  if (textCache.size > TEXT_CACHE_SIZE) {
+    textCache.delete(textCache.keys().next().value);
+  }
+  return text;
+};
+
+// Número de líneas del documento (un documento vacío tiene una línea vacía).
+export const getLineCount = (buffer) => buffer.lineBreaks + 1;
+
+// Devuelve la posición (offset) donde empieza la línea `line` (0-based).
+export const getLineOffset = (buffer, line) => {
+  if (line <= 0) return 0;
+  if (line > buffer.lineBreaks) return buffer.length;
+  let pieceOffset = 0;
+  let breaks = 0;
+  for (const piece of buffer.pieces) {
+    if (breaks + piece.lineBreaks >= line) {
+      // El salto de línea buscado es el número (line - breaks) dentro de esta pieza.
+      const chunk = buffer.store.chunks[piece.chunk];
+      const newlineIndex = lowerBound(chunk.newlines, piece.start) + (line - breaks) - 1;
+      return pieceOffset + (chunk.newlines[newlineIndex] - piece.start) + 1;
+    }
+    breaks += piece.lineBreaks;
+    pieceOffset += piece.length;
+  }
+  return buffer.length;
+};
+
+// Devuelve el texto de la línea `line` (sin el salto de línea final).
+export const getLine = (buffer, line) => {
+  const start = getLineOffset(buffer, line);
+  const end = line < buffer.lineBreaks ? getLineOffset(buffer, line + 1) - 1 : buffer.length;
+  return getTextRange(buffer, start, end);
+};
+
+// Devuelve las líneas del rango [from, to) como un array de strings.
+export const getLines = (buffer, from, to) => {
+  if (from >= to) return [];
+  const start = getLineOffset(buffer, from);
+  const end = to <= buffer.lineBreaks ? getLineOffset(buffer, to) - 1 : buffer.length;
+  return getTextRange(buffer, start, end).split('\n');
+};
+
+// Convierte una posición { line, char } en un offset del documento. Las posiciones que no existen en él (por
+// ejemplo, más allá del final de una línea) se ajustan a la más cercana.
+export const offsetAt = (buffer, { line, char }) => {
+  const clampedLine = Math.min(Math.max(line, 0), buffer.lineBreaks);
+  const start = getLineOffset(buffer, clampedLine);
+  const end = clampedLine < buffer.lineBreaks ? getLineOffset(buffer, clampedLine + 1) - 1 : buffer.length;
+  return start + Math.min(Math.max(char, 0), end - start);
+};
+
+// Convierte un offset del documento en una posición { line, char }.
+export const positionAt = (buffer, offset) => {
+  let pieceOffset = 0;
+  let breaks = 0;
+  for (const piece of buffer.pieces) {
+    if (pieceOffset + piece.length >= offset) {
+      const chunk = buffer.store.chunks[piece.chunk];
+      breaks += countNewlines(chunk, piece.start, piece.start + (offset - pieceOffset));
+      break;
+    }
+    breaks += piece.lineBreaks;
+    pieceOffset += piece.length;
+  }
+  return { line: breaks, char: offset - getLineOffset(buffer, breaks) };
+};
@@ -0,0 +1,213 @@
+// Detección de la codificación de los archivos y conversión entre bytes y texto.
+//
+// Muchos de nuestros archivos delimitados vienen de sistemas antiguos en Windows-1252 o ISO-8859-1;
+// si se leyeran siempre como UTF-8, las letras acentuadas se convertirían en caracteres de reemplazo (�).
+// Por eso los archivos se leen como bytes, se detecta su codificación (BOM o heurística) y se guardan
+// en la misma codificación con la que se abrieron (o en la que elija el usuario).
+
+// Codificaciones disponibles. `id` es el valor que se guarda en cada archivo abierto.
+export const ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8' },
+  { id: 'utf-8-bom', label: 'UTF-8 con BOM' },
+  { id: 'windows-1252', label: 'Windows-1252' },
+  { id: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+  { id: 'utf-16le', label: 'UTF-16 LE' },
+  { id: 'utf-16be', label: 'UTF-16 BE' },
+];
+
+// Codificación por defecto (archivos nuevos y archivos vacíos).
+export const DEFAULT_ENCODING = 'utf-8';
+
+// Nombre visible de una codificación.
+export const getEncodingLabel = (id) => ENCODINGS.find(encoding => encoding.id === id)?.label ?? id;
+
+// Marcas de orden de bytes (BOM) de cada codificación que la lleva.
+const BOMS = {
+  'utf-8-bom': [0xEF, 0xBB, 0xBF],
+  'utf-16le': [0xFF, 0xFE],
+  'utf-16be': [0xFE, 0xFF],
+};
+
+// Caracteres de Windows-1252 en el rango 0x80–0x9F (el resto de bytes coincide con ISO-8859-1).
+// Las posiciones sin carácter (0x81, 0x8D, 0x8F, 0x90, 0x9D) se decodifican como el control C1 del mismo
+// código, igual que hace el navegador.
+const WINDOWS_1252_HIGH = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178,
+];
+// Mapa inverso: carácter → byte, para codificar en Windows-1252.
+const WINDOWS_1252_BYTES = new Map(WINDOWS_1252_HIGH.map((code, i) => [code, 0x80 + i]));
+
+// Número de bytes que se examinan para la heurística de UTF-16 sin BOM.
+const SAMPLE_SIZE = 4096;
+// Proporción mínima de bytes nulos en las posiciones pares o impares para suponer UTF-16 sin BOM.
+const UTF16_ZERO_RATIO = 0.4;
+
+// Indica si `bytes` empieza por la secuencia `prefix`.
+const startsWith = (bytes, prefix) => prefix.every((byte, i) => bytes[i] === byte);
+
+// Indica si los bytes son UTF-8 válido.
+const isValidUtf8 = (bytes) => {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Detecta la codificación de unos bytes (Uint8Array): primero por su BOM y, si no tiene, por heurística.
+export const detectEncoding = (bytes) => {
+  if (startsWith(bytes, BOMS['utf-8-bom'])) return 'utf-8-bom';
+  if (startsWith(bytes, BOMS['utf-16le'])) return 'utf-16le';
+  if (startsWith(bytes, BOMS['utf-16be'])) return 'utf-16be';
+  if (bytes.length === 0) return DEFAULT_ENCODING;
+
+  // Texto UTF-16 sin BOM: en los caracteres ASCII uno de los dos bytes es 0.
+  const sampleLength = Math.min(bytes.length, SAMPLE_SIZE) & ~1;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sampleLength; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+  const pairs = sampleLength / 2;
+  if (pairs > 0 && oddZeros / pairs > UTF16_ZERO_RATIO && evenZeros < oddZeros / 4) return 'utf-16le';
+  if (pairs > 0 && evenZeros / pairs > UTF16_ZERO_RATIO && oddZeros < evenZeros / 4) return 'utf-16be';
+
+  if (isValidUtf8(bytes)) return 'utf-8';
+  // No es UTF-8: es una codificación de un byte. Si usa el rango 0x80–0x9F, es Windows-1252 (en ISO-8859-1
+  // son caracteres de control que no aparecen en texto real).
+  return bytes.some(byte => byte >= 0x80 && byte <= 0x9F) ? 'windows-1252' : 'iso-8859-1';
+};
+
+// Convierte bytes en texto con la codificación indicada (sin el BOM, si lo tiene).
+export const decodeBytes = (bytes, encoding) => {
+  switch (encoding) {
+    case 'utf-8':
+    case 'utf-8-bom':
+      // TextDecoder quita el BOM de UTF-8 si lo hay.
+      return new TextDecoder('utf-8').decode(bytes);
+    case 'utf-16le':
+    case 'utf-16be': {
+      const body = startsWith(bytes, BOMS[encoding]) ? bytes.subarray(2) : bytes;
+      const codes = [];
+      for (let i = 0; i + 1 < body.length; i += 2) {
+        codes.push(encoding === 'utf-16le' ? body[i] | (body[i + 1] << 8) : (body[i] << 8) | body[i + 1]);
+      }
+      // Un byte suelto al final no forma un carácter: se marca con el carácter de reemplazo en lugar de perderlo.
+      if (body.length % 2 === 1) codes.push(0xFFFD);
+      return decodeCharCodes(codes);
+    }
+    case 'windows-1252':
+      return decodeCharCodes(Array.from(bytes, byte => (byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : byte)));
+    case 'iso-8859-1':
+      // Se decodifica a mano: para el navegador, la etiqueta 'iso-8859-1' es un alias de Windows-1252.
+      return decodeCharCodes(Array.from(bytes));
+    default:
+      throw new Error(`Codificación no soportada: ${encoding}`);
+  }
+};
+
+// Convierte una lista de códigos UTF-16 en texto (por tandas, para no superar el límite de argumentos).
+const decodeCharCodes = (codes) => {
+  const parts = [];
+  for (let i = 0; i < codes.length; i += 8192) {
+    parts.push(String.fromCharCode(...codes.slice(i, i + 8192)));
+  }
+  return parts.join('');
+};
+
+// Byte de un carácter en una codificación de un byte, o undefined si no existe en ella.
+const getSingleByte = (code, encoding) => {
+  // En Windows-1252 el rango 0x80–0x9F son otros caracteres (€, “, ”…).
+  if (encoding === 'windows-1252') return WINDOWS_1252_BYTES.get(code) ?? (code < 0x80 || (code >= 0xA0 && code < 0x100) ? code : undefined);
+  return code < 0x100 ? code : undefined;
+};
+
+// Indica si la codificación es de un byte por carácter (solo tiene 256 caracteres; las Unicode los tienen todos).
+export const isSingleByteEncoding = (encoding) => encoding === 'windows-1252' || encoding === 'iso-8859-1';
+
+// Indica si el carácter de código `code` se puede escribir con la codificación indicada (las codificaciones
+// Unicode pueden escribirlos todos).
+export const canEncodeChar = (code, encoding) => (
+  !isSingleByteEncoding(encoding) || getSingleByte(code, encoding) !== undefined
+);
+
+// Convierte texto en bytes con la codificación indicada.
+// Devuelve { bytes, unmappable }: `unmappable` cuenta los caracteres que no existen en la codificación
+// (se escriben como '?').
+export const encodeText = (text, encoding) => {
+  switch (encoding) {
+    case 'utf-8':
+      return { bytes: new TextEncoder().encode(text), unmappable: 0 };
+    case 'utf-8-bom': {
+      const body = new TextEncoder().encode(text);
+      const bytes = new Uint8Array(body.length + 3);
+      bytes.set(BOMS['utf-8-bom']);
+      bytes.set(body, 3);
+      return { bytes, unmappable: 0 };
+    }
+    case 'utf-16le':
+    case 'utf-16be': {
+      // Se escribe siempre con BOM, para que otros programas reconozcan la codificación.
+      const bytes = new Uint8Array(2 + text.length * 2);
+      bytes.set(BOMS[encoding]);
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        const [first, second] = encoding === 'utf-16le' ? [code & 0xFF, code >> 8] : [code >> 8, code & 0xFF];
+        bytes[2 + i * 2] = first;
+        bytes[3 + i * 2] = second;
+      }
+      return { bytes, unmappable: 0 };
+    }
+    case 'windows-1252':
+    case 'iso-8859-1': {
+      const bytes = new Uint8Array(text.length);
+      let unmappable = 0;
+      for (let i = 0; i < text.length; i++) {
+        let byte = getSingleByte(text.charCodeAt(i), encoding);
+        if (byte === undefined) {
+          unmappable++;
+          byte = 0x3F; // '?'
+        }
+        bytes[i] = byte;
+      }
+      return { bytes, unmappable };
+    }
+    default:
+      throw new Error(`Codificación no soportada: ${encoding}`);
+  }
+};
+
+// Número de bytes que ocupa `text` con la codificación indicada (sin llegar a codificarlo).
+export const getEncodedLength = (text, encoding) => {
+  switch (encoding) {
+    case 'utf-8':
+    case 'utf-8-bom': {
+      let length = encoding === 'utf-8-bom' ? 3 : 0;
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code < 0x80) length += 1;
+        else if (code < 0x800) length += 2;
+        else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+          // Par sustituto: un carácter de 4 bytes.
+          length += 4;
+          i++;
+        } else length += 3;
+      }
+      return length;
+    }
+    case 'utf-16le':
+    case 'utf-16be':
+      return 2 + text.length * 2;
+    default:
+      return text.length;
+  }
+};
+
+// Lee unos bytes detectando su codificación. Devuelve { content, encoding }.
+export const decodeWithDetection = (bytes) => {
+  const encoding = detectEncoding(bytes);
+  return { content: decodeBytes(bytes, encoding), encoding };
+};
@@ -0,0 +1,148 @@
+// Gestor de deshacer/rehacer basado en operaciones.
+//
+// En lugar de guardar una copia del documento por cada cambio, cada paso del historial guarda las
+// ediciones que se hicieron (qué texto se borró y qué texto se insertó en cada posición), además de
+// la posición del cursor y la selección antes y después. Deshacer aplica la operación inversa.
+//
+// Cada archivo tiene su propia pila ({ undo, redo }), que se guarda junto al archivo en `openedFiles`
+// y por eso sobrevive a los cambios de pestaña y se puede persistir en localStorage (todo es JSON).
+//
+// Forma de un paso:
+//  {
+//    edits:  [{ offset, deletedText, insertedText }],  // Ordenadas por offset, relativas al documento anterior.
+//    kind:   'typing' | 'delete' | 'other',           // Tipo de edición, usado para agrupar pasos.
+//    before: { cursor, selection, carets },            // Estado a restaurar al deshacer (`carets`: cursores secundarios).
+//    after:  { cursor, selection, carets },            // Estado a restaurar al rehacer.
+//    time:   número (ms),                              // Momento del último cambio agrupado en el paso.
+//  }
+
+import { applyEdits, getTextRange } from './textBuffer';
+
+// Número máximo de pasos que se conservan por archivo.
+export const MAX_UNDO_STEPS = 200;
+// Tiempo máximo (ms) entre dos pulsaciones para que se agrupen en un mismo paso.
+const GROUP_TIMEOUT = 1000;
+
+// Crea una pila vacía.
+export const createUndoStack = () => ({ undo: [], redo: [] });
+
+// Construye un paso a partir de ediciones del tipo { offset, length, text } sobre `buffer`,
+// leyendo del propio buffer el texto que se va a borrar.
+export const createStep = (buffer, edits, kind, before, after) => ({
+  edits: edits.map(({ offset, length, text }) => ({
+    offset,
+    deletedText: getTextRange(buffer, offset, offset + length),
+    insertedText: text,
+  })),
+  kind,
+  before,
+  after,
+  time: Date.now(),
+});
+
+// Intenta fusionar `step` con el paso anterior `previous`. Devuelve el paso fusionado o null si no se puede.
+// Se agrupan las pulsaciones consecutivas de escritura y los borrados consecutivos con Backspace.
+const mergeSteps = (previous, step) => {
+  if (!previous || previous.kind !== step.kind || step.time - previous.time > GROUP_TIMEOUT) return null;
+  if (previous.edits.length !== 1 || step.edits.length !== 1) return null;
+  const [prev] = previous.edits;
+  const [next] = step.edits;
+
+  if (step.kind === 'typing' && next.deletedText === '' && !next.insertedText.includes('\n')
+      && next.offset === prev.offset + prev.insertedText.length) {
+    // El nuevo texto continúa justo donde terminó el anterior.
+    return {
+      ...previous,
+      edits: [{ offset: prev.offset, deletedText: prev.deletedText, insertedText: prev.insertedText + next.insertedText }],
+      after: step.after,
+      time: step.time,
+    };
+  }
+
+  if (step.kind === 'delete' && prev.insertedText === '' && next.insertedText === ''
+      && next.offset + next.deletedText.length === prev.offset) {
+    // Se borra el carácter justo anterior al último borrado (Backspace repetido).
+    return {
+      ...previous,
+      edits: [{ offset: next.offset, deletedText: next.deletedText + prev.deletedText, insertedText: '' }],
+      after: step.after,
+      time: step.time,
+    };
+  }
+
+  return null;
+};
+
+// Añade un paso a la pila (fusionándolo con el anterior si procede) y vacía la pila de rehacer.
+export const pushStep = (stack, step) => {
+  const undo = [...stack.undo];
+  const merged = mergeSteps(undo[undo.length - 1], step);
+  if (merged) {
+    undo[undo.length - 1] = merged;
+  } else {
+    undo.push(step);
+  }
+  return { undo: undo.slice(-MAX_UNDO_STEPS), redo: [] };
+};
+
+// Caracteres de texto que guarda un paso (borrados más insertados).
+const getStepSize = (step) =>
+  step.edits.reduce((size, { deletedText, insertedText }) => size + deletedText.length + insertedText.length, 0);
+
+// Recorta la pila para guardarla en localStorage: se conservan los pasos más recientes de deshacer y, con lo
+// que sobre, de rehacer, mientras su texto no pase de `maxChars` caracteres. Los pasos más antiguos (o los
+// que no caben, como dar formato a un archivo grande, que guarda el documento dos veces) se descartan.
+export const limitStackSize = (stack, maxChars) => {
+  let budget = maxChars;
+  // Los pasos siguientes de cada pila están al final: se guarda el tramo final que cabe.
+  const keepRecent = (steps) => {
+    let start = steps.length;
+    while (start > 0 && getStepSize(steps[start - 1]) <= budget) {
+      budget -= getStepSize(steps[start - 1]);
+      start--;
+    }
+    return steps.slice(start);
+  };
+  const undo = keepRecent(stack.undo);
+  return { undo, redo: keepRecent(stack.redo) };
+};
+
+// Ediciones para rehacer un paso: se aplican sobre el documento anterior al paso.
+const forwardEdits = (step) =>
+  step.edits.map(({ offset, deletedText, insertedText }) => ({ offset, length: deletedText.length, text: insertedText }));
+
+// Ediciones para deshacer un paso: se aplican sobre el documento posterior al paso, así que cada
+// offset se desplaza según lo que crecieron o encogieron las ediciones anteriores.
+const inverseEdits = (step) => {
+  let shift = 0;
+  return step.edits.map(({ offset, deletedText, insertedText }) => {
+    const edit = { offset: offset + shift, length: insertedText.length, text: deletedText };
+    shift += insertedText.length - deletedText.length;
+    return edit;
+  });
+};
+
+// Deshace el último paso. Devuelve { stack, buffer, state, offset } o null si no hay nada que deshacer.
+// `state` es el cursor y la selección que había antes del paso, y `offset`, la primera posición que cambia.
+export const undoStep = (stack, buffer) => {
+  const step = stack.undo[stack.undo.length - 1];
+  if (!step) return null;
+  return {
+    stack: { undo: stack.undo.slice(0, -1), redo: [...stack.redo, step] },
+    buffer: applyEdits(buffer, inverseEdits(step)),
+    state: step.before,
+    offset: step.edits[0]?.offset ?? 0,
+  };
+};
+
+// Rehace el último paso deshecho. Devuelve { stack, buffer, state, offset } o null si no hay nada que rehacer.
+export const redoStep = (stack, buffer) => {
+  const step = stack.redo[stack.redo.length - 1];
+  if (!step) return null;
+  return {
+    stack: { undo: [...stack.undo, step], redo: stack.redo.slice(0, -1) },
+    buffer: applyEdits(buffer, forwardEdits(step)),
+    state: step.after,
+    offset: step.edits[0]?.offset ?? 0,
+  };
+};
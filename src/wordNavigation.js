@@ -0,0 +1,35 @@
+// Utilidades para moverse y seleccionar por palabras dentro de una línea.
+// Una "palabra" es una secuencia de letras (incluidas las acentuadas), dígitos o guiones bajos.
+
+// Indica si un carácter forma parte de una palabra.
+export const isWordChar = (char) => /[\p{L}\p{N}_]/u.test(char);
+
+// Posición a la que salta Ctrl+Izquierda desde `char`: el inicio de la palabra anterior.
+// Primero se saltan los espacios/símbolos y luego los caracteres de la palabra.
+export const findPreviousWordStart = (line, char) => {
+  let i = char;
+  while (i > 0 && !isWordChar(line[i - 1])) i--;
+  while (i > 0 && isWordChar(line[i - 1])) i--;
+  return i;
+};
+
+// Posición a la que salta Ctrl+Derecha desde `char`: el final de la palabra siguiente.
+export const findNextWordEnd = (line, char) => {
+  let i = char;
+  while (i < line.length && !isWordChar(line[i])) i++;
+  while (i < line.length && isWordChar(line[i])) i++;
+  return i;
+};
+
+// Rango [start, end) de la palabra que contiene la posición `char` (usado por el doble clic).
+// Si en esa posición no hay una palabra, se devuelve el bloque de caracteres del mismo tipo (espacios o símbolos).
+export const getWordRangeAt = (line, char) => {
+  if (line.length === 0) return { start: 0, end: 0 };
+  const index = Math.min(char, line.length - 1);
+  const wordLike = isWordChar(line[index]);
+  let start = index;
+  let end = index + 1;
+  while (start > 0 && isWordChar(line[start - 1]) === wordLike) start--;
+  while (end < line.length && isWordChar(line[end]) === wordLike) end++;
+  return { start, end };
+};